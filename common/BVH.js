@@ -0,0 +1,289 @@
+// BVH.js
+//
+// Bounding volume hierarchy over the triangles of a mesh, so ray queries on
+// models like the teapot do not test every triangle. Built with the surface
+// area heuristic over binned centroids, refitted when the vertices move, and
+// flattened into arrays that can be uploaded as storage buffers for GPU ray
+// tracing. Requires MV.js and Geometry.js (AABB, Ray).
+
+//------------------------------------------------------------------------------
+// BVH Object
+//------------------------------------------------------------------------------
+
+// mesh is a DrawingInfo, or an array of vec3/vec4 positions, or a flat array
+// with 4 floats per vertex. indices holds three per triangle and defaults to
+// mesh.indices. Options:
+//   leafSize - largest number of triangles in a leaf (default 4)
+//   method   - "sah" (default) or "middle" to split at the middle of the
+//              centroids along the longest axis (faster to build)
+//   bins     - number of bins per axis for the SAH (default 12)
+var BVH = function (mesh, indices, options) {
+  options = options || {};
+  this.indices = indices || mesh.indices;
+  this.leafSize = options.leafSize || 4;
+  this.method = options.method || "sah";
+  this.bins = options.bins || 12;
+  this.numTriangles = Math.floor(this.indices.length / 3);
+  this.setPositions(mesh.vertices || mesh);
+
+  // Triangle numbers, reordered so that each node covers a range of them
+  this.triangles = new Uint32Array(this.numTriangles);
+  for (var t = 0; t < this.numTriangles; t++) this.triangles[t] = t;
+  this.nodes = new Array(0); // BVHNode objects, nodes[0] is the root
+  if (this.numTriangles > 0) this.build();
+}
+
+// Copy positions (as for the constructor) into this.positions with 3 floats
+// per vertex, transformed by the MV.js matrix M if given
+BVH.prototype.setPositions = function (positions, M) {
+  var nested = Array.isArray(positions[0]);
+  var n = nested ? positions.length : Math.floor(positions.length / 4);
+  if (!this.positions || this.positions.length != n * 3) this.positions = new Float32Array(n * 3);
+  for (var i = 0; i < n; i++) {
+    var x = nested ? positions[i][0] : positions[i * 4];
+    var y = nested ? positions[i][1] : positions[i * 4 + 1];
+    var z = nested ? positions[i][2] : positions[i * 4 + 2];
+    if (M) {
+      var p = mult(M, vec4(x, y, z, 1.0));
+      x = p[0] / p[3]; y = p[1] / p[3]; z = p[2] / p[3];
+    }
+    this.positions[i * 3] = x;
+    this.positions[i * 3 + 1] = y;
+    this.positions[i * 3 + 2] = z;
+  }
+}
+
+BVH.prototype.getVertex = function (triangle, k) {
+  var i = this.indices[triangle * 3 + k] * 3;
+  return vec3(this.positions[i], this.positions[i + 1], this.positions[i + 2]);
+}
+
+// Bounds (min and max, 6 floats) and centroid (3 floats) of each triangle
+BVH.prototype.triangleBounds = function () {
+  var n = this.numTriangles;
+  var bounds = new Float32Array(n * 6);
+  var centroids = new Float32Array(n * 3);
+  for (var t = 0; t < n; t++) {
+    for (var axis = 0; axis < 3; axis++) {
+      var a = this.positions[this.indices[t * 3] * 3 + axis];
+      var b = this.positions[this.indices[t * 3 + 1] * 3 + axis];
+      var c = this.positions[this.indices[t * 3 + 2] * 3 + axis];
+      bounds[t * 6 + axis] = Math.min(a, b, c);
+      bounds[t * 6 + 3 + axis] = Math.max(a, b, c);
+      centroids[t * 3 + axis] = (a + b + c) / 3;
+    }
+  }
+  return { bounds: bounds, centroids: centroids };
+}
+
+// Box around the triangles of a leaf range
+BVH.prototype.rangeBox = function (first, count, bounds) {
+  var min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (var i = first; i < first + count; i++) {
+    var t = this.triangles[i];
+    for (var axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], bounds[t * 6 + axis]);
+      max[axis] = Math.max(max[axis], bounds[t * 6 + 3 + axis]);
+    }
+  }
+  return new AABB(min, max);
+}
+
+BVH.prototype.build = function () {
+  var tb = this.triangleBounds();
+  var bounds = tb.bounds, centroids = tb.centroids;
+  this.nodes.push(new BVHNode(0, this.numTriangles));
+  var stack = [0];
+  while (stack.length > 0) {
+    var node = this.nodes[stack.pop()];
+    node.box = this.rangeBox(node.first, node.count, bounds);
+    if (node.count <= this.leafSize) continue;
+
+    var cmin = [Infinity, Infinity, Infinity], cmax = [-Infinity, -Infinity, -Infinity];
+    for (var i = node.first; i < node.first + node.count; i++) {
+      var t = this.triangles[i];
+      for (var axis = 0; axis < 3; axis++) {
+        cmin[axis] = Math.min(cmin[axis], centroids[t * 3 + axis]);
+        cmax[axis] = Math.max(cmax[axis], centroids[t * 3 + axis]);
+      }
+    }
+    var split = this.method == "middle"
+      ? this.findMiddleSplit(cmin, cmax)
+      : this.findSAHSplit(node, cmin, cmax, bounds, centroids);
+    if (!split) continue; // All centroids equal, keep as leaf
+
+    var axis = split.axis, position = split.position;
+    var mid = this.partition(node.first, node.count, function (t) { return centroids[t * 3 + axis] < position; });
+    if (mid == node.first || mid == node.first + node.count) mid = node.first + (node.count >> 1);
+
+    node.left = this.nodes.length;
+    this.nodes.push(new BVHNode(node.first, mid - node.first));
+    node.right = this.nodes.length;
+    this.nodes.push(new BVHNode(mid, node.first + node.count - mid));
+    node.count = 0;
+    stack.push(node.left, node.right);
+  }
+}
+
+// Middle of the centroids along their longest axis
+BVH.prototype.findMiddleSplit = function (cmin, cmax) {
+  var size = subtract(cmax, cmin);
+  var axis = size[0] > size[1] && size[0] > size[2] ? 0 : size[1] > size[2] ? 1 : 2;
+  if (size[axis] == 0) return null;
+  return { axis: axis, position: (cmin[axis] + cmax[axis]) / 2 };
+}
+
+// Bin the centroids along each axis and pick the bin boundary with the least
+// surface area cost, area(left) * count(left) + area(right) * count(right)
+BVH.prototype.findSAHSplit = function (node, cmin, cmax, bounds, centroids) {
+  var numBins = this.bins;
+  var best = null, bestCost = Infinity;
+  for (var axis = 0; axis < 3; axis++) {
+    var extent = cmax[axis] - cmin[axis];
+    if (extent == 0) continue;
+    var binScale = numBins / extent;
+    var counts = new Array(numBins).fill(0);
+    var boxes = [];
+    for (var b = 0; b < numBins; b++) boxes.push(new AABB());
+    for (var i = node.first; i < node.first + node.count; i++) {
+      var t = this.triangles[i];
+      var b = Math.min(numBins - 1, Math.floor((centroids[t * 3 + axis] - cmin[axis]) * binScale));
+      counts[b]++;
+      boxes[b].expandByPoint([bounds[t * 6], bounds[t * 6 + 1], bounds[t * 6 + 2]]);
+      boxes[b].expandByPoint([bounds[t * 6 + 3], bounds[t * 6 + 4], bounds[t * 6 + 5]]);
+    }
+    // Sweep from the right to get the cost of each right side
+    var rightCost = new Array(numBins).fill(0);
+    var box = new AABB(), count = 0;
+    for (var b = numBins - 1; b > 0; b--) {
+      box.union(boxes[b]);
+      count += counts[b];
+      rightCost[b] = box.surfaceArea() * count;
+    }
+    box = new AABB();
+    count = 0;
+    for (var b = 0; b < numBins - 1; b++) {
+      box.union(boxes[b]);
+      count += counts[b];
+      var cost = box.surfaceArea() * count + rightCost[b + 1];
+      if (count > 0 && count < node.count && cost < bestCost) {
+        bestCost = cost;
+        best = { axis: axis, position: cmin[axis] + (b + 1) / binScale };
+      }
+    }
+  }
+  return best || this.findMiddleSplit(cmin, cmax);
+}
+
+// Update the boxes after the vertices moved, keeping the tree. positions and
+// M are as for setPositions; without positions the current ones are used
+// (e.g. after changing this.positions directly). Much faster than building a
+// new BVH, but the tree gets worse if the triangles move far relative to each
+// other.
+BVH.prototype.refit = function (positions, M) {
+  if (positions) this.setPositions(positions, M);
+  var bounds = this.triangleBounds().bounds;
+  // Children come after their parent in nodes
+  for (var i = this.nodes.length - 1; i >= 0; i--) {
+    var node = this.nodes[i];
+    if (node.count > 0) node.box = this.rangeBox(node.first, node.count, bounds);
+    else node.box = new AABB(this.nodes[node.left].box.min, this.nodes[node.left].box.max).union(this.nodes[node.right].box);
+  }
+}
+
+// Move the triangles of a range for which isLeft is true to its front.
+// Returns the index of the first other triangle.
+BVH.prototype.partition = function (first, count, isLeft) {
+  var i = first, j = first + count - 1;
+  while (i <= j) {
+    if (isLeft(this.triangles[i])) i++;
+    else {
+      var tmp = this.triangles[i];
+      this.triangles[i] = this.triangles[j];
+      this.triangles[j--] = tmp;
+    }
+  }
+  return i;
+}
+
+// Closest hit of a Ray (in the space of the positions). Returns
+// { triangle, t, u, v } as Ray.intersectTriangle plus the triangle number, or
+// null. Hits beyond tmax are ignored.
+BVH.prototype.intersect = function (ray, tmax) {
+  var closest = null;
+  var tBest = tmax != null ? tmax : Infinity;
+  if (this.nodes.length == 0) return null;
+  var stack = [0];
+  while (stack.length > 0) {
+    var node = this.nodes[stack.pop()];
+    var span = ray.intersectAABB(node.box);
+    if (!span || span.tmin > tBest) continue;
+    if (node.count > 0) {
+      for (var i = node.first; i < node.first + node.count; i++) {
+        var t = this.triangles[i];
+        var hit = ray.intersectTriangle(this.getVertex(t, 0), this.getVertex(t, 1), this.getVertex(t, 2));
+        if (hit && hit.t < tBest) {
+          tBest = hit.t;
+          closest = { triangle: t, t: hit.t, u: hit.u, v: hit.v };
+        }
+      }
+    }
+    else stack.push(node.left, node.right);
+  }
+  return closest;
+}
+
+// Flatten the tree for upload as storage buffers. Nodes are in depth-first
+// order, so the left child of an inner node is the next node. Returns
+//   nodes   - ArrayBuffer with 32 bytes per node matching the WGSL struct
+//             struct BVHNode {
+//               min: vec3f, offset: u32, // first triangle (leaf) or right child
+//               max: vec3f, count: u32,  // number of triangles, 0 if inner
+//             }
+//   indices - Uint32Array with three vertex indices per triangle in BVH order
+//   triangles - Uint32Array with the original triangle number of each
+BVH.prototype.flatten = function () {
+  var order = [];
+  if (this.nodes.length > 0) {
+    var stack = [0];
+    while (stack.length > 0) {
+      var index = stack.pop();
+      order.push(index);
+      var node = this.nodes[index];
+      if (node.count == 0) stack.push(node.right, node.left);
+    }
+  }
+  var position = new Map();
+  for (var i = 0; i < order.length; i++) position.set(order[i], i);
+
+  var buffer = new ArrayBuffer(order.length * 32);
+  var floats = new Float32Array(buffer);
+  var uints = new Uint32Array(buffer);
+  for (var i = 0; i < order.length; i++) {
+    var node = this.nodes[order[i]];
+    floats.set(node.box.min, i * 8);
+    floats.set(node.box.max, i * 8 + 4);
+    uints[i * 8 + 3] = node.count > 0 ? node.first : position.get(node.right);
+    uints[i * 8 + 7] = node.count;
+  }
+
+  var indices = new Uint32Array(this.numTriangles * 3);
+  for (var i = 0; i < this.numTriangles; i++) {
+    var t = this.triangles[i];
+    indices[i * 3] = this.indices[t * 3];
+    indices[i * 3 + 1] = this.indices[t * 3 + 1];
+    indices[i * 3 + 2] = this.indices[t * 3 + 2];
+  }
+  return { nodes: buffer, indices: indices, triangles: new Uint32Array(this.triangles) };
+}
+
+//------------------------------------------------------------------------------
+// BVHNode Object (a leaf if count > 0, else an inner node with two children)
+//------------------------------------------------------------------------------
+var BVHNode = function (first, count) {
+  this.box = null;    // AABB of the triangles below the node
+  this.first = first; // Range in BVH.triangles
+  this.count = count;
+  this.left = -1;     // Children in BVH.nodes
+  this.right = -1;
+}
@@ -0,0 +1,379 @@
+// GLTFParser.js
+//
+// Loader for glTF 2.0 scenes (.gltf with external or embedded buffers, and
+// binary .glb). Each glTF mesh becomes a DrawingInfo like the one returned by
+// readOBJFile (one draw range and submesh per primitive), and the node
+// hierarchy becomes a tree of GLTFNodes with local transforms as MV.js mat4s.
+// Requires MV.js and OBJParser.js (DrawingInfo, Material, DrawRange, Submesh,
+// calcVertexNormals).
+
+//------------------------------------------------------------------------------
+// GLTFParser
+//------------------------------------------------------------------------------
+
+async function readGLTFFile(fileName)
+{
+  const response = await fetch(fileName);
+  if(!response.ok) {
+    console.log(fileName + ": HTTP " + response.status + " " + response.statusText);
+    return null;
+  }
+  try {
+    var scene = await parseGLTF(await response.arrayBuffer(), fileName);
+  }
+  catch(e) {
+    console.log(fileName + ": " + e.message);
+    return null;
+  }
+  for (var i = 0; i < scene.meshes.length; i++) {
+    var warnings = scene.meshes[i].warnings;
+    for (var j = 0; j < warnings.length; j++) console.warn(warnings[j].toString());
+  }
+  return scene;
+}
+
+// Parse a .gltf or .glb file. fileName is used to resolve external buffers
+// and images. Primitives that are not triangles are skipped with a warning in
+// the warnings of their mesh.
+async function parseGLTF(buffer, fileName)
+{
+  var json, binChunk = null;
+  var view = new DataView(buffer);
+  if (buffer.byteLength >= 12 && view.getUint32(0, true) == 0x46546C67) { // 'glTF'
+    if (view.getUint32(4, true) != 2) throw new Error("unsupported glb version " + view.getUint32(4, true));
+    var offset = 12;
+    while (offset + 8 <= buffer.byteLength) {
+      var chunkLength = view.getUint32(offset, true);
+      var chunkType = view.getUint32(offset + 4, true);
+      var chunk = buffer.slice(offset + 8, offset + 8 + chunkLength);
+      if (chunkType == 0x4E4F534A) json = JSON.parse(new TextDecoder().decode(chunk)); // 'JSON'
+      else if (chunkType == 0x004E4942) binChunk = chunk; // 'BIN'
+      offset += 8 + chunkLength;
+    }
+    if (!json) throw new Error("glb file has no JSON chunk");
+  }
+  else {
+    json = JSON.parse(new TextDecoder().decode(buffer));
+  }
+  if (!json.asset || String(json.asset.version).charAt(0) != '2')
+    throw new Error("not a glTF 2.0 file");
+
+  var dirPath = "";
+  var i = (fileName || "").lastIndexOf("/");
+  if (i > 0) dirPath = fileName.substr(0, i + 1);
+
+  var doc = new GLTFDoc(json, dirPath, fileName);
+  await doc.loadBuffers(binChunk);
+  return doc.getScene();
+}
+
+//------------------------------------------------------------------------------
+// GLTFDoc Object (the parsed JSON and its binary buffers)
+//------------------------------------------------------------------------------
+var GLTFDoc = function (json, dirPath, fileName) {
+  this.json = json;
+  this.dirPath = dirPath;
+  this.fileName = fileName || "";
+  this.buffers = new Array(0); // ArrayBuffer per glTF buffer
+  this.imageURLs = new Array(0);
+}
+
+// Fetch or decode all buffers. Buffer 0 of a glb file without uri is the BIN chunk.
+GLTFDoc.prototype.loadBuffers = async function (binChunk) {
+  var buffers = this.json.buffers || [];
+  for (var i = 0; i < buffers.length; i++) {
+    if (buffers[i].uri == null) {
+      if (i != 0 || binChunk == null) throw new Error("glTF buffer " + i + " has no data");
+      this.buffers.push(binChunk);
+    }
+    else {
+      this.buffers.push(await this.fetchURI(buffers[i].uri));
+    }
+  }
+}
+
+GLTFDoc.prototype.fetchURI = async function (uri) {
+  const response = await fetch(uri.substring(0, 5) == 'data:' ? uri : this.dirPath + uri);
+  if (!response.ok) throw new Error("cannot read glTF resource " + uri);
+  return await response.arrayBuffer();
+}
+
+// Read an accessor as a flat array with the given number of components per
+// element (missing components are filled from fill, e.g. w = 1 for points)
+GLTFDoc.prototype.readAccessor = function (index, components, fill) {
+  var accessor = this.json.accessors[index];
+  var sizes = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+  var size = sizes[accessor.type];
+  if (components == null) components = size;
+  var result = components == 1 && accessor.type == 'SCALAR' && accessor.componentType != 5126
+    ? new Uint32Array(accessor.count)
+    : new Float32Array(accessor.count * components);
+  if (accessor.sparse) throw new Error("sparse glTF accessors are not supported");
+  if (accessor.bufferView == null) return result; // All zeros
+
+  var bufferView = this.json.bufferViews[accessor.bufferView];
+  var view = new DataView(this.buffers[bufferView.buffer]);
+  var componentSize = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 }[accessor.componentType];
+  var stride = bufferView.byteStride || componentSize * size;
+  var base = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+  var normalized = accessor.normalized;
+  for (var e = 0; e < accessor.count; e++) {
+    for (var c = 0; c < components; c++) {
+      var x;
+      if (c >= size) {
+        x = fill[c];
+      }
+      else {
+        var offset = base + e * stride + c * componentSize;
+        switch (accessor.componentType) {
+          case 5120: x = view.getInt8(offset); if (normalized) x = Math.max(x / 127, -1); break;
+          case 5121: x = view.getUint8(offset); if (normalized) x /= 255; break;
+          case 5122: x = view.getInt16(offset, true); if (normalized) x = Math.max(x / 32767, -1); break;
+          case 5123: x = view.getUint16(offset, true); if (normalized) x /= 65535; break;
+          case 5125: x = view.getUint32(offset, true); break;
+          case 5126: x = view.getFloat32(offset, true); break;
+          default: throw new Error("unknown glTF component type " + accessor.componentType);
+        }
+      }
+      result[e * components + c] = x;
+    }
+  }
+  return result;
+}
+
+// URL of an image, created from the buffer for images embedded in a glb file
+GLTFDoc.prototype.getImageURL = function (index) {
+  if (this.imageURLs[index] !== undefined) return this.imageURLs[index];
+  var image = this.json.images[index];
+  var url = null;
+  if (image.uri != null) {
+    url = image.uri.substring(0, 5) == 'data:' ? image.uri : this.dirPath + image.uri;
+  }
+  else if (image.bufferView != null && typeof Blob !== 'undefined') {
+    var bufferView = this.json.bufferViews[image.bufferView];
+    var offset = bufferView.byteOffset || 0;
+    var data = this.buffers[bufferView.buffer].slice(offset, offset + bufferView.byteLength);
+    url = URL.createObjectURL(new Blob([data], { type: image.mimeType }));
+  }
+  this.imageURLs[index] = url;
+  return url;
+}
+
+GLTFDoc.prototype.getTextureURL = function (textureInfo) {
+  if (!textureInfo) return null;
+  var texture = this.json.textures[textureInfo.index];
+  return texture.source != null ? this.getImageURL(texture.source) : null;
+}
+
+// Convert a glTF PBR material to a Material. The metallic-roughness values are
+// kept and also mapped to approximate Phong parameters.
+GLTFDoc.prototype.getMaterial = function (index) {
+  if (index == null) return new Material("", 1, 1, 1, 1);
+  var m = this.json.materials[index];
+  var pbr = m.pbrMetallicRoughness || {};
+  var base = pbr.baseColorFactor || [1, 1, 1, 1];
+  var metallic = pbr.metallicFactor != null ? pbr.metallicFactor : 1.0;
+  var roughness = pbr.roughnessFactor != null ? pbr.roughnessFactor : 1.0;
+
+  var material = new Material(m.name || ("material" + index), base[0], base[1], base[2], base[3]);
+  material.metallic = metallic;
+  material.roughness = roughness;
+  material.specular = new Color(
+    0.04 + (base[0] - 0.04) * metallic,
+    0.04 + (base[1] - 0.04) * metallic,
+    0.04 + (base[2] - 0.04) * metallic, 1);
+  var alpha = Math.max(roughness * roughness, 1.0e-3);
+  material.shininess = Math.min(2.0 / (alpha * alpha) - 2.0, 1000.0);
+  material.mapKd = this.getTextureURL(pbr.baseColorTexture);
+  material.mapBump = this.getTextureURL(m.normalTexture);
+  material.emissive = m.emissiveFactor || [0, 0, 0];
+  material.doubleSided = !!m.doubleSided;
+  return material;
+}
+
+// Convert a glTF mesh to a DrawingInfo with one draw range per primitive
+GLTFDoc.prototype.getDrawingInfo = function (meshIndex) {
+  var mesh = this.json.meshes[meshIndex];
+  var name = mesh.name || ("mesh" + meshIndex);
+  var parts = [];
+  var warnings = []; // OBJParseMessages for skipped primitives
+  var numVertices = 0, numIndices = 0;
+  for (var p = 0; p < mesh.primitives.length; p++) {
+    var primitive = mesh.primitives[p];
+    var mode = primitive.mode != null ? primitive.mode : 4;
+    if (mode < 4 || primitive.attributes.POSITION == null) {
+      var reason = mode < 4 ? "points and lines are not supported, skipped primitive " + p
+                            : "skipped primitive " + p + " without POSITION";
+      warnings.push(new OBJParseMessage(this.fileName, null, name, reason));
+      continue;
+    }
+    var attributes = primitive.attributes;
+    var part = {
+      material: this.getMaterial(primitive.material),
+      positions: this.readAccessor(attributes.POSITION, 4, [0, 0, 0, 1]),
+      normals: attributes.NORMAL != null ? this.readAccessor(attributes.NORMAL, 4, [0, 0, 0, 0]) : null,
+      colors: attributes.COLOR_0 != null ? this.readAccessor(attributes.COLOR_0, 4, [0, 0, 0, 1]) : null,
+      texcoords: attributes.TEXCOORD_0 != null ? this.readAccessor(attributes.TEXCOORD_0, 2) : null,
+      tangents: attributes.TANGENT != null ? this.readAccessor(attributes.TANGENT, 4) : null,
+    };
+    var count = part.positions.length / 4;
+    var indices = primitive.indices != null ? this.readAccessor(primitive.indices, 1) : null;
+    if (indices == null) {
+      indices = new Uint32Array(count);
+      for (var i = 0; i < count; i++) indices[i] = i;
+    }
+    part.indices = triangulateGLTFIndices(indices, mode);
+    if (!part.normals) part.normals = calcVertexNormals(part.positions, part.indices, true);
+    parts.push(part);
+    numVertices += count;
+    numIndices += part.indices.length;
+  }
+
+  // Concatenate the primitives
+  var vertices = new Float32Array(numVertices * 4);
+  var normals = new Float32Array(numVertices * 4);
+  var colors = new Float32Array(numVertices * 4);
+  var texcoords = new Float32Array(numVertices * 2);
+  var tangents = parts.length > 0 && parts.every(function (part) { return part.tangents; })
+    ? new Float32Array(numVertices * 4) : null;
+  var indices = new Uint32Array(numIndices);
+  var materials = [], drawRanges = [], submeshes = [];
+  var vertexOffset = 0, indexOffset = 0;
+  for (var p = 0; p < parts.length; p++) {
+    var part = parts[p];
+    var count = part.positions.length / 4;
+    var color = part.material.color;
+    vertices.set(part.positions, vertexOffset * 4);
+    normals.set(part.normals, vertexOffset * 4);
+    for (var i = 0; i < count; i++) {
+      var c = (vertexOffset + i) * 4;
+      var r = 1, g = 1, b = 1, a = 1;
+      if (part.colors) {
+        r = part.colors[i * 4]; g = part.colors[i * 4 + 1]; b = part.colors[i * 4 + 2]; a = part.colors[i * 4 + 3];
+      }
+      colors[c] = r * color.r; colors[c + 1] = g * color.g; colors[c + 2] = b * color.b; colors[c + 3] = a * color.a;
+    }
+    if (part.texcoords) texcoords.set(part.texcoords, vertexOffset * 2);
+    if (tangents) tangents.set(part.tangents, vertexOffset * 4);
+    for (var i = 0; i < part.indices.length; i++) indices[indexOffset + i] = part.indices[i] + vertexOffset;
+
+    materials.push(part.material);
+    drawRanges.push(new DrawRange(p, indexOffset, part.indices.length));
+    submeshes.push(new Submesh(name, p, indexOffset, part.indices.length));
+    vertexOffset += count;
+    indexOffset += part.indices.length;
+  }
+
+  var info = new DrawingInfo(vertices, normals, colors, indices, texcoords);
+  info.materials = materials;
+  info.drawRanges = drawRanges;
+  info.submeshes = submeshes;
+  info.tangents = tangents;
+  info.warnings = warnings;
+  info.name = name;
+  return info;
+}
+
+// Build the scene: all meshes and the node tree of the default scene
+GLTFDoc.prototype.getScene = function () {
+  var json = this.json;
+  var meshes = [];
+  for (var i = 0; i < (json.meshes || []).length; i++) meshes.push(this.getDrawingInfo(i));
+
+  var nodes = [];
+  for (var i = 0; i < (json.nodes || []).length; i++) {
+    var n = json.nodes[i];
+    nodes.push(new GLTFNode(n.name || ("node" + i), n.mesh != null ? meshes[n.mesh] : null, gltfNodeMatrix(n)));
+  }
+  for (var i = 0; i < nodes.length; i++) {
+    var children = json.nodes[i].children || [];
+    for (var j = 0; j < children.length; j++) {
+      nodes[children[j]].parent = nodes[i];
+      nodes[i].children.push(nodes[children[j]]);
+    }
+  }
+
+  var roots;
+  var scene = json.scenes ? json.scenes[json.scene || 0] : null;
+  if (scene) {
+    roots = (scene.nodes || []).map(function (i) { return nodes[i]; });
+  }
+  else {
+    roots = nodes.filter(function (node) { return node.parent == null; });
+  }
+  return new GLTFScene(meshes, nodes, roots);
+}
+
+// Expand triangle strips (5) and fans (6) to a triangle list
+function triangulateGLTFIndices(indices, mode) {
+  if (mode == 4) return indices;
+  var result = [];
+  for (var i = 2; i < indices.length; i++) {
+    if (mode == 5)
+      result.push(indices[i - 2 + (i & 1)], indices[i - 1 - (i & 1)], indices[i]);
+    else
+      result.push(indices[0], indices[i - 1], indices[i]);
+  }
+  return new Uint32Array(result);
+}
+
+// Local transform of a glTF node as a mat4 (glTF stores column-major)
+function gltfNodeMatrix(node) {
+  if (node.matrix) {
+    var a = node.matrix;
+    return mat4(
+      a[0], a[4], a[8], a[12],
+      a[1], a[5], a[9], a[13],
+      a[2], a[6], a[10], a[14],
+      a[3], a[7], a[11], a[15]);
+  }
+  var t = node.translation || [0, 0, 0];
+  var q = node.rotation || [0, 0, 0, 1];
+  var s = node.scale || [1, 1, 1];
+  var x = q[0], y = q[1], z = q[2], w = q[3];
+  var R = mat4(
+    1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w), 0,
+    2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w), 0,
+    2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y), 0,
+    0, 0, 0, 1);
+  return mult(translate(t[0], t[1], t[2]), mult(R, scalem(s[0], s[1], s[2])));
+}
+
+//------------------------------------------------------------------------------
+// GLTFNode Object
+//------------------------------------------------------------------------------
+var GLTFNode = function (name, mesh, matrix) {
+  this.name = name;
+  this.mesh = mesh;       // DrawingInfo or null
+  this.matrix = matrix;   // Local transform (mat4)
+  this.parent = null;
+  this.children = new Array(0);
+}
+
+//------------------------------------------------------------------------------
+// GLTFScene Object
+//------------------------------------------------------------------------------
+var GLTFScene = function (meshes, nodes, roots) {
+  this.meshes = meshes;   // DrawingInfo per glTF mesh
+  this.nodes = nodes;     // All nodes, in file order
+  this.roots = roots;     // Root nodes of the default scene
+}
+
+// Visit the nodes depth first with their world transform, starting from the
+// optional parent matrix M
+GLTFScene.prototype.traverse = function (callback, M) {
+  function visit(node, parentMatrix) {
+    var world = mult(parentMatrix, node.matrix);
+    callback(node, world);
+    for (var i = 0; i < node.children.length; i++) visit(node.children[i], world);
+  }
+  for (var i = 0; i < this.roots.length; i++) visit(this.roots[i], M || mat4());
+}
+
+// Find a node by name
+GLTFScene.prototype.findNode = function (name) {
+  for (var i = 0; i < this.nodes.length; i++) {
+    if (this.nodes[i].name == name) return this.nodes[i];
+  }
+  return null;
+}
@@ -0,0 +1,318 @@
+// Geometry.js
+//
+// Geometric primitives on MV.js vectors: planes, rays, axis-aligned bounding
+// boxes, bounding spheres and view frusta, with the intersection tests used
+// for picking, culling and planar reflectors. Requires MV.js.
+
+//------------------------------------------------------------------------------
+// Plane Object: points x with dot(normal, x) + d = 0
+//------------------------------------------------------------------------------
+var Plane = function (normal, d) {
+  this.normal = normal ? vec3(normal[0], normal[1], normal[2]) : vec3(0, 1, 0);
+  this.d = d || 0.0;
+}
+
+// From a vec4 (a, b, c, d) as used in shaders, e.g. vec4(0, 1, 0, 1) for y = -1
+Plane.fromVec4 = function (v) {
+  return new Plane(vec3(v[0], v[1], v[2]), v[3]);
+}
+
+Plane.fromPointNormal = function (point, normal) {
+  var n = normalize(vec3(normal[0], normal[1], normal[2]));
+  return new Plane(n, -dot(n, vec3(point[0], point[1], point[2])));
+}
+
+// Plane through three points; the normal follows the counterclockwise winding
+Plane.fromPoints = function (a, b, c) {
+  var n = cross(subtract(vec3(b[0], b[1], b[2]), vec3(a[0], a[1], a[2])),
+                subtract(vec3(c[0], c[1], c[2]), vec3(a[0], a[1], a[2])));
+  return Plane.fromPointNormal(a, n);
+}
+
+Plane.prototype.toVec4 = function () {
+  return vec4(this.normal[0], this.normal[1], this.normal[2], this.d);
+}
+
+// Scale so that the normal has unit length (and distance is Euclidean)
+Plane.prototype.normalize = function () {
+  var len = length(this.normal);
+  if (len > 0) {
+    this.normal = scale(1 / len, this.normal);
+    this.d /= len;
+  }
+  return this;
+}
+
+// Signed distance of a point (positive on the side the normal points to)
+Plane.prototype.distance = function (point) {
+  return dot(this.normal, vec3(point[0], point[1], point[2])) + this.d;
+}
+
+// Plane transformed by the matrix M (applied to its points), i.e.
+// transpose(inverse(M)) times the plane as a vec4
+Plane.prototype.transform = function (M) {
+  var p = mult(transpose(inverse(M)), this.toVec4());
+  return new Plane(vec3(p[0], p[1], p[2]), p[3]).normalize();
+}
+
+// Matrix reflecting points in the plane (as for a planar reflector)
+Plane.prototype.reflectionMatrix = function () {
+  var p = new Plane(this.normal, this.d).normalize();
+  var n = p.normal, d = p.d;
+  return mat4(1 - 2 * n[0] * n[0], -2 * n[0] * n[1], -2 * n[0] * n[2], -2 * n[0] * d,
+              -2 * n[1] * n[0], 1 - 2 * n[1] * n[1], -2 * n[1] * n[2], -2 * n[1] * d,
+              -2 * n[2] * n[0], -2 * n[2] * n[1], 1 - 2 * n[2] * n[2], -2 * n[2] * d,
+              0, 0, 0, 1);
+}
+
+//------------------------------------------------------------------------------
+// Ray Object: points origin + t direction for t >= 0
+//------------------------------------------------------------------------------
+var Ray = function (origin, direction) {
+  this.origin = vec3(origin[0], origin[1], origin[2]);
+  this.direction = vec3(direction[0], direction[1], direction[2]);
+}
+
+Ray.prototype.at = function (t) {
+  return add(this.origin, scale(t, this.direction));
+}
+
+// Ray transformed by the matrix M. The direction is not normalized, so ray
+// parameters t stay the same in both spaces.
+Ray.prototype.transform = function (M) {
+  var o = mult(M, vec4(this.origin[0], this.origin[1], this.origin[2], 1.0));
+  var d = mult(M, vec4(this.direction[0], this.direction[1], this.direction[2], 0.0));
+  return new Ray(vec3(o[0] / o[3], o[1] / o[3], o[2] / o[3]), vec3(d[0], d[1], d[2]));
+}
+
+// Moller-Trumbore test against the triangle a, b, c (both sides). Returns
+// { t, u, v } with the hit point (1 - u - v) a + u b + v c, or null.
+Ray.prototype.intersectTriangle = function (a, b, c) {
+  var e1 = subtract(vec3(b[0], b[1], b[2]), vec3(a[0], a[1], a[2]));
+  var e2 = subtract(vec3(c[0], c[1], c[2]), vec3(a[0], a[1], a[2]));
+  var p = cross(this.direction, e2);
+  var det = dot(e1, p);
+  if (Math.abs(det) < 1e-12) return null; // Parallel to the triangle
+  var inv = 1.0 / det;
+  var s = subtract(this.origin, vec3(a[0], a[1], a[2]));
+  var u = dot(s, p) * inv;
+  if (u < 0 || u > 1) return null;
+  var q = cross(s, e1);
+  var v = dot(this.direction, q) * inv;
+  if (v < 0 || u + v > 1) return null;
+  var t = dot(e2, q) * inv;
+  if (t < 0) return null;
+  return { t: t, u: u, v: v };
+}
+
+// Slab test. Returns { tmin, tmax } of the part of the ray inside the box, or
+// null if the ray misses it.
+Ray.prototype.intersectAABB = function (box) {
+  var tmin = 0.0, tmax = Infinity;
+  for (var i = 0; i < 3; i++) {
+    var inv = 1.0 / this.direction[i];
+    var t0 = (box.min[i] - this.origin[i]) * inv;
+    var t1 = (box.max[i] - this.origin[i]) * inv;
+    if (inv < 0) { var tmp = t0; t0 = t1; t1 = tmp; }
+    // NaN (origin on a slab with zero direction) keeps the old bounds
+    if (t0 > tmin) tmin = t0;
+    if (t1 < tmax) tmax = t1;
+    if (tmin > tmax) return null;
+  }
+  return { tmin: tmin, tmax: tmax };
+}
+
+// Ray parameter of the hit with a plane, or null if parallel or behind
+Ray.prototype.intersectPlane = function (plane) {
+  var denom = dot(plane.normal, this.direction);
+  if (Math.abs(denom) < 1e-12) return null;
+  var t = -plane.distance(this.origin) / denom;
+  return t >= 0 ? t : null;
+}
+
+// Ray parameter of the first hit with a sphere, or null
+Ray.prototype.intersectSphere = function (sphere) {
+  var oc = subtract(this.origin, sphere.center);
+  var a = dot(this.direction, this.direction);
+  var b = dot(oc, this.direction);
+  var c = dot(oc, oc) - sphere.radius * sphere.radius;
+  var disc = b * b - a * c;
+  if (disc < 0) return null;
+  var sq = Math.sqrt(disc);
+  var t = (-b - sq) / a;
+  if (t < 0) t = (-b + sq) / a;
+  return t >= 0 ? t : null;
+}
+
+//------------------------------------------------------------------------------
+// AABB Object (empty when min > max)
+//------------------------------------------------------------------------------
+var AABB = function (min, max) {
+  this.min = min ? vec3(min[0], min[1], min[2]) : vec3(Infinity, Infinity, Infinity);
+  this.max = max ? vec3(max[0], max[1], max[2]) : vec3(-Infinity, -Infinity, -Infinity);
+}
+
+// Box around positions given as an array of vec3/vec4 or as a flat array with
+// 4 floats per vertex (DrawingInfo.vertices)
+AABB.fromPositions = function (positions) {
+  var box = new AABB();
+  if (Array.isArray(positions[0])) {
+    for (var i = 0; i < positions.length; i++) box.expandByPoint(positions[i]);
+  }
+  else {
+    for (var i = 0; i + 3 < positions.length; i += 4) {
+      box.expandByPoint([positions[i], positions[i + 1], positions[i + 2]]);
+    }
+  }
+  return box;
+}
+
+AABB.prototype.isEmpty = function () {
+  return this.min[0] > this.max[0] || this.min[1] > this.max[1] || this.min[2] > this.max[2];
+}
+
+AABB.prototype.expandByPoint = function (p) {
+  for (var i = 0; i < 3; i++) {
+    if (p[i] < this.min[i]) this.min[i] = p[i];
+    if (p[i] > this.max[i]) this.max[i] = p[i];
+  }
+  return this;
+}
+
+AABB.prototype.union = function (box) {
+  if (!box.isEmpty()) {
+    this.expandByPoint(box.min);
+    this.expandByPoint(box.max);
+  }
+  return this;
+}
+
+AABB.prototype.center = function () {
+  return mix(this.min, this.max, 0.5);
+}
+
+AABB.prototype.size = function () {
+  return subtract(this.max, this.min);
+}
+
+AABB.prototype.surfaceArea = function () {
+  if (this.isEmpty()) return 0.0;
+  var s = this.size();
+  return 2 * (s[0] * s[1] + s[1] * s[2] + s[2] * s[0]);
+}
+
+AABB.prototype.containsPoint = function (p) {
+  return p[0] >= this.min[0] && p[0] <= this.max[0] &&
+         p[1] >= this.min[1] && p[1] <= this.max[1] &&
+         p[2] >= this.min[2] && p[2] <= this.max[2];
+}
+
+AABB.prototype.intersectsAABB = function (box) {
+  return this.min[0] <= box.max[0] && this.max[0] >= box.min[0] &&
+         this.min[1] <= box.max[1] && this.max[1] >= box.min[1] &&
+         this.min[2] <= box.max[2] && this.max[2] >= box.min[2];
+}
+
+// Box around this box transformed by the affine matrix M (Arvo's method)
+AABB.prototype.transform = function (M) {
+  if (this.isEmpty()) return new AABB();
+  var min = vec3(M[0][3], M[1][3], M[2][3]);
+  var max = vec3(M[0][3], M[1][3], M[2][3]);
+  for (var i = 0; i < 3; i++) {
+    for (var j = 0; j < 3; j++) {
+      var a = M[i][j] * this.min[j], b = M[i][j] * this.max[j];
+      min[i] += Math.min(a, b);
+      max[i] += Math.max(a, b);
+    }
+  }
+  return new AABB(min, max);
+}
+
+//------------------------------------------------------------------------------
+// BoundingSphere Object
+//------------------------------------------------------------------------------
+var BoundingSphere = function (center, radius) {
+  this.center = center ? vec3(center[0], center[1], center[2]) : vec3();
+  this.radius = radius || 0.0;
+}
+
+// Sphere around positions (as for AABB.fromPositions) centered at the center
+// of their bounding box
+BoundingSphere.fromPositions = function (positions) {
+  var box = AABB.fromPositions(positions);
+  if (box.isEmpty()) return new BoundingSphere();
+  var center = box.center();
+  var r2 = 0.0;
+  var check = function (x, y, z) {
+    var dx = x - center[0], dy = y - center[1], dz = z - center[2];
+    r2 = Math.max(r2, dx * dx + dy * dy + dz * dz);
+  };
+  if (Array.isArray(positions[0])) {
+    for (var i = 0; i < positions.length; i++) check(positions[i][0], positions[i][1], positions[i][2]);
+  }
+  else {
+    for (var i = 0; i + 3 < positions.length; i += 4) check(positions[i], positions[i + 1], positions[i + 2]);
+  }
+  return new BoundingSphere(center, Math.sqrt(r2));
+}
+
+BoundingSphere.prototype.containsPoint = function (p) {
+  return length(subtract(vec3(p[0], p[1], p[2]), this.center)) <= this.radius;
+}
+
+// Sphere around this sphere transformed by the affine matrix M (the radius
+// is scaled by the largest scaling of M)
+BoundingSphere.prototype.transform = function (M) {
+  var c = mult(M, vec4(this.center[0], this.center[1], this.center[2], 1.0));
+  var s = 0.0;
+  for (var j = 0; j < 3; j++) {
+    s = Math.max(s, length(vec3(M[0][j], M[1][j], M[2][j])));
+  }
+  return new BoundingSphere(vec3(c[0], c[1], c[2]), this.radius * s);
+}
+
+//------------------------------------------------------------------------------
+// Frustum Object: six planes with normals pointing inwards
+//------------------------------------------------------------------------------
+var Frustum = function (planes) {
+  this.planes = planes; // left, right, bottom, top, near, far
+}
+
+// Frustum of a projection (times view, times model) matrix, in the space the
+// matrix is applied to. zeroToOne is for perspectiveZO/orthoZO style matrices
+// with depth in [0, 1]; the default is depth in [-1, 1] as from perspective.
+Frustum.fromMatrix = function (M, zeroToOne) {
+  var row = function (i) { return vec4(M[i][0], M[i][1], M[i][2], M[i][3]); };
+  var r0 = row(0), r1 = row(1), r2 = row(2), r3 = row(3);
+  var planes = [add(r3, r0), subtract(r3, r0), add(r3, r1), subtract(r3, r1),
+                zeroToOne ? r2 : add(r3, r2), subtract(r3, r2)];
+  return new Frustum(planes.map(function (p) { return Plane.fromVec4(p).normalize(); }));
+}
+
+Frustum.prototype.containsPoint = function (p) {
+  for (var i = 0; i < 6; i++) {
+    if (this.planes[i].distance(p) < 0) return false;
+  }
+  return true;
+}
+
+// False only if the box is completely outside one of the planes (boxes near
+// the corners may give true though they are outside)
+Frustum.prototype.intersectsAABB = function (box) {
+  for (var i = 0; i < 6; i++) {
+    var n = this.planes[i].normal;
+    // The corner furthest along the normal
+    var p = vec3(n[0] >= 0 ? box.max[0] : box.min[0],
+                 n[1] >= 0 ? box.max[1] : box.min[1],
+                 n[2] >= 0 ? box.max[2] : box.min[2]);
+    if (this.planes[i].distance(p) < 0) return false;
+  }
+  return true;
+}
+
+Frustum.prototype.intersectsSphere = function (sphere) {
+  for (var i = 0; i < 6; i++) {
+    if (this.planes[i].distance(sphere.center) < -sphere.radius) return false;
+  }
+  return true;
+}
@@ -0,0 +1,230 @@
+// IDPicker.js
+//
+// GPU picking: an extra render pass writes the object and triangle under each
+// pixel into an r32uint texture, and the pixel under the cursor is copied to
+// a buffer and read back with mapAsync. Unlike ray casting (Picking.js) the
+// cost does not grow with the number of triangles on the CPU. The pass only
+// runs when pick is called, not every frame. Requires MV.js.
+//
+// Example:
+//   var picker = new IDPicker(device, canvas.width, canvas.height);
+//   var suzanne = picker.addMesh(obj.vertices, obj.indices);
+//   canvas.onclick = async function (ev) {
+//     var hit = await picker.pickEvent(ev, canvas, [{ mesh: suzanne, mvp: mvpLeft },
+//                                                   { mesh: suzanne, mvp: mvpRight }]);
+//     if (hit) console.log(hit.object, hit.triangle); // hit.object is 0 or 1
+//   };
+
+var ID_PICKER_WGSL = `
+struct Uniforms {
+    mvp: mat4x4f,
+    id: u32,
+}
+
+@group(0) @binding(0) var<uniform> uniforms: Uniforms;
+@group(0) @binding(1) var<storage, read> positions: array<vec4f>;
+@group(0) @binding(2) var<storage, read> indices: array<u32>;
+
+struct VSOut {
+    @builtin(position) position: vec4f,
+    @location(0) @interpolate(flat) id: u32,
+}
+
+// Drawn without an index buffer so that vertex_index / 3 is the triangle
+@vertex
+fn main_vs(@builtin(vertex_index) vertex: u32) -> VSOut {
+    var vsOut: VSOut;
+    vsOut.position = uniforms.mvp * positions[indices[vertex]];
+    vsOut.id = uniforms.id | (vertex / 3u);
+    return vsOut;
+}
+
+@fragment
+fn main_fs(@location(0) @interpolate(flat) id: u32) -> @location(0) u32 {
+    return id;
+}
+`;
+
+// Object numbers are stored in the top 8 bits and triangles in the lower 24;
+// 0 is the background
+var ID_PICKER_TRIANGLE_BITS = 24;
+
+// Bytes per draw in the uniform buffer, the minimum alignment of dynamic
+// uniform buffer offsets
+var ID_PICKER_UNIFORM_STRIDE = 256;
+
+//------------------------------------------------------------------------------
+// IDPicker Object
+//------------------------------------------------------------------------------
+var IDPicker = function (device, width, height) {
+  this.device = device;
+  this.meshes = new Array(0);
+  this.busy = false; // A pick is waiting for its readback
+  this.uniformBuffer = null; // Uniforms of each draw at a dynamic offset
+  this.numDraws = 0;         // Number of draws uniformBuffer has room for
+
+  // The uniforms of a draw are chosen by a dynamic offset, so that a mesh
+  // can be drawn several times in one pick
+  this.bindGroupLayout = device.createBindGroupLayout({
+    entries: [
+      { binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform', hasDynamicOffset: true } },
+      { binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } },
+      { binding: 2, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } },
+    ],
+  });
+  var module = device.createShaderModule({ code: ID_PICKER_WGSL });
+  this.pipeline = device.createRenderPipeline({
+    layout: device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] }),
+    vertex: { module: module, entryPoint: 'main_vs' },
+    fragment: { module: module, entryPoint: 'main_fs', targets: [{ format: 'r32uint' }] },
+    primitive: { topology: 'triangle-list', frontFace: 'ccw', cullMode: 'back' },
+    depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' },
+  });
+
+  // One pixel, padded to the 256 bytes per row required by copies
+  this.readBuffer = device.createBuffer({
+    size: 256,
+    usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+  });
+  this.resize(width, height);
+}
+
+// Recreate the ID and depth targets, e.g. after the canvas changed size
+IDPicker.prototype.resize = function (width, height) {
+  if (this.idTexture) {
+    this.idTexture.destroy();
+    this.depthTexture.destroy();
+  }
+  this.width = width;
+  this.height = height;
+  this.idTexture = this.device.createTexture({
+    size: { width: width, height: height },
+    format: 'r32uint',
+    usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC,
+  });
+  this.depthTexture = this.device.createTexture({
+    size: { width: width, height: height },
+    format: 'depth24plus',
+    usage: GPUTextureUsage.RENDER_ATTACHMENT,
+  });
+}
+
+// Register a mesh: positions with 4 floats per vertex (DrawingInfo.vertices)
+// and indices with three per triangle. Returns the mesh number used in draws.
+IDPicker.prototype.addMesh = function (positions, indices) {
+  var device = this.device;
+  if (indices.length / 3 >= (1 << ID_PICKER_TRIANGLE_BITS)) throw new Error("IDPicker: too many triangles");
+
+  var positionBuffer = device.createBuffer({
+    size: positions.byteLength,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+  });
+  device.queue.writeBuffer(positionBuffer, 0, positions);
+  var indexBuffer = device.createBuffer({
+    size: indices.byteLength,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+  });
+  device.queue.writeBuffer(indexBuffer, 0, indices);
+  var mesh = { count: indices.length, positionBuffer: positionBuffer, indexBuffer: indexBuffer, bindGroup: null };
+  if (this.uniformBuffer) mesh.bindGroup = this.createBindGroup(mesh);
+  this.meshes.push(mesh);
+  return this.meshes.length - 1;
+}
+
+IDPicker.prototype.createBindGroup = function (mesh) {
+  return this.device.createBindGroup({
+    layout: this.bindGroupLayout,
+    entries: [
+      { binding: 0, resource: { buffer: this.uniformBuffer, size: sizeof['mat4'] + 16 } },
+      { binding: 1, resource: { buffer: mesh.positionBuffer } },
+      { binding: 2, resource: { buffer: mesh.indexBuffer } },
+    ],
+  });
+}
+
+// Make room in the uniform buffer for numDraws draws, recreating the bind
+// groups of the meshes when it grows
+IDPicker.prototype.reserveDraws = function (numDraws) {
+  if (numDraws <= this.numDraws) return;
+  if (this.uniformBuffer) this.uniformBuffer.destroy();
+  this.numDraws = Math.max(numDraws, this.numDraws * 2);
+  this.uniformBuffer = this.device.createBuffer({
+    size: this.numDraws * ID_PICKER_UNIFORM_STRIDE,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  for (var i = 0; i < this.meshes.length; i++) this.meshes[i].bindGroup = this.createBindGroup(this.meshes[i]);
+}
+
+// Render the draws ({ mesh, mvp } with mesh from addMesh and mvp the MV.js
+// matrix used for drawing, with depth in [0, 1]) and read back the ID at
+// pixel (x, y) from the top left. Resolves to { object, triangle } with object
+// the index in draws, or null for the background or while another pick is
+// pending. A mesh may appear in several draws.
+IDPicker.prototype.pick = async function (x, y, draws) {
+  if (draws.length >= (1 << (32 - ID_PICKER_TRIANGLE_BITS))) throw new Error("IDPicker: too many draws");
+  x = Math.floor(x);
+  y = Math.floor(y);
+  if (this.busy || x < 0 || y < 0 || x >= this.width || y >= this.height) return null;
+  this.busy = true;
+  var device = this.device;
+
+  // Every draw has its own matrix and ID, at offset i * ID_PICKER_UNIFORM_STRIDE
+  this.reserveDraws(Math.max(draws.length, 1));
+  var uniforms = new ArrayBuffer(draws.length * ID_PICKER_UNIFORM_STRIDE);
+  for (var i = 0; i < draws.length; i++) {
+    var offset = i * ID_PICKER_UNIFORM_STRIDE;
+    new Float32Array(uniforms, offset, 16).set(flatten(draws[i].mvp));
+    new Uint32Array(uniforms, offset + sizeof['mat4'], 1)[0] = (i + 1) << ID_PICKER_TRIANGLE_BITS >>> 0;
+  }
+  device.queue.writeBuffer(this.uniformBuffer, 0, uniforms);
+
+  var encoder = device.createCommandEncoder();
+  var pass = encoder.beginRenderPass({
+    colorAttachments: [{
+      view: this.idTexture.createView(),
+      loadOp: 'clear',
+      storeOp: 'store',
+      clearValue: { r: 0, g: 0, b: 0, a: 0 },
+    }],
+    depthStencilAttachment: {
+      view: this.depthTexture.createView(),
+      depthLoadOp: 'clear',
+      depthClearValue: 1.0,
+      depthStoreOp: 'discard',
+    },
+  });
+  pass.setPipeline(this.pipeline);
+  for (var i = 0; i < draws.length; i++) {
+    var mesh = this.meshes[draws[i].mesh];
+    pass.setBindGroup(0, mesh.bindGroup, [i * ID_PICKER_UNIFORM_STRIDE]);
+    pass.draw(mesh.count);
+  }
+  pass.end();
+  encoder.copyTextureToBuffer(
+    { texture: this.idTexture, origin: { x: x, y: y } },
+    { buffer: this.readBuffer, bytesPerRow: 256 },
+    { width: 1, height: 1 });
+  device.queue.submit([encoder.finish()]);
+
+  try {
+    await this.readBuffer.mapAsync(GPUMapMode.READ);
+    var value = new Uint32Array(this.readBuffer.getMappedRange(0, 4))[0];
+    this.readBuffer.unmap();
+  }
+  finally {
+    this.busy = false;
+  }
+  if (value == 0) return null;
+  return {
+    object: (value >>> ID_PICKER_TRIANGLE_BITS) - 1,
+    triangle: value & ((1 << ID_PICKER_TRIANGLE_BITS) - 1),
+  };
+}
+
+// pick at the position of a mouse event on the canvas
+IDPicker.prototype.pickEvent = function (ev, canvas, draws) {
+  var rect = canvas.getBoundingClientRect();
+  var x = (ev.clientX - rect.left) * this.width / rect.width;
+  var y = (ev.clientY - rect.top) * this.height / rect.height;
+  return this.pick(x, y, draws);
+}
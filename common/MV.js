@@ -509,6 +509,96 @@ function perspective( fovy, aspect, near, far )
     return result;
 }
 
+//----------------------------------------------------------------------------
+
+function frustum( left, right, bottom, top, near, far )
+{
+    if ( left == right ) { throw "frustum(): left and right are equal"; }
+    if ( bottom == top ) { throw "frustum(): bottom and top are equal"; }
+    if ( near == far )   { throw "frustum(): near and far are equal"; }
+
+    var w = right - left;
+    var h = top - bottom;
+    var d = far - near;
+
+    var result = mat4();
+    result[0][0] = 2.0 * near / w;
+    result[0][2] = (right + left) / w;
+    result[1][1] = 2.0 * near / h;
+    result[1][2] = (top + bottom) / h;
+    result[2][2] = -(near + far) / d;
+    result[2][3] = -2 * near * far / d;
+    result[3][2] = -1;
+    result[3][3] = 0.0;
+
+    return result;
+}
+
+//----------------------------------------------------------------------------
+//
+//  WebGPU Projection Matrix Generators
+//
+//  ortho, perspective and frustum map depth to [-1,1] as OpenGL does. The
+//  ZO versions map near to 0 and far to 1 as WebGPU expects, so no extra
+//  depth remapping matrix is needed. far may be Infinity for the perspective
+//  versions. The ReversedZ version maps near to 1 and far to 0, which spreads
+//  float depth precision evenly over large scenes; use it with depthCompare
+//  "greater" and a depthClearValue of 0.
+//
+
+function orthoZO( left, right, bottom, top, near, far )
+{
+    var result = ortho( left, right, bottom, top, near, far );
+    result[2][2] = -1.0 / (far - near);
+    result[2][3] = -near / (far - near);
+
+    return result;
+}
+
+//----------------------------------------------------------------------------
+
+function frustumZO( left, right, bottom, top, near, far )
+{
+    var result = frustum( left, right, bottom, top, near, far );
+    if ( far == Infinity ) {
+        result[2][2] = -1.0;
+        result[2][3] = -near;
+    }
+    else {
+        result[2][2] = -far / (far - near);
+        result[2][3] = -near * far / (far - near);
+    }
+
+    return result;
+}
+
+//----------------------------------------------------------------------------
+
+function perspectiveZO( fovy, aspect, near, far )
+{
+    var top = near * Math.tan( radians(fovy) / 2 );
+    var right = top * aspect;
+
+    return frustumZO( -right, right, -top, top, near, far );
+}
+
+//----------------------------------------------------------------------------
+
+function perspectiveReversedZ( fovy, aspect, near, far )
+{
+    var result = perspectiveZO( fovy, aspect, near, far );
+    if ( far == Infinity ) {
+        result[2][2] = 0.0;
+        result[2][3] = near;
+    }
+    else {
+        result[2][2] = near / (far - near);
+        result[2][3] = near * far / (far - near);
+    }
+
+    return result;
+}
+
 //----------------------------------------------------------------------------
 //
 //  Matrix Functions
@@ -0,0 +1,300 @@
+// MVFast.js
+//
+// Float32Array versions of the MV.js functions used every frame. Each function
+// writes into a preallocated out array and returns it, so animated scenes can
+// update uniforms without creating garbage:
+//
+//   var M = fmat4.create(), MVP = fmat4.create();      // once
+//   fmat4.translate(M, fmat4.identity(M), 0, teapotY, -3);  // every frame
+//   fmat4.multiply(MVP, VP, M);
+//   device.queue.writeBuffer(uniformBuffer, 0, MVP);
+//
+// Matrices are column-major like the output of flatten in MV.js, so they can
+// be written to buffers directly. fmat4.fromMV and fmat4.toMV convert to and
+// from MV.js matrices; out may be the same array as an input everywhere.
+// Requires MV.js (radians).
+
+//------------------------------------------------------------------------------
+// fvec3
+//------------------------------------------------------------------------------
+var fvec3 = {
+  create: function (x, y, z) {
+    var out = new Float32Array(3);
+    if (x != null) fvec3.set(out, x, y, z);
+    return out;
+  },
+
+  set: function (out, x, y, z) {
+    out[0] = x; out[1] = y; out[2] = z;
+    return out;
+  },
+
+  // From an MV.js vec3/vec4 (or any array)
+  fromMV: function (out, v) {
+    out[0] = v[0]; out[1] = v[1]; out[2] = v[2];
+    return out;
+  },
+
+  add: function (out, a, b) {
+    out[0] = a[0] + b[0]; out[1] = a[1] + b[1]; out[2] = a[2] + b[2];
+    return out;
+  },
+
+  subtract: function (out, a, b) {
+    out[0] = a[0] - b[0]; out[1] = a[1] - b[1]; out[2] = a[2] - b[2];
+    return out;
+  },
+
+  scale: function (out, a, s) {
+    out[0] = a[0] * s; out[1] = a[1] * s; out[2] = a[2] * s;
+    return out;
+  },
+
+  dot: function (a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  },
+
+  cross: function (out, a, b) {
+    var x = a[1] * b[2] - a[2] * b[1];
+    var y = a[2] * b[0] - a[0] * b[2];
+    var z = a[0] * b[1] - a[1] * b[0];
+    out[0] = x; out[1] = y; out[2] = z;
+    return out;
+  },
+
+  length: function (a) {
+    return Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+  },
+
+  normalize: function (out, a) {
+    var len = fvec3.length(a);
+    return fvec3.scale(out, a, len > 0 ? 1.0 / len : 0.0);
+  },
+
+  // out = M * (p, 1) with the perspective divide
+  transformPoint: function (out, m, p) {
+    var x = p[0], y = p[1], z = p[2];
+    var w = m[3] * x + m[7] * y + m[11] * z + m[15];
+    if (w == 0) w = 1.0;
+    out[0] = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+    out[1] = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+    out[2] = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+    return out;
+  }
+};
+
+//------------------------------------------------------------------------------
+// fmat4 (element at row r, column c is m[c * 4 + r])
+//------------------------------------------------------------------------------
+var fmat4 = {
+  create: function () {
+    return fmat4.identity(new Float32Array(16));
+  },
+
+  identity: function (out) {
+    out.fill(0);
+    out[0] = out[5] = out[10] = out[15] = 1.0;
+    return out;
+  },
+
+  copy: function (out, a) {
+    out.set(a);
+    return out;
+  },
+
+  // From an MV.js mat4 (same values as flatten(m), without allocating)
+  fromMV: function (out, m) {
+    for (var r = 0; r < 4; r++)
+      for (var c = 0; c < 4; c++) out[c * 4 + r] = m[r][c];
+    return out;
+  },
+
+  // To an MV.js mat4, for use with the other functions of MV.js
+  toMV: function (a) {
+    var m = mat4();
+    for (var r = 0; r < 4; r++)
+      for (var c = 0; c < 4; c++) m[r][c] = a[c * 4 + r];
+    return m;
+  },
+
+  // out = a * b
+  multiply: function (out, a, b) {
+    var a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+    var a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+    var a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+    var a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+    for (var c = 0; c < 4; c++) {
+      var b0 = b[c * 4], b1 = b[c * 4 + 1], b2 = b[c * 4 + 2], b3 = b[c * 4 + 3];
+      out[c * 4]     = a00 * b0 + a10 * b1 + a20 * b2 + a30 * b3;
+      out[c * 4 + 1] = a01 * b0 + a11 * b1 + a21 * b2 + a31 * b3;
+      out[c * 4 + 2] = a02 * b0 + a12 * b1 + a22 * b2 + a32 * b3;
+      out[c * 4 + 3] = a03 * b0 + a13 * b1 + a23 * b2 + a33 * b3;
+    }
+    return out;
+  },
+
+  transpose: function (out, a) {
+    if (out === a) {
+      var t;
+      t = a[1]; out[1] = a[4]; out[4] = t;
+      t = a[2]; out[2] = a[8]; out[8] = t;
+      t = a[3]; out[3] = a[12]; out[12] = t;
+      t = a[6]; out[6] = a[9]; out[9] = t;
+      t = a[7]; out[7] = a[13]; out[13] = t;
+      t = a[11]; out[11] = a[14]; out[14] = t;
+      return out;
+    }
+    for (var r = 0; r < 4; r++)
+      for (var c = 0; c < 4; c++) out[c * 4 + r] = a[r * 4 + c];
+    return out;
+  },
+
+  // Returns null (leaving out unchanged) if a is singular
+  invert: function (out, a) {
+    var a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+    var a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+    var a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+    var a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+    var b00 = a00 * a11 - a01 * a10, b01 = a00 * a12 - a02 * a10;
+    var b02 = a00 * a13 - a03 * a10, b03 = a01 * a12 - a02 * a11;
+    var b04 = a01 * a13 - a03 * a11, b05 = a02 * a13 - a03 * a12;
+    var b06 = a20 * a31 - a21 * a30, b07 = a20 * a32 - a22 * a30;
+    var b08 = a20 * a33 - a23 * a30, b09 = a21 * a32 - a22 * a31;
+    var b10 = a21 * a33 - a23 * a31, b11 = a22 * a33 - a23 * a32;
+    var det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    if (det == 0) return null;
+    det = 1.0 / det;
+    out[0]  = (a11 * b11 - a12 * b10 + a13 * b09) * det;
+    out[1]  = (a02 * b10 - a01 * b11 - a03 * b09) * det;
+    out[2]  = (a31 * b05 - a32 * b04 + a33 * b03) * det;
+    out[3]  = (a22 * b04 - a21 * b05 - a23 * b03) * det;
+    out[4]  = (a12 * b08 - a10 * b11 - a13 * b07) * det;
+    out[5]  = (a00 * b11 - a02 * b08 + a03 * b07) * det;
+    out[6]  = (a32 * b02 - a30 * b05 - a33 * b01) * det;
+    out[7]  = (a20 * b05 - a22 * b02 + a23 * b01) * det;
+    out[8]  = (a10 * b10 - a11 * b08 + a13 * b06) * det;
+    out[9]  = (a01 * b08 - a00 * b10 - a03 * b06) * det;
+    out[10] = (a30 * b04 - a31 * b02 + a33 * b00) * det;
+    out[11] = (a21 * b02 - a20 * b04 - a23 * b00) * det;
+    out[12] = (a11 * b07 - a10 * b09 - a12 * b06) * det;
+    out[13] = (a00 * b09 - a01 * b07 + a02 * b06) * det;
+    out[14] = (a31 * b01 - a30 * b03 - a32 * b00) * det;
+    out[15] = (a20 * b03 - a21 * b01 + a22 * b00) * det;
+    return out;
+  },
+
+  // out = a * translate(x, y, z)
+  translate: function (out, a, x, y, z) {
+    if (out !== a) out.set(a);
+    for (var r = 0; r < 4; r++) {
+      out[12 + r] = a[r] * x + a[4 + r] * y + a[8 + r] * z + a[12 + r];
+    }
+    return out;
+  },
+
+  // out = a * scalem(x, y, z)
+  scale: function (out, a, x, y, z) {
+    for (var r = 0; r < 4; r++) {
+      out[r] = a[r] * x;
+      out[4 + r] = a[4 + r] * y;
+      out[8 + r] = a[8 + r] * z;
+      out[12 + r] = a[12 + r];
+    }
+    return out;
+  },
+
+  // out = a * rotate(angle, axis), angle in degrees as in MV.js
+  rotate: function (out, a, angle, axis) {
+    var x = axis[0], y = axis[1], z = axis[2];
+    var len = Math.sqrt(x * x + y * y + z * z);
+    if (len == 0) return fmat4.copy(out, a);
+    x /= len; y /= len; z /= len;
+    var c = Math.cos(radians(angle)), s = Math.sin(radians(angle)), omc = 1.0 - c;
+    // Columns of the rotation
+    var r00 = x * x * omc + c,     r01 = y * x * omc + z * s, r02 = x * z * omc - y * s;
+    var r10 = x * y * omc - z * s, r11 = y * y * omc + c,     r12 = y * z * omc + x * s;
+    var r20 = x * z * omc + y * s, r21 = y * z * omc - x * s, r22 = z * z * omc + c;
+    for (var r = 0; r < 4; r++) {
+      var a0 = a[r], a1 = a[4 + r], a2 = a[8 + r];
+      out[r]     = a0 * r00 + a1 * r01 + a2 * r02;
+      out[4 + r] = a0 * r10 + a1 * r11 + a2 * r12;
+      out[8 + r] = a0 * r20 + a1 * r21 + a2 * r22;
+      out[12 + r] = a[12 + r];
+    }
+    return out;
+  },
+
+  // Same matrix as lookAt in MV.js
+  lookAt: function (out, eye, at, up) {
+    var vx = at[0] - eye[0], vy = at[1] - eye[1], vz = at[2] - eye[2];
+    var len = Math.sqrt(vx * vx + vy * vy + vz * vz);
+    if (len == 0) return fmat4.identity(out);
+    vx /= len; vy /= len; vz /= len;
+    // n = normalize(v x up)
+    var nx = vy * up[2] - vz * up[1], ny = vz * up[0] - vx * up[2], nz = vx * up[1] - vy * up[0];
+    len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    nx /= len; ny /= len; nz /= len;
+    // u = n x v
+    var ux = ny * vz - nz * vy, uy = nz * vx - nx * vz, uz = nx * vy - ny * vx;
+    out[0] = nx; out[4] = ny; out[8] = nz;
+    out[1] = ux; out[5] = uy; out[9] = uz;
+    out[2] = -vx; out[6] = -vy; out[10] = -vz;
+    out[3] = out[7] = out[11] = 0.0;
+    out[12] = -(nx * eye[0] + ny * eye[1] + nz * eye[2]);
+    out[13] = -(ux * eye[0] + uy * eye[1] + uz * eye[2]);
+    out[14] = vx * eye[0] + vy * eye[1] + vz * eye[2];
+    out[15] = 1.0;
+    return out;
+  },
+
+  // Same matrix as perspective in MV.js (fovy in degrees, z in [-1, 1])
+  perspective: function (out, fovy, aspect, near, far) {
+    var f = 1.0 / Math.tan(radians(fovy) / 2);
+    var d = far - near;
+    out.fill(0);
+    out[0] = f / aspect;
+    out[5] = f;
+    out[10] = -(near + far) / d;
+    out[11] = -1.0;
+    out[14] = -2 * near * far / d;
+    return out;
+  },
+
+  // Same matrix as ortho in MV.js
+  ortho: function (out, left, right, bottom, top, near, far) {
+    var w = right - left, h = top - bottom, d = far - near;
+    fmat4.identity(out);
+    out[0] = 2.0 / w;
+    out[5] = 2.0 / h;
+    out[10] = -2.0 / d;
+    out[12] = -(left + right) / w;
+    out[13] = -(top + bottom) / h;
+    out[14] = -(near + far) / d;
+    return out;
+  },
+
+  // Inverse transpose of the upper 3x3 of a, with the last row and column of
+  // the identity. The first 12 floats are the layout of a WGSL mat3x3f.
+  normalMatrix: function (out, a) {
+    // mRC is row R, column C; the inverse transpose is the cofactor matrix
+    // divided by the determinant
+    var m00 = a[0], m10 = a[1], m20 = a[2];
+    var m01 = a[4], m11 = a[5], m21 = a[6];
+    var m02 = a[8], m12 = a[9], m22 = a[10];
+    var c00 = m11 * m22 - m12 * m21, c01 = m12 * m20 - m10 * m22, c02 = m10 * m21 - m11 * m20;
+    var det = m00 * c00 + m01 * c01 + m02 * c02;
+    var s = det != 0 ? 1.0 / det : 0.0;
+    out[0] = c00 * s;
+    out[1] = (m21 * m02 - m22 * m01) * s;
+    out[2] = (m01 * m12 - m02 * m11) * s;
+    out[4] = c01 * s;
+    out[5] = (m22 * m00 - m20 * m02) * s;
+    out[6] = (m02 * m10 - m00 * m12) * s;
+    out[8] = c02 * s;
+    out[9] = (m20 * m01 - m21 * m00) * s;
+    out[10] = (m00 * m11 - m01 * m10) * s;
+    out[3] = out[7] = out[11] = out[12] = out[13] = out[14] = 0.0;
+    out[15] = 1.0;
+    return out;
+  }
+};
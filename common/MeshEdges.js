@@ -0,0 +1,129 @@
+// MeshEdges.js
+//
+// Edge extraction from triangle meshes for wireframe overlays drawn with a
+// "line-list" pipeline (as the cube of week 3). Works on a DrawingInfo or on
+// positions + indices like those of the subdivision sphere of week 4.
+// Requires MV.js.
+
+//------------------------------------------------------------------------------
+// MeshEdges Object
+//------------------------------------------------------------------------------
+
+// mesh is a DrawingInfo, or an array of vec3/vec4 positions, or a flat array
+// with 4 floats per vertex. indices holds three per triangle and defaults to
+// mesh.indices. Vertices at the same position are welded, so edges are not
+// doubled where a DrawingInfo splits vertices by normal or texture coordinate.
+var MeshEdges = function (mesh, indices) {
+  var positions = mesh.vertices || mesh;
+  if (!indices) indices = mesh.indices;
+  var getPosition = Array.isArray(positions[0])
+    ? function (i) { return [positions[i][0], positions[i][1], positions[i][2]]; }
+    : function (i) { return [positions[i * 4], positions[i * 4 + 1], positions[i * 4 + 2]]; };
+
+  // Weld vertices by position
+  var welded = new Map();
+  var weld = function (i) {
+    var p = getPosition(i);
+    var key = p[0] + ',' + p[1] + ',' + p[2];
+    if (!welded.has(key)) welded.set(key, i);
+    return welded.get(key);
+  };
+
+  this.numTriangles = Math.floor(indices.length / 3);
+  this.faceNormals = new Array(this.numTriangles);   // Unit normals (CCW)
+  this.facePoints = new Array(this.numTriangles);    // A point on each face
+  this.edges = new Array(0);                         // MeshEdge objects
+  var edgeMap = new Map();
+  for (var t = 0; t < this.numTriangles; t++) {
+    var v = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    var p = v.map(getPosition);
+    var n = cross(subtract(p[1], p[0]), subtract(p[2], p[0]));
+    var len = length(n);
+    this.faceNormals[t] = len > 0 ? [n[0] / len, n[1] / len, n[2] / len] : [0, 0, 0];
+    this.facePoints[t] = p[0];
+    for (var k = 0; k < 3; k++) {
+      var a = weld(v[k]), b = weld(v[(k + 1) % 3]);
+      if (a == b) continue; // Degenerate triangle
+      var key = a < b ? a + '/' + b : b + '/' + a;
+      var edge = edgeMap.get(key);
+      if (!edge) {
+        edge = new MeshEdge(v[k], v[(k + 1) % 3]);
+        edgeMap.set(key, edge);
+        this.edges.push(edge);
+      }
+      edge.faces.push(t);
+    }
+  }
+}
+
+// All unique edges as a line-list index buffer
+MeshEdges.prototype.allEdges = function () {
+  return this.toIndices(function () { return true; });
+}
+
+// Boundary edges (one face), non-manifold edges (more than two faces) and
+// edges where the face normals differ by more than angle degrees (default 30)
+MeshEdges.prototype.featureEdges = function (angle) {
+  var self = this;
+  return this.toIndices(function (edge) { return self.isFeatureEdge(edge, angle); });
+}
+
+// Edges between a face turned towards eye (a point in the space of the
+// positions) and a face turned away, plus boundary edges of front faces
+MeshEdges.prototype.silhouetteEdges = function (eye) {
+  var self = this;
+  return this.toIndices(function (edge) { return self.isSilhouetteEdge(edge, eye); });
+}
+
+MeshEdges.prototype.isFeatureEdge = function (edge, angle) {
+  if (edge.faces.length != 2) return true;
+  var cosAngle = Math.cos(radians(angle != null ? angle : 30));
+  return dot(this.faceNormals[edge.faces[0]], this.faceNormals[edge.faces[1]]) < cosAngle;
+}
+
+MeshEdges.prototype.isSilhouetteEdge = function (edge, eye) {
+  var front = 0;
+  for (var i = 0; i < edge.faces.length; i++) {
+    var t = edge.faces[i];
+    if (dot(this.faceNormals[t], subtract(vec3(eye[0], eye[1], eye[2]), this.facePoints[t])) > 0) front++;
+  }
+  if (edge.faces.length == 1) return front == 1;
+  return front > 0 && front < edge.faces.length;
+}
+
+// Line-list index buffer of the edges accepted by filter
+MeshEdges.prototype.toIndices = function (filter) {
+  var result = [];
+  for (var i = 0; i < this.edges.length; i++) {
+    var edge = this.edges[i];
+    if (filter(edge)) result.push(edge.a, edge.b);
+  }
+  return new Uint32Array(result);
+}
+
+//------------------------------------------------------------------------------
+// MeshEdge Object (a and b are vertex indices of the first triangle using it)
+//------------------------------------------------------------------------------
+var MeshEdge = function (a, b) {
+  this.a = a;
+  this.b = b;
+  this.faces = new Array(0); // Triangles sharing the edge
+}
+
+//------------------------------------------------------------------------------
+// Common function
+//------------------------------------------------------------------------------
+
+// Line-list index buffer for a wireframe overlay. With options.featureAngle
+// only feature edges are kept (see MeshEdges.featureEdges); with options.eye
+// silhouette edges are added.
+function extractEdges(mesh, indices, options)
+{
+  options = options || {};
+  var edges = new MeshEdges(mesh, indices);
+  if (options.featureAngle == null && options.eye == null) return edges.allEdges();
+  return edges.toIndices(function (edge) {
+    return (options.featureAngle != null && edges.isFeatureEdge(edge, options.featureAngle)) ||
+           (options.eye != null && edges.isSilhouetteEdge(edge, options.eye));
+  });
+}
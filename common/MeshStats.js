@@ -0,0 +1,194 @@
+// MeshStats.js
+//
+// Inspection of loaded meshes: counts, bounding box, surface area, volume and
+// topology problems (non-manifold edges, holes, duplicate vertices, normals
+// pointing against the winding), and fitting a model into a unit box.
+// Requires MV.js.
+
+//------------------------------------------------------------------------------
+// MeshReport Object
+//------------------------------------------------------------------------------
+var MeshReport = function () {
+  this.numVertices = 0;          // Vertices of the DrawingInfo
+  this.numPositions = 0;         // Distinct vertex positions
+  this.numTriangles = 0;
+  this.bboxMin = null;           // vec3, null if there are no vertices
+  this.bboxMax = null;
+  this.area = 0.0;
+  this.volume = 0.0;             // Negative if the triangles wind clockwise
+  this.degenerateTriangles = 0;  // Triangles with zero area
+  this.duplicateVertices = 0;    // Vertices equal to an earlier one in every attribute
+  this.boundaryEdges = 0;        // Edges with one triangle
+  this.boundaryLoops = 0;        // Holes in the surface
+  this.nonManifoldEdges = 0;     // Edges with more than two triangles
+  this.inconsistentEdges = 0;    // Edges traversed in the same direction by both triangles
+  this.invertedNormals = 0;      // Triangles whose vertex normals oppose the winding (see inspectMesh)
+}
+
+// A closed, consistently oriented surface: volume is meaningful
+MeshReport.prototype.isWatertight = function () {
+  return this.numTriangles > 0 && this.boundaryEdges == 0 &&
+         this.nonManifoldEdges == 0 && this.inconsistentEdges == 0;
+}
+
+MeshReport.prototype.toString = function () {
+  var fmt = function (v) { return v ? "(" + v.map(function (x) { return x.toFixed(3); }).join(", ") + ")" : "-"; };
+  return [
+    "vertices: " + this.numVertices + " (" + this.numPositions + " positions, " + this.duplicateVertices + " duplicates)",
+    "triangles: " + this.numTriangles + " (" + this.degenerateTriangles + " degenerate)",
+    "bounding box: " + fmt(this.bboxMin) + " - " + fmt(this.bboxMax),
+    "area: " + this.area.toFixed(4) + ", volume: " + this.volume.toFixed(4),
+    "boundary edges: " + this.boundaryEdges + " in " + this.boundaryLoops + " loops",
+    "non-manifold edges: " + this.nonManifoldEdges + ", inconsistent edges: " + this.inconsistentEdges,
+    "inverted normals: " + this.invertedNormals,
+    "watertight: " + (this.isWatertight() ? "yes" : "no")
+  ].join("\n");
+}
+
+//------------------------------------------------------------------------------
+// Common functions
+//------------------------------------------------------------------------------
+
+// Inspect a DrawingInfo (vertices and normals with 4 floats per vertex,
+// indices with three per triangle unless primitive is 'point-list'). Edges are
+// found between vertex positions, so vertices split by normal or texture
+// coordinate count as one. reverse is the one given to the loader: normals
+// are expected to point the way the loaders generate them, against the
+// counterclockwise winding unless reverse is set (calcVertexNormals).
+function inspectMesh(info, reverse)
+{
+  var report = new MeshReport();
+  var vertices = info.vertices, normals = info.normals, texcoords = info.texcoords;
+  var indices = info.indices;
+  var numVertices = Math.floor(vertices.length / 4);
+  report.numVertices = numVertices;
+
+  var bbox = inspectBoundingBox(vertices);
+  if (bbox) {
+    report.bboxMin = bbox.min;
+    report.bboxMax = bbox.max;
+  }
+
+  // Welded positions and duplicates
+  var positionIds = new Uint32Array(numVertices);
+  var positionMap = new Map();
+  var vertexKeys = new Set();
+  for (var i = 0; i < numVertices; i++) {
+    var key = vertices[i * 4] + "," + vertices[i * 4 + 1] + "," + vertices[i * 4 + 2];
+    if (!positionMap.has(key)) positionMap.set(key, positionMap.size);
+    positionIds[i] = positionMap.get(key);
+
+    var vertexKey = key;
+    if (normals) vertexKey += "/" + normals[i * 4] + "," + normals[i * 4 + 1] + "," + normals[i * 4 + 2];
+    if (texcoords) vertexKey += "/" + texcoords[i * 2] + "," + texcoords[i * 2 + 1];
+    if (vertexKeys.has(vertexKey)) report.duplicateVertices++;
+    else vertexKeys.add(vertexKey);
+  }
+  report.numPositions = positionMap.size;
+
+  // Area, volume (divergence theorem), normals and directed edges
+  var numTriangles = info.primitive == 'point-list' ? 0 : Math.floor(indices.length / 3);
+  report.numTriangles = numTriangles;
+  var sign = reverse ? 1.0 : -1.0; // Orientation of the loaders' normals
+  var edges = new Map(); // "a/b" with a < b -> { forward, backward }
+  for (var t = 0; t < numTriangles; t++) {
+    var v = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    var p = v.map(function (i) { return vec3(vertices[i * 4], vertices[i * 4 + 1], vertices[i * 4 + 2]); });
+    var n = cross(subtract(p[1], p[0]), subtract(p[2], p[0]));
+    var area2 = length(n);
+    if (area2 == 0) report.degenerateTriangles++;
+    report.area += area2 / 2;
+    report.volume += dot(p[0], cross(p[1], p[2])) / 6;
+
+    if (normals && area2 > 0) {
+      var sum = vec3();
+      for (var k = 0; k < 3; k++) {
+        sum = add(sum, vec3(normals[v[k] * 4], normals[v[k] * 4 + 1], normals[v[k] * 4 + 2]));
+      }
+      if (sign * dot(sum, n) < 0) report.invertedNormals++;
+    }
+
+    for (var k = 0; k < 3; k++) {
+      var a = positionIds[v[k]], b = positionIds[v[(k + 1) % 3]];
+      if (a == b) continue;
+      var key = a < b ? a + "/" + b : b + "/" + a;
+      var edge = edges.get(key);
+      if (!edge) {
+        edge = { a: Math.min(a, b), b: Math.max(a, b), forward: 0, backward: 0 };
+        edges.set(key, edge);
+      }
+      if (a < b) edge.forward++;
+      else edge.backward++;
+    }
+  }
+
+  // Classify edges. Boundary edges are joined into loops with union-find.
+  var parent = new Map();
+  var find = function (x) {
+    while (parent.get(x) != x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  edges.forEach(function (edge) {
+    var count = edge.forward + edge.backward;
+    if (count == 1) {
+      report.boundaryEdges++;
+      if (!parent.has(edge.a)) parent.set(edge.a, edge.a);
+      if (!parent.has(edge.b)) parent.set(edge.b, edge.b);
+      parent.set(find(edge.a), find(edge.b));
+    }
+    else if (count > 2) report.nonManifoldEdges++;
+    else if (edge.forward != 1) report.inconsistentEdges++;
+  });
+  parent.forEach(function (value, x) {
+    if (find(x) == x) report.boundaryLoops++;
+  });
+  return report;
+}
+
+// Model matrix centering the bounding box of a DrawingInfo at the origin and
+// scaling its largest side to size (default 1), to use instead of a hand-tuned
+// scalem for each model
+function fitToUnitBox(info, size)
+{
+  if (size == null) size = 1.0;
+  var bbox = inspectBoundingBox(info.vertices);
+  if (!bbox) return mat4();
+  var extent = subtract(bbox.max, bbox.min);
+  var largest = Math.max(extent[0], extent[1], extent[2]);
+  var s = largest > 0 ? size / largest : 1.0;
+  var center = mix(bbox.min, bbox.max, 0.5);
+  return mult(scalem(s, s, s), translate(-center[0], -center[1], -center[2]));
+}
+
+// Apply fitToUnitBox to the vertices of a DrawingInfo (normals keep their
+// direction under uniform scaling). Returns the matrix that was applied.
+function normalizeMesh(info, size)
+{
+  var M = fitToUnitBox(info, size);
+  var vertices = info.vertices;
+  for (var i = 0; i + 3 < vertices.length; i += 4) {
+    var p = mult(M, vec4(vertices[i], vertices[i + 1], vertices[i + 2], 1.0));
+    vertices[i] = p[0];
+    vertices[i + 1] = p[1];
+    vertices[i + 2] = p[2];
+  }
+  return M;
+}
+
+// { min, max } of positions with 4 floats each, null if there are none
+function inspectBoundingBox(vertices)
+{
+  if (vertices.length < 4) return null;
+  var min = vec3(vertices[0], vertices[1], vertices[2]);
+  var max = vec3(vertices[0], vertices[1], vertices[2]);
+  for (var i = 4; i + 3 < vertices.length; i += 4) {
+    for (var k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], vertices[i + k]);
+      max[k] = Math.max(max[k], vertices[i + k]);
+    }
+  }
+  return { min: min, max: max };
+}
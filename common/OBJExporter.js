@@ -0,0 +1,230 @@
+// OBJExporter.js
+//
+// Writes meshes built in the labs (the subdivision sphere, circle fans, drawn
+// shapes) or loaded DrawingInfos as Wavefront OBJ + MTL text that reads back
+// through OBJDoc.parse with the same positions, normals, texture coordinates
+// and materials. Requires MV.js and OBJParser.js (Material, Color, DrawRange).
+
+//------------------------------------------------------------------------------
+// OBJExporter
+//------------------------------------------------------------------------------
+
+// Serialize a mesh. The mesh object may hold (only positions is required):
+//   positions (or vertices) - array of vec2/vec3/vec4, or flat array with
+//                             options.positionSize floats per vertex (default 4
+//                             as in DrawingInfo, use 2 for week 1 circles)
+//   normals                 - array of vec3/vec4 or flat with 4 floats each
+//   texcoords               - array of vec2 or flat with 2 floats each
+//   indices                 - three per triangle (default 0, 1, 2, ...)
+//   primitive               - 'point-list' writes points instead of triangles
+//   materials, drawRanges   - as in DrawingInfo (see also materialsFromColors)
+//   submeshes               - as in DrawingInfo, written as named objects
+// A material named "" is the default material of OBJParser (faces before any
+// usemtl). It is not written to the MTL file, so it reads back as the default.
+// options.mtlDir is the directory the MTL file will be saved in, given the way
+// the texture paths of the materials are (OBJParser resolves them relative to
+// the page). Texture paths are written relative to it; without it only their
+// file names are written, for textures copied next to the MTL file.
+// Returns { obj, mtl } where mtl is null if the mesh has no named materials.
+function writeOBJ(mesh, options)
+{
+  options = options || {};
+  var name = options.name || "mesh";
+  var mtlFileName = options.mtlFileName || (name + ".mtl");
+  var positions = toOBJVectors(mesh.positions || mesh.vertices, options.positionSize || 4, 3);
+  var normals = mesh.normals ? toOBJVectors(mesh.normals, 4, 3) : null;
+  var texcoords = mesh.texcoords ? toOBJVectors(mesh.texcoords, 2, 2) : null;
+  var indices = mesh.indices;
+  if (!indices) {
+    indices = new Uint32Array(positions.length);
+    for (var i = 0; i < indices.length; i++) indices[i] = i;
+  }
+  var materials = mesh.materials && mesh.materials.length > 0 ? mesh.materials : null;
+  var hasMTL = materials != null && materials.some(function (m) { return m.name; });
+
+  var lines = ["# Exported from the 02561 lab journal"];
+  if (hasMTL) lines.push("mtllib " + mtlFileName);
+  for (var i = 0; i < positions.length; i++) lines.push("v " + positions[i].join(" "));
+  if (texcoords) for (var i = 0; i < texcoords.length; i++) lines.push("vt " + texcoords[i].join(" "));
+  if (normals) for (var i = 0; i < normals.length; i++) lines.push("vn " + normals[i].join(" "));
+
+  // Runs of triangles to write, each with an object name and a material
+  var runs;
+  if (mesh.submeshes && mesh.submeshes.length > 0) runs = mesh.submeshes;
+  else if (mesh.drawRanges && mesh.drawRanges.length > 0) runs = mesh.drawRanges;
+  else runs = [new DrawRange(0, 0, indices.length)];
+
+  var objectName = null;
+  var materialName = ""; // The parser starts with the default material
+  for (var r = 0; r < runs.length; r++) {
+    var run = runs[r];
+    var runName = run.name || name;
+    if (runName != objectName) {
+      lines.push("o " + sanitizeOBJName(runName));
+      objectName = runName;
+    }
+    if (materials && sanitizeOBJName(materials[run.materialIndex].name) != materialName) {
+      materialName = sanitizeOBJName(materials[run.materialIndex].name);
+      // A bare usemtl goes back to the default material
+      lines.push(materialName ? "usemtl " + materialName : "usemtl");
+    }
+    if (mesh.primitive == 'point-list') {
+      for (var i = run.first; i < run.first + run.count; i++) lines.push("p " + (indices[i] + 1));
+      continue;
+    }
+    for (var i = run.first; i + 2 < run.first + run.count; i += 3) {
+      var corners = [];
+      for (var k = 0; k < 3; k++) {
+        var v = indices[i + k] + 1;
+        corners.push(v + (texcoords ? "/" + v : normals ? "/" : "") + (normals ? "/" + v : ""));
+      }
+      lines.push("f " + corners.join(" "));
+    }
+  }
+
+  return {
+    obj: lines.join("\n") + "\n",
+    mtl: hasMTL ? writeMTL(materials, options.mtlDir) : null
+  };
+}
+
+// Serialize materials as MTL text, skipping the default material (named "").
+// Texture paths are written relative to mtlDir as in writeOBJ.
+function writeMTL(materials, mtlDir)
+{
+  var lines = ["# Exported from the 02561 lab journal"];
+  for (var i = 0; i < materials.length; i++) {
+    var m = materials[i];
+    if (!m.name) continue;
+    var rgb = function (c) { return c.r + " " + c.g + " " + c.b; };
+    lines.push("newmtl " + sanitizeOBJName(m.name));
+    if (m.ambient) lines.push("Ka " + rgb(m.ambient));
+    lines.push("Kd " + rgb(m.color));
+    if (m.specular) lines.push("Ks " + rgb(m.specular));
+    if (m.shininess != null) lines.push("Ns " + m.shininess);
+    lines.push("d " + (m.opacity != null ? m.opacity : m.color.a));
+    if (m.mapKd) lines.push("map_Kd " + relativeOBJPath(m.mapKd, mtlDir));
+    if (m.mapBump) lines.push("map_Bump " + relativeOBJPath(m.mapBump, mtlDir));
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+// Let the browser download a mesh as an OBJ file (and its MTL file)
+function downloadOBJ(fileName, mesh, options)
+{
+  options = Object.assign({}, options);
+  var base = fileName.replace(/\.obj$/i, "");
+  if (!options.name) options.name = base.substring(base.lastIndexOf("/") + 1);
+  options.mtlFileName = options.name + ".mtl";
+  var result = writeOBJ(mesh, options);
+  downloadOBJText(base + ".obj", result.obj);
+  if (result.mtl) downloadOBJText(base + ".mtl", result.mtl);
+}
+
+function downloadOBJText(fileName, text)
+{
+  var link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+  link.download = fileName.substring(fileName.lastIndexOf("/") + 1);
+  link.click();
+  setTimeout(function () { URL.revokeObjectURL(link.href); }, 0);
+}
+
+// Group triangles by the color of their first vertex, for meshes colored per
+// vertex from a palette (week 2). colors is an array of vec3/vec4 or flat with
+// 4 floats per vertex. Triangles are reordered so that each color is one draw
+// range; returns { indices, materials, drawRanges } to merge into the mesh.
+function materialsFromColors(colors, indices, numVertices)
+{
+  var list = toOBJVectors(colors, 4, 4);
+  if (!indices) {
+    indices = new Uint32Array(numVertices != null ? numVertices : list.length);
+    for (var i = 0; i < indices.length; i++) indices[i] = i;
+  }
+  var groups = new Map();
+  for (var i = 0; i + 2 < indices.length; i += 3) {
+    var c = list[indices[i]];
+    var key = c.join(",");
+    if (!groups.has(key)) groups.set(key, { color: c, triangles: [] });
+    groups.get(key).triangles.push(indices[i], indices[i + 1], indices[i + 2]);
+  }
+
+  var result = { indices: new Uint32Array(indices.length - indices.length % 3), materials: [], drawRanges: [] };
+  var first = 0;
+  groups.forEach(function (group) {
+    var c = group.color;
+    var materialIndex = result.materials.length;
+    result.materials.push(new Material("color" + materialIndex, c[0], c[1], c[2], c.length > 3 ? c[3] : 1));
+    result.indices.set(group.triangles, first);
+    result.drawRanges.push(new DrawRange(materialIndex, first, group.triangles.length));
+    first += group.triangles.length;
+  });
+  return result;
+}
+
+// Material from the Phong parameters of the lighting sliders (kd, ks and s
+// scale a white light; ka is the ambient fraction of the diffuse color)
+function makePhongMaterial(name, color, kd, ks, s, ka)
+{
+  var material = new Material(name, color[0] * kd, color[1] * kd, color[2] * kd, color.length > 3 ? color[3] : 1);
+  var a = ka != null ? ka : 0.0;
+  material.ambient = new Color(material.color.r * a, material.color.g * a, material.color.b * a, 1);
+  material.specular = new Color(ks, ks, ks, 1);
+  material.shininess = s;
+  return material;
+}
+
+// Turn nested vectors or a flat array with stride floats per element into an
+// array of arrays with n components (padded with zeros)
+function toOBJVectors(data, stride, n)
+{
+  var result = [];
+  if (Array.isArray(data[0])) {
+    for (var i = 0; i < data.length; i++) {
+      var v = [];
+      for (var k = 0; k < n; k++) v.push(k < data[i].length ? data[i][k] : 0);
+      result.push(v);
+    }
+  }
+  else {
+    for (var i = 0; i + stride <= data.length; i += stride) {
+      var v = [];
+      for (var k = 0; k < n; k++) v.push(k < stride ? data[i + k] : 0);
+      result.push(v);
+    }
+  }
+  return result;
+}
+
+// OBJ/MTL names end at white space
+function sanitizeOBJName(name)
+{
+  return name ? String(name).replace(/\s+/g, "_") : "";
+}
+
+// Path of a file relative to the directory dir, both relative to the same
+// place (or URLs). Without dir the file name alone is returned.
+function relativeOBJPath(path, dir)
+{
+  if (dir == null) return path.substring(path.lastIndexOf("/") + 1);
+  var normalize = function (p) {
+    var parts = [];
+    p.split("/").forEach(function (part) {
+      if (part == "..") {
+        if (parts.length > 0 && parts[parts.length - 1] != "..") parts.pop();
+        else parts.push(part);
+      }
+      else if (part != "." && part != "") parts.push(part);
+    });
+    return parts;
+  };
+  var from = normalize(dir), to = normalize(path);
+  var common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] == to[common]) common++;
+  // dir goes further up than path, so path cannot be reached from it
+  if (from.indexOf("..", common) >= 0) return path;
+  var up = [];
+  for (var i = common; i < from.length; i++) up.push("..");
+  return up.concat(to.slice(common)).join("/");
+}
@@ -12,7 +12,10 @@
 // OBJParser
 //------------------------------------------------------------------------------
 
-async function readOBJFile(fileName, scale, reverse)
+// The optional options object is passed on to getDrawingInfo. Problems found
+// while parsing are logged and returned as errors and warnings in the drawing
+// info; with options.strict, a file with errors gives null instead.
+async function readOBJFile(fileName, scale, reverse, options)
 {
   const response = await fetch(fileName);
   if(response.ok)
@@ -20,16 +23,88 @@ async function readOBJFile(fileName, scale, reverse)
     var objDoc = new OBJDoc(fileName); // Create an OBJDoc object
     let fileText = await response.text();
     let result = await objDoc.parse(fileText, scale, reverse);
-    if(!result) {
+    objDoc.logMessages();
+    if(!result && options && options.strict) {
       console.log("OBJ file parsing error.");
       return null;
     }
-    return objDoc.getDrawingInfo();
+    return objDoc.getDrawingInfo(options);
   }
-  else
+  else {
+    console.log(fileName + ": HTTP " + response.status + " " + response.statusText);
     return null;
+  }
+}
+
+// Read an OBJ file without holding the whole file in memory as text. The
+// options are passed on to getDrawingInfo, except options.onProgress, which is
+// called with an OBJProgress as the data arrives.
+async function readOBJFileStream(fileName, scale, reverse, options)
+{
+  options = options || {};
+  const response = await fetch(fileName);
+  if(!response.ok) {
+    console.log(fileName + ": HTTP " + response.status + " " + response.statusText);
+    return null;
+  }
+
+  var objDoc = new OBJDoc(fileName); // Create an OBJDoc object
+  let result;
+  if(response.body) {
+    let bytesTotal = parseInt(response.headers.get("Content-Length")) || 0;
+    result = await objDoc.parseStream(response.body, scale, reverse, options.onProgress, bytesTotal);
+  }
+  else {
+    result = await objDoc.parse(await response.text(), scale, reverse);
+  }
+  objDoc.logMessages();
+  if(!result && options.strict) {
+    console.log("OBJ file parsing error.");
+    return null;
+  }
+  return objDoc.getDrawingInfo(options);
 }
 
+// Read an OBJ file in a Web Worker (see OBJWorker.js), so that parsing does not
+// block the page. Takes the same arguments as readOBJFileStream; options must
+// not hold functions other than onProgress.
+function readOBJFileInWorker(fileName, scale, reverse, options)
+{
+  options = options || {};
+  return new Promise(function (resolve, reject) {
+    var worker = new Worker(options.workerURL || OBJ_WORKER_URL);
+    var workerOptions = Object.assign({}, options);
+    delete workerOptions.onProgress;
+    delete workerOptions.workerURL;
+    worker.onmessage = function (event) {
+      var msg = event.data;
+      if (msg.type == 'progress') {
+        if (options.onProgress) options.onProgress(msg.progress);
+        return;
+      }
+      worker.terminate();
+      if (msg.type == 'error') reject(new Error(msg.message));
+      else resolve(msg.info ? Object.assign(new DrawingInfo(), msg.info) : null);
+    };
+    worker.onerror = function (event) {
+      worker.terminate();
+      reject(new Error(event.message));
+    };
+    worker.postMessage({
+      fileName: new URL(fileName, location.href).href,
+      scale: scale,
+      reverse: reverse,
+      options: workerOptions,
+      progress: options.onProgress != null
+    });
+  });
+}
+
+// Location of OBJWorker.js, which sits next to this file
+var OBJ_WORKER_URL = (typeof document !== 'undefined' && document.currentScript)
+  ? new URL('OBJWorker.js', document.currentScript.src).href
+  : 'OBJWorker.js';
+
 // OBJDoc object
 // Constructor
 var OBJDoc = function (fileName) {
@@ -38,6 +113,9 @@ var OBJDoc = function (fileName) {
   this.objects = new Array(0);   // Initialize the property for Object
   this.vertices = new Array(0);  // Initialize the property for Vertex
   this.normals = new Array(0);   // Initialize the property for Normal
+  this.texcoords = new Array(0); // Initialize the property for TexCoord
+  this.errors = new Array(0);    // OBJParseMessages for malformed lines
+  this.warnings = new Array(0);  // OBJParseMessages for lines that were ignored
 }
 
 // Parsing the OBJ file
@@ -46,64 +124,161 @@ OBJDoc.prototype.parse = async function (fileString, scale, reverse) {
   lines.push(null); // Append null
   var index = 0;    // Initialize index of line
 
-  var currentObject = new OBJObject("");
-  this.objects.push(currentObject);
-  var currentMaterialName = "";
-
   // Parse line by line
   var line;         // A string in the line to be parsed
-  var sp = new StringParser();  // Create StringParser
+  this.beginParse(scale, reverse);
   while ((line = lines[index++]) != null) {
-    sp.init(line);                  // init StringParser
-    var command = sp.getWord();     // Get command
-    if (command == null) continue;  // check null command
+    this.parseLine(line);
+  }
 
-    switch (command) {
-      case '#':
-        continue;  // Skip comments
-      case 'mtllib':     // Read Material chunk
-        var path = this.parseMtllib(sp, this.fileName);
-        var mtl = new MTLDoc();   // Create MTL instance
-        this.mtls.push(mtl);
-        const response = await fetch(path);
-        if(response.ok) {
-          onReadMTLFile(await response.text(), mtl);
-        }
-        else {
-          mtl.complete = true;
-        }
-        continue; // Go to the next line
-      case 'o':
-      case 'g':   // Read Object name
-        if (currentObject.numIndices == 0) {
-          currentObject = this.parseObjectName(sp);
-          this.objects[0] = currentObject;
-        }
-        else {
-          var object = this.parseObjectName(sp);
-          this.objects.push(object);
-          currentObject = object;
-        }
-        continue; // Go to the next line
-      case 'v':   // Read vertex
-        var vertex = this.parseVertex(sp, scale);
-        this.vertices.push(vertex);
-        continue; // Go to the next line
-      case 'vn':   // Read normal
-        var normal = this.parseNormal(sp);
-        this.normals.push(normal);
-        continue; // Go to the next line
-      case 'usemtl': // Read Material name
-        currentMaterialName = this.parseUsemtl(sp);
-        continue; // Go to the next line
-      case 'f': // Read face
-        var face = this.parseFace(sp, currentMaterialName, this.vertices, reverse);
-        currentObject.addFace(face);
-        continue; // Go to the next line
+  return await this.endParse();
+}
+
+// Parsing the OBJ file from a ReadableStream (e.g. response.body) chunk by
+// chunk, so that the whole file never has to be held as one string. After each
+// chunk, onProgress (if given) receives an OBJProgress.
+OBJDoc.prototype.parseStream = async function (stream, scale, reverse, onProgress, bytesTotal) {
+  var reader = stream.getReader();
+  var decoder = new TextDecoder();
+  var progress = new OBJProgress(0, bytesTotal || 0);
+  var rest = "";    // Incomplete last line of the previous chunk
+
+  this.beginParse(scale, reverse);
+  for (; ;) {
+    var chunk = await reader.read();
+    if (chunk.done) break;
+    var text = rest + decoder.decode(chunk.value, { stream: true });
+    var start = 0, end;
+    while ((end = text.indexOf('\n', start)) >= 0) {
+      this.parseLine(text.substring(start, end));
+      start = end + 1;
+    }
+    rest = text.substring(start);
+
+    if (onProgress) {
+      progress.bytesLoaded += chunk.value.byteLength;
+      progress.vertices = this.vertices.length;
+      progress.faces = this.numFaces;
+      onProgress(progress);
     }
   }
+  this.parseLine(rest + decoder.decode());
 
-  return true;
+  return await this.endParse();
+}
+
+// Reset the parser state before the first line
+OBJDoc.prototype.beginParse = function (scale, reverse) {
+  this.scale = scale;
+  this.reverse = reverse;
+  this.numFaces = 0;
+  this.numPoints = 0;
+  this.currentObject = new OBJObject("");
+  this.objects.push(this.currentObject);
+  this.currentMaterialName = "";
+  this.sp = new StringParser();  // Create StringParser
+  this.mtlRequests = [];         // Pending MTL file requests
+  this.lineNumber = 0;
+  this.unsupported = {};         // Unsupported keywords already warned about
+}
+
+// Wait for the MTL files requested while parsing. Returns false if any errors
+// were found.
+OBJDoc.prototype.endParse = async function () {
+  await Promise.all(this.mtlRequests);
+  this.mtlRequests = [];
+  if (this.numFaces > 0 && this.numPoints > 0)
+    this.addWarning('p', "points ignored in a file with faces", this.pointLineNumber);
+  return this.errors.length == 0;
+}
+
+// Report a problem with the current line
+OBJDoc.prototype.addError = function (token, reason) {
+  this.errors.push(new OBJParseMessage(this.fileName, this.lineNumber, token, reason));
+}
+
+OBJDoc.prototype.addWarning = function (token, reason, lineNumber) {
+  if (lineNumber == null) lineNumber = this.lineNumber;
+  this.warnings.push(new OBJParseMessage(this.fileName, lineNumber, token, reason));
+}
+
+// Print the errors and warnings to the console
+OBJDoc.prototype.logMessages = function () {
+  for (var i = 0; i < this.errors.length; i++)
+    console.error(this.errors[i].toString());
+  for (var i = 0; i < this.warnings.length; i++)
+    console.warn(this.warnings[i].toString());
+}
+
+// Parse a single line of the OBJ file
+OBJDoc.prototype.parseLine = function (line) {
+  var sp = this.sp;
+  this.lineNumber++;
+  if (line.charAt(line.length - 1) == '\r') line = line.substring(0, line.length - 1);
+  sp.init(line);                  // init StringParser
+  var command = sp.getWord();     // Get command
+  if (command == null) return;    // check null command
+  if (command.charAt(0) == '#') return;  // Skip comments
+
+  switch (command) {
+    case 's':
+      return;  // Smoothing groups are not used (normals come from vn)
+    case 'mtllib':     // Read Material chunk
+      var path = this.parseMtllib(sp, this.fileName);
+      var mtl = new MTLDoc(path);   // Create MTL instance
+      this.mtls.push(mtl);
+      var doc = this, lineNumber = this.lineNumber;
+      this.mtlRequests.push(readMTLFile(path, mtl).then(function (found) {
+        if (!found) doc.addWarning(path, "MTL file not found", lineNumber);
+      }));
+      return; // Go to the next line
+    case 'o':
+    case 'g':   // Read Object name
+      if (this.currentObject.numIndices == 0 && this.currentObject.points.length == 0) {
+        this.currentObject = this.parseObjectName(sp);
+        this.objects[this.objects.length - 1] = this.currentObject;
+      }
+      else {
+        var object = this.parseObjectName(sp);
+        this.objects.push(object);
+        this.currentObject = object;
+      }
+      return; // Go to the next line
+    case 'v':   // Read vertex
+      var vertex = this.parseVertex(sp, this.scale);
+      this.vertices.push(vertex);
+      return; // Go to the next line
+    case 'vn':   // Read normal
+      var normal = this.parseNormal(sp);
+      this.normals.push(normal);
+      return; // Go to the next line
+    case 'vt':   // Read texture coordinate
+      var texcoord = this.parseTexCoord(sp);
+      this.texcoords.push(texcoord);
+      return; // Go to the next line
+    case 'usemtl': // Read Material name
+      this.currentMaterialName = this.parseUsemtl(sp);
+      return; // Go to the next line
+    case 'f': // Read face
+      var face = this.parseFace(sp, this.currentMaterialName, this.vertices, this.reverse);
+      if (face == null) return; // Skip faces with errors
+      this.currentObject.addFace(face);
+      this.numFaces++;
+      return; // Go to the next line
+    case 'p': // Read points
+      var points = this.parsePoints(sp, this.currentMaterialName, this.vertices);
+      if (points == null) return; // Skip points with errors
+      for (var i = 0; i < points.length; i++) this.currentObject.points.push(points[i]);
+      if (this.numPoints == 0) this.pointLineNumber = this.lineNumber;
+      this.numPoints += points.length;
+      return; // Go to the next line
+    default:
+      if (!this.unsupported[command]) {
+        this.unsupported[command] = true;
+        this.addWarning(command, "unsupported keyword");
+      }
+      return;
+  }
 }
 
 OBJDoc.prototype.parseMtllib = function (sp, fileName) {
@@ -121,21 +296,75 @@ OBJDoc.prototype.parseObjectName = function (sp) {
 }
 
 OBJDoc.prototype.parseVertex = function (sp, scale) {
-  var x = sp.getFloat() * scale;
-  var y = sp.getFloat() * scale;
-  var z = sp.getFloat() * scale;
+  var x = this.parseNumber(sp) * scale;
+  var y = this.parseNumber(sp) * scale;
+  var z = this.parseNumber(sp) * scale;
   return (new Vertex(x, y, z));
 }
 
 OBJDoc.prototype.parseNormal = function (sp) {
-  var x = sp.getFloat();
-  var y = sp.getFloat();
-  var z = sp.getFloat();
+  var x = this.parseNumber(sp);
+  var y = this.parseNumber(sp);
+  var z = this.parseNumber(sp);
   return (new Normal(x, y, z));
 }
 
+OBJDoc.prototype.parseTexCoord = function (sp) {
+  var u = this.parseNumber(sp);
+  var v = this.parseNumber(sp, true); // 1D texture coordinates only have u
+  return (new TexCoord(u, v));
+}
+
+// Get a number, reporting an error and returning 0 if the word is not one
+OBJDoc.prototype.parseNumber = function (sp, optional) {
+  var word = sp.getWord();
+  if (word == null) {
+    if (!optional) this.addError(word, "missing number");
+    return 0.0;
+  }
+  var x = Number(word);
+  if (isNaN(x)) {
+    this.addError(word, "bad float");
+    return 0.0;
+  }
+  return x;
+}
+
+// Get a 0-based index from a 1-based (or negative, relative to the end) OBJ
+// index into a list of count elements. Returns null after reporting an error.
+OBJDoc.prototype.parseIndex = function (word, count) {
+  if (!/^[+-]?\d+$/.test(word)) {
+    this.addError(word, "bad index");
+    return null;
+  }
+  var i = parseInt(word);
+  i = i < 0 ? count + i : i - 1;
+  if (i < 0 || i >= count) {
+    this.addError(word, "index out of range");
+    return null;
+  }
+  return i;
+}
+
 OBJDoc.prototype.parseUsemtl = function (sp) {
-  return sp.getWord();
+  var name = sp.getWord();
+  return name != null ? name : ""; // A bare usemtl selects the default material
+}
+
+// Get the Points of a p line (v or v/vt references)
+OBJDoc.prototype.parsePoints = function (sp, materialName, vertices) {
+  var points = [];
+  var word;
+  while ((word = sp.getWord()) != null) {
+    var vi = this.parseIndex(word.split('/')[0], vertices.length);
+    if (vi == null) return null;
+    points.push(new Point(vi, materialName));
+  }
+  if (points.length == 0) {
+    this.addError(null, "p without vertices");
+    return null;
+  }
+  return points;
 }
 
 OBJDoc.prototype.parseFace = function (sp, materialName, vertices, reverse) {
@@ -145,18 +374,28 @@ OBJDoc.prototype.parseFace = function (sp, materialName, vertices, reverse) {
     var word = sp.getWord();
     if (word == null) break;
     var subWords = word.split('/');
-    if (subWords.length >= 1) {
-      var vi = parseInt(subWords[0]) - 1;
-      if (!isNaN(vi))
-        face.vIndices.push(vi);
+    var vi = this.parseIndex(subWords[0], vertices.length);
+    if (vi == null) return null;
+    face.vIndices.push(vi);
+    if (subWords.length >= 2 && subWords[1] != "") {
+      var ti = this.parseIndex(subWords[1], this.texcoords.length);
+      if (ti == null) return null;
+      face.tIndices.push(ti);
+    } else {
+      face.tIndices.push(-1);
     }
-    if (subWords.length >= 3) {
-      var ni = parseInt(subWords[2]) - 1;
+    if (subWords.length >= 3 && subWords[2] != "") {
+      var ni = this.parseIndex(subWords[2], this.normals.length);
+      if (ni == null) return null;
       face.nIndices.push(ni);
     } else {
       face.nIndices.push(-1);
     }
   }
+  if (face.vIndices.length < 3) {
+    this.addError(null, "face has fewer than 3 vertices");
+    return null;
+  }
 
   // calc normal
   var v0 = [
@@ -194,27 +433,54 @@ OBJDoc.prototype.parseFace = function (sp, materialName, vertices, reverse) {
   }
   face.normal = new Normal(normal[0], normal[1], normal[2]);
 
-  // Devide to triangles if face contains over 3 points.
+  // Devide to triangles if face contains over 3 points. face.corners keeps the
+  // polygon corner of each triangle corner, so the polygon can be rebuilt.
+  face.numCorners = face.vIndices.length;
   if (face.vIndices.length > 3) {
-    var n = face.vIndices.length - 2;
-    var newVIndices = new Array(n * 3);
-    var newNIndices = new Array(n * 3);
-    for (var i = 0; i < n; i++) {
-      newVIndices[i * 3 + 0] = face.vIndices[0];
-      newVIndices[i * 3 + 1] = face.vIndices[i + 1];
-      newVIndices[i * 3 + 2] = face.vIndices[i + 2];
-      newNIndices[i * 3 + 0] = face.nIndices[0];
-      newNIndices[i * 3 + 1] = face.nIndices[i + 1];
-      newNIndices[i * 3 + 2] = face.nIndices[i + 2];
+    var points = new Array(face.numCorners);
+    for (var i = 0; i < face.numCorners; i++) {
+      var p = vertices[face.vIndices[i]];
+      points[i] = [p.x, p.y, p.z];
+    }
+    var corners = triangulatePolygon(points);
+    var newVIndices = new Array(corners.length);
+    var newNIndices = new Array(corners.length);
+    var newTIndices = new Array(corners.length);
+    for (var i = 0; i < corners.length; i++) {
+      newVIndices[i] = face.vIndices[corners[i]];
+      newNIndices[i] = face.nIndices[corners[i]];
+      newTIndices[i] = face.tIndices[corners[i]];
     }
     face.vIndices = newVIndices;
     face.nIndices = newNIndices;
+    face.tIndices = newTIndices;
+    face.corners = corners;
+  }
+  else {
+    face.corners = [0, 1, 2];
   }
   face.numIndices = face.vIndices.length;
 
   return face;
 }
 
+// Fetch and analyze a material file. Returns false if it could not be read.
+async function readMTLFile(path, mtl) {
+  let response;
+  try {
+    response = await fetch(path);
+  }
+  catch(e) {
+    response = null;
+  }
+  if(response && response.ok) {
+    onReadMTLFile(await response.text(), mtl);
+    return true;
+  }
+  mtl.complete = true;
+  return false;
+}
+
 // Analyze the material file
 function onReadMTLFile(fileString, mtl) {
   var lines = fileString.split('\n');  // Break up into lines and store them as array
@@ -223,24 +489,52 @@ function onReadMTLFile(fileString, mtl) {
 
   // Parse line by line
   var line;      // A string in the line to be parsed
-  var name = ""; // Material name
+  var material = null; // Material currently being defined
   var sp = new StringParser();  // Create StringParser
   while ((line = lines[index++]) != null) {
     sp.init(line);                  // init StringParser
     var command = sp.getWord();     // Get command
     if (command == null) continue;  // check null command
+    if (command != '#' && command != 'newmtl' && material == null)
+      continue; // Go to the next line because of Error
 
     switch (command) {
       case '#':
         continue;    // Skip comments
       case 'newmtl': // Read Material chunk
-        name = mtl.parseNewmtl(sp);    // Get name
+        material = new Material(mtl.parseNewmtl(sp), 0.8, 0.8, 0.8, 1);
+        mtl.materials.push(material);
+        continue; // Go to the next line
+      case 'Ka':   // Read ambient color coefficient
+        material.ambient = mtl.parseRGB(sp);
         continue; // Go to the next line
       case 'Kd':   // Read diffuse color coefficient as color
-        if (name == "") continue; // Go to the next line because of Error
-        var material = mtl.parseRGB(sp, name);
-        mtl.materials.push(material);
-        name = "";
+        var kd = mtl.parseRGB(sp);
+        material.color.r = kd.r;
+        material.color.g = kd.g;
+        material.color.b = kd.b;
+        continue; // Go to the next line
+      case 'Ks':   // Read specular color coefficient
+        material.specular = mtl.parseRGB(sp);
+        continue; // Go to the next line
+      case 'Ns':   // Read specular exponent
+        material.shininess = sp.getFloat();
+        continue; // Go to the next line
+      case 'd':    // Read opacity (dissolve)
+        material.opacity = sp.getFloat();
+        material.color.a = material.opacity;
+        continue; // Go to the next line
+      case 'Tr':   // Read transparency (inverse of d)
+        material.opacity = 1.0 - sp.getFloat();
+        material.color.a = material.opacity;
+        continue; // Go to the next line
+      case 'map_Kd': // Read diffuse texture map
+        material.mapKd = mtl.parseMapPath(sp);
+        continue; // Go to the next line
+      case 'map_Bump':
+      case 'map_bump':
+      case 'bump':   // Read bump/normal map
+        material.mapBump = mtl.parseMapPath(sp);
         continue; // Go to the next line
     }
   }
@@ -256,82 +550,326 @@ OBJDoc.prototype.isMTLComplete = function () {
   return true;
 }
 
-// Find color by material name
-OBJDoc.prototype.findColor = function (name) {
+// Find material by name (a default grey material if it is not defined)
+OBJDoc.prototype.findMaterial = function (name) {
   for (var i = 0; i < this.mtls.length; i++) {
     for (var j = 0; j < this.mtls[i].materials.length; j++) {
       if (this.mtls[i].materials[j].name == name) {
-        return (this.mtls[i].materials[j].color);
+        return (this.mtls[i].materials[j]);
+      }
+    }
+  }
+  return (new Material(name, 0.8, 0.8, 0.8, 1));
+}
+
+// Find color by material name
+OBJDoc.prototype.findColor = function (name) {
+  return this.findMaterial(name).color;
+}
+
+//------------------------------------------------------------------------------
+// Compute smooth normals for the corners of all faces. Face normals around a
+// position are averaged with angle (or area) weights, skipping neighbours whose
+// normal deviates from the face normal by more than creaseAngle (degrees).
+// Returns an array per face holding one Normal per corner.
+OBJDoc.prototype.calcSmoothNormals = function (creaseAngle, weighting) {
+  var cosCrease = Math.cos(radians(creaseAngle == null ? 180.0 : creaseAngle)) - 1.0e-6;
+  var sign = this.reverse ? 1.0 : -1.0; // Same orientation as face.normal
+
+  // Triangle normals (length is twice the area) and corner weights
+  var triangles = [];
+  var faceTriangles = [];
+  for (var i = 0; i < this.objects.length; i++) {
+    var faces = this.objects[i].faces;
+    for (var j = 0; j < faces.length; j++) {
+      var vIndices = faces[j].vIndices;
+      var first = triangles.length;
+      for (var k = 0; k < vIndices.length; k += 3) {
+        var p = [this.vertices[vIndices[k]], this.vertices[vIndices[k + 1]], this.vertices[vIndices[k + 2]]];
+        var e1 = [p[1].x - p[0].x, p[1].y - p[0].y, p[1].z - p[0].z];
+        var e2 = [p[2].x - p[0].x, p[2].y - p[0].y, p[2].z - p[0].z];
+        var n = scale(sign, cross(e1, e2));
+        var len = Math.sqrt(dot(n, n));
+        var weights;
+        if (weighting == 'area') {
+          weights = [len, len, len];
+        } else {
+          weights = [0, 0, 0];
+          for (var c = 0; c < 3; c++) {
+            var a = p[c], b = p[(c + 1) % 3], d = p[(c + 2) % 3];
+            var u = [b.x - a.x, b.y - a.y, b.z - a.z];
+            var w = [d.x - a.x, d.y - a.y, d.z - a.z];
+            var uw = Math.sqrt(dot(u, u) * dot(w, w));
+            weights[c] = uw > 0 ? Math.acos(Math.max(-1, Math.min(1, dot(u, w) / uw))) : 0;
+          }
+        }
+        triangles.push({
+          vIndices: [vIndices[k], vIndices[k + 1], vIndices[k + 2]],
+          normal: len > 0 ? scale(1 / len, n) : [0, 0, 0],
+          weights: weights
+        });
+      }
+      faceTriangles.push([first, triangles.length]);
+    }
+  }
+
+  // Triangles adjacent to each position
+  var adjacency = new Array(this.vertices.length);
+  for (var t = 0; t < triangles.length; t++) {
+    for (var c = 0; c < 3; c++) {
+      var vIdx = triangles[t].vIndices[c];
+      if (!adjacency[vIdx]) adjacency[vIdx] = [];
+      adjacency[vIdx].push(t);
+    }
+  }
+
+  // Average the normals of the neighbours within the crease angle
+  var result = new Array(faceTriangles.length);
+  for (var f = 0; f < faceTriangles.length; f++) {
+    var cornerNormals = [];
+    for (var t = faceTriangles[f][0]; t < faceTriangles[f][1]; t++) {
+      var tn = triangles[t].normal;
+      for (var c = 0; c < 3; c++) {
+        var sum = [0, 0, 0];
+        var adjacent = adjacency[triangles[t].vIndices[c]];
+        for (var a = 0; a < adjacent.length; a++) {
+          var other = triangles[adjacent[a]];
+          if (dot(tn, other.normal) < cosCrease) continue;
+          var w = other.weights[other.vIndices.indexOf(triangles[t].vIndices[c])];
+          sum[0] += w * other.normal[0];
+          sum[1] += w * other.normal[1];
+          sum[2] += w * other.normal[2];
+        }
+        var len = Math.sqrt(dot(sum, sum));
+        if (len > 0) sum = scale(1 / len, sum);
+        else sum = tn;
+        cornerNormals.push(new Normal(sum[0], sum[1], sum[2]));
       }
     }
+    result[f] = cornerNormals;
   }
-  return (new Color(0.8, 0.8, 0.8, 1));
+  return result;
 }
 
 //------------------------------------------------------------------------------
 // Retrieve the information for drawing 3D model
-OBJDoc.prototype.getDrawingInfo = function () {
-  // Create an arrays for vertex coordinates, normals, colors, and indices
-  var numVertices = 0;
+// If options.smoothNormals is set, faces without vn get smooth vertex normals
+// (options.creaseAngle in degrees, default 180, and options.normalWeighting,
+// 'angle' by default or 'area') instead of the flat face normal.
+// If options.tangents is set, tangents and bitangents for normal mapping are
+// computed from the texture coordinates (see calcTangents).
+// If options.polygons is set, the original polygons of the file are returned
+// as well (polygonIndices, polygonCounts) with their boundary edges as a
+// line-list index buffer (polygonEdges), e.g. for quad wireframes.
+// A file with points (p lines) and no faces gives a point-list DrawingInfo.
+OBJDoc.prototype.getDrawingInfo = function (options) {
+  options = options || {};
+  // Count the indices to get an upper bound on the number of unique vertices
   var numIndices = 0;
   for (var i = 0; i < this.objects.length; i++) {
     numIndices += this.objects[i].numIndices;
   }
-  var numVertices = this.vertices.length;
-  var vertices = new Float32Array(numVertices * 4);
-  var normals = new Float32Array(numVertices * 4);
-  var colors = new Float32Array(numVertices * 4);
+  if (numIndices == 0 && this.numPoints > 0) return this.getPointDrawingInfo();
+  var vertices = new Float32Array(numIndices * 4);
+  var normals = new Float32Array(numIndices * 4);
+  var colors = new Float32Array(numIndices * 4);
+  var texcoords = new Float32Array(numIndices * 2);
   var indices = new Uint32Array(numIndices);
 
+  // A vertex is unique per (position, texcoord, normal, material). Corners
+  // without a vn use the face normal, so they are also kept apart per face,
+  // or the smooth normal, which is then part of the key.
+  var smoothNormals = null;
+  if (options.smoothNormals)
+    smoothNormals = this.calcSmoothNormals(options.creaseAngle, options.normalWeighting);
+  var vertexMap = new Map();
+  var numVertices = 0;
+
+  // Materials in order of first use and runs of indices sharing a material
+  var materials = [];
+  var materialIndices = new Map();
+  var drawRanges = [];
+  var range = null;
+
+  // Runs of indices per object/group and material
+  var submeshes = [];
+
+  // Vertex indices of the original polygons
+  var polygonIndices = options.polygons ? [] : null;
+  var polygonCounts = options.polygons ? [] : null;
+
   // Set vertex, normal and color
   var index_indices = 0;
+  var faceId = 0;
   for (var i = 0; i < this.objects.length; i++) {
     var object = this.objects[i];
-    for (var j = 0; j < object.faces.length; j++) {
+    var submesh = null;
+    for (var j = 0; j < object.faces.length; j++, faceId++) {
       var face = object.faces[j];
-      var color = this.findColor(face.materialName);
+      var materialIndex = materialIndices.get(face.materialName);
+      if (materialIndex === undefined) {
+        materialIndex = materials.length;
+        materialIndices.set(face.materialName, materialIndex);
+        materials.push(this.findMaterial(face.materialName));
+      }
+      if (range == null || range.materialIndex != materialIndex) {
+        range = new DrawRange(materialIndex, index_indices, 0);
+        drawRanges.push(range);
+      }
+      range.count += face.vIndices.length;
+      if (submesh == null || submesh.materialIndex != materialIndex) {
+        submesh = new Submesh(object.name, materialIndex, index_indices, 0);
+        submeshes.push(submesh);
+      }
+      submesh.count += face.vIndices.length;
+      var color = materials[materialIndex].color;
       var faceNormal = face.normal;
+      var polygon = polygonIndices ? new Array(face.numCorners) : null;
       for (var k = 0; k < face.vIndices.length; k++) {
-        // Set index
         var vIdx = face.vIndices[k];
-        indices[index_indices] = vIdx;
-        // Copy vertex
-        var vertex = this.vertices[vIdx];
-        vertices[vIdx * 4 + 0] = vertex.x;
-        vertices[vIdx * 4 + 1] = vertex.y;
-        vertices[vIdx * 4 + 2] = vertex.z;
-        vertices[vIdx * 4 + 3] = 1.0;
-        // Copy color
-        colors[vIdx * 4 + 0] = color.r;
-        colors[vIdx * 4 + 1] = color.g;
-        colors[vIdx * 4 + 2] = color.b;
-        colors[vIdx * 4 + 3] = color.a;
-        // Copy normal
+        var tIdx = face.tIndices[k];
         var nIdx = face.nIndices[k];
-        if (nIdx >= 0) {
-          var normal = this.normals[nIdx];
-          normals[vIdx * 4 + 0] = normal.x;
-          normals[vIdx * 4 + 1] = normal.y;
-          normals[vIdx * 4 + 2] = normal.z;
-          normals[vIdx * 4 + 3] = 0.0;
-        } else {
-          normals[vIdx * 4 + 0] = faceNormal.x;
-          normals[vIdx * 4 + 1] = faceNormal.y;
-          normals[vIdx * 4 + 2] = faceNormal.z;
-          normals[vIdx * 4 + 3] = 0.0;
+        var normal = nIdx >= 0 ? this.normals[nIdx] : faceNormal;
+        var nKey = nIdx;
+        if (nIdx < 0 && smoothNormals) {
+          normal = smoothNormals[faceId][k];
+          nKey = 's' + normal.x + ',' + normal.y + ',' + normal.z;
+        } else if (nIdx < 0) {
+          nKey = 'f' + faceId;
+        }
+        var key = vIdx + '/' + tIdx + '/' + nKey + '/' + face.materialName;
+        var idx = vertexMap.get(key);
+        if (idx === undefined) {
+          idx = numVertices++;
+          vertexMap.set(key, idx);
+          // Copy vertex
+          var vertex = this.vertices[vIdx];
+          vertices[idx * 4 + 0] = vertex.x;
+          vertices[idx * 4 + 1] = vertex.y;
+          vertices[idx * 4 + 2] = vertex.z;
+          vertices[idx * 4 + 3] = 1.0;
+          // Copy color
+          colors[idx * 4 + 0] = color.r;
+          colors[idx * 4 + 1] = color.g;
+          colors[idx * 4 + 2] = color.b;
+          colors[idx * 4 + 3] = color.a;
+          // Copy normal
+          normals[idx * 4 + 0] = normal.x;
+          normals[idx * 4 + 1] = normal.y;
+          normals[idx * 4 + 2] = normal.z;
+          normals[idx * 4 + 3] = 0.0;
+          // Copy texture coordinate
+          if (tIdx >= 0) {
+            var texcoord = this.texcoords[tIdx];
+            texcoords[idx * 2 + 0] = texcoord.u;
+            texcoords[idx * 2 + 1] = texcoord.v;
+          }
         }
-        index_indices++;
+        // Set index
+        indices[index_indices++] = idx;
+        if (polygon) polygon[face.corners[k]] = idx;
+      }
+      if (polygon) {
+        polygonIndices.push.apply(polygonIndices, polygon);
+        polygonCounts.push(polygon.length);
       }
     }
   }
 
-  return new DrawingInfo(vertices, normals, colors, indices);
+  var info = new DrawingInfo(
+    vertices.slice(0, numVertices * 4),
+    normals.slice(0, numVertices * 4),
+    colors.slice(0, numVertices * 4),
+    indices,
+    texcoords.slice(0, numVertices * 2));
+  info.materials = materials;
+  info.drawRanges = drawRanges;
+  info.submeshes = submeshes;
+  info.errors = this.errors;
+  info.warnings = this.warnings;
+  if (polygonIndices) {
+    info.polygonIndices = new Uint32Array(polygonIndices);
+    info.polygonCounts = new Uint32Array(polygonCounts);
+    info.polygonEdges = calcPolygonEdges(info.polygonIndices, info.polygonCounts, info.vertices);
+  }
+  if (options.tangents) {
+    var frames = calcTangents(info.vertices, info.normals, info.texcoords, info.indices);
+    info.tangents = frames.tangents;
+    info.bitangents = frames.bitangents;
+  }
+  return info;
+}
+
+// Retrieve a point cloud (a file with p lines and no faces) as a point-list
+// DrawingInfo. Normals are zero, as points have no orientation.
+OBJDoc.prototype.getPointDrawingInfo = function () {
+  var n = this.numPoints;
+  var vertices = new Float32Array(n * 4);
+  var colors = new Float32Array(n * 4);
+  var indices = new Uint32Array(n);
+  var vertexMap = new Map();
+  var numVertices = 0;
+  var materials = [];
+  var materialIndices = new Map();
+  var drawRanges = [];
+  var submeshes = [];
+  var range = null;
+  var index_indices = 0;
+  for (var i = 0; i < this.objects.length; i++) {
+    var object = this.objects[i];
+    var submesh = null;
+    for (var j = 0; j < object.points.length; j++) {
+      var point = object.points[j];
+      var materialIndex = materialIndices.get(point.materialName);
+      if (materialIndex === undefined) {
+        materialIndex = materials.length;
+        materialIndices.set(point.materialName, materialIndex);
+        materials.push(this.findMaterial(point.materialName));
+      }
+      if (range == null || range.materialIndex != materialIndex) {
+        range = new DrawRange(materialIndex, index_indices, 0);
+        drawRanges.push(range);
+      }
+      range.count++;
+      if (submesh == null || submesh.materialIndex != materialIndex) {
+        submesh = new Submesh(object.name, materialIndex, index_indices, 0);
+        submeshes.push(submesh);
+      }
+      submesh.count++;
+      var key = point.vIndex + '/' + point.materialName;
+      var idx = vertexMap.get(key);
+      if (idx === undefined) {
+        idx = numVertices++;
+        vertexMap.set(key, idx);
+        var vertex = this.vertices[point.vIndex];
+        var color = materials[materialIndex].color;
+        vertices.set([vertex.x, vertex.y, vertex.z, 1.0], idx * 4);
+        colors.set([color.r, color.g, color.b, color.a], idx * 4);
+      }
+      indices[index_indices++] = idx;
+    }
+  }
+
+  var info = new DrawingInfo(
+    vertices.slice(0, numVertices * 4),
+    new Float32Array(numVertices * 4),
+    colors.slice(0, numVertices * 4),
+    indices,
+    new Float32Array(numVertices * 2));
+  info.primitive = 'point-list';
+  info.materials = materials;
+  info.drawRanges = drawRanges;
+  info.submeshes = submeshes;
+  info.errors = this.errors;
+  info.warnings = this.warnings;
+  return info;
 }
 
 //------------------------------------------------------------------------------
 // MTLDoc Object
 //------------------------------------------------------------------------------
-var MTLDoc = function () {
+var MTLDoc = function (fileName) {
+  this.fileName = fileName;
   this.complete = false; // MTL is configured correctly
   this.materials = new Array(0);
 }
@@ -340,11 +878,23 @@ MTLDoc.prototype.parseNewmtl = function (sp) {
   return sp.getWord();         // Get name
 }
 
-MTLDoc.prototype.parseRGB = function (sp, name) {
+MTLDoc.prototype.parseRGB = function (sp) {
   var r = sp.getFloat();
   var g = sp.getFloat();
   var b = sp.getFloat();
-  return (new Material(name, r, g, b, 1));
+  if (isNaN(g)) g = b = r; // A single value sets all three channels
+  return (new Color(r, g, b, 1));
+}
+
+MTLDoc.prototype.parseMapPath = function (sp) {
+  // Skip map options (e.g. -bm 0.5) and keep the file name, which comes last
+  var word, path = null;
+  while ((word = sp.getWord()) != null) path = word;
+  if (path == null) return null;
+
+  // Texture paths are relative to the MTL file
+  var i = (this.fileName || "").lastIndexOf("/");
+  return (i > 0 ? this.fileName.substr(0, i + 1) : "") + path;
 }
 
 //------------------------------------------------------------------------------
@@ -352,7 +902,57 @@ MTLDoc.prototype.parseRGB = function (sp, name) {
 //------------------------------------------------------------------------------
 var Material = function (name, r, g, b, a) {
   this.name = name;
-  this.color = new Color(r, g, b, a);
+  this.color = new Color(r, g, b, a);          // Kd (and d in alpha)
+  this.ambient = new Color(0.0, 0.0, 0.0, 1);  // Ka
+  this.specular = new Color(0.0, 0.0, 0.0, 1); // Ks
+  this.shininess = 0.0;  // Ns
+  this.opacity = a;      // d
+  this.mapKd = null;     // Path of diffuse texture
+  this.mapBump = null;   // Path of bump/normal map
+}
+
+//------------------------------------------------------------------------------
+// DrawRange Object (run of indices drawn with one material)
+//------------------------------------------------------------------------------
+var DrawRange = function (materialIndex, first, count) {
+  this.materialIndex = materialIndex;
+  this.first = first;
+  this.count = count;
+}
+
+//------------------------------------------------------------------------------
+// OBJParseMessage Object (error or warning about a line of an OBJ file)
+//------------------------------------------------------------------------------
+var OBJParseMessage = function (fileName, lineNumber, token, reason) {
+  this.fileName = fileName;
+  this.lineNumber = lineNumber;  // null for files without lines (glTF)
+  this.token = token;    // Offending word (null if the line as a whole)
+  this.reason = reason;
+}
+
+OBJParseMessage.prototype.toString = function () {
+  return this.fileName + (this.lineNumber != null ? ":" + this.lineNumber : "") + ": " + this.reason +
+    (this.token != null ? " '" + this.token + "'" : "");
+}
+
+//------------------------------------------------------------------------------
+// OBJProgress Object (reported while streaming an OBJ file)
+//------------------------------------------------------------------------------
+var OBJProgress = function (bytesLoaded, bytesTotal) {
+  this.bytesLoaded = bytesLoaded;
+  this.bytesTotal = bytesTotal;  // 0 if the server did not tell
+  this.vertices = 0;
+  this.faces = 0;
+}
+
+//------------------------------------------------------------------------------
+// Submesh Object (run of indices of one object/group drawn with one material)
+//------------------------------------------------------------------------------
+var Submesh = function (name, materialIndex, first, count) {
+  this.name = name;
+  this.materialIndex = materialIndex;
+  this.first = first;
+  this.count = count;
 }
 
 //------------------------------------------------------------------------------
@@ -373,6 +973,14 @@ var Normal = function (x, y, z) {
   this.z = z;
 }
 
+//------------------------------------------------------------------------------
+// TexCoord Object
+//------------------------------------------------------------------------------
+var TexCoord = function (u, v) {
+  this.u = u;
+  this.v = v;
+}
+
 //------------------------------------------------------------------------------
 // Color Object
 //------------------------------------------------------------------------------
@@ -390,6 +998,7 @@ var OBJObject = function (name) {
   this.name = name;
   this.faces = new Array(0);
   this.numIndices = 0;
+  this.points = new Array(0); // Points of p lines
 }
 
 OBJObject.prototype.addFace = function (face) {
@@ -397,6 +1006,14 @@ OBJObject.prototype.addFace = function (face) {
   this.numIndices += face.numIndices;
 }
 
+//------------------------------------------------------------------------------
+// Point Object (one vertex of a p line)
+//------------------------------------------------------------------------------
+var Point = function (vIndex, materialName) {
+  this.vIndex = vIndex;
+  this.materialName = materialName == null ? "" : materialName;
+}
+
 //------------------------------------------------------------------------------
 // Face Object
 //------------------------------------------------------------------------------
@@ -405,16 +1022,36 @@ var Face = function (materialName) {
   if (materialName == null) this.materialName = "";
   this.vIndices = new Array(0);
   this.nIndices = new Array(0);
+  this.tIndices = new Array(0);
+  this.corners = new Array(0); // Polygon corner of each index
+  this.numCorners = 0;         // Number of corners of the polygon
 }
 
 //------------------------------------------------------------------------------
 // DrawInfo Object
 //------------------------------------------------------------------------------
-var DrawingInfo = function (vertices, normals, colors, indices) {
+var DrawingInfo = function (vertices, normals, colors, indices, texcoords) {
   this.vertices = vertices;
   this.normals = normals;
   this.colors = colors;
   this.indices = indices;
+  this.texcoords = texcoords; // vec2 per vertex, zero where the file has no vt
+  this.primitive = 'triangle-list'; // WebGPU topology of the draw ranges
+  this.materials = [];       // Materials referenced by drawRanges
+  this.drawRanges = [];      // DrawRange per run of faces with one material
+  this.submeshes = [];       // Submesh per object/group and material
+  this.tangents = null;      // vec4 per vertex (w is handedness), if requested
+  this.bitangents = null;    // vec4 per vertex, if requested
+  this.errors = [];          // OBJParseMessages of the source file
+  this.warnings = [];
+  this.polygonIndices = null; // Corners of the original polygons, if requested
+  this.polygonCounts = null;  // Number of corners per polygon
+  this.polygonEdges = null;   // Line-list of polygon boundary edges
+}
+
+// Find the submeshes of an object or group by name
+DrawingInfo.prototype.findSubmeshes = function (name) {
+  return this.submeshes.filter(function (submesh) { return submesh.name == name; });
 }
 
 //------------------------------------------------------------------------------
@@ -510,3 +1147,169 @@ function calcNormal(p0, p1, p2) {
   c[0] = x * g; c[1] = y * g; c[2] = z * g;
   return c;
 }
+
+// Area-weighted vertex normals for vec4 positions and triangle indices. With
+// reverse set, normals follow counterclockwise winding (like face normals).
+function calcVertexNormals(positions, indices, reverse) {
+  var sign = reverse ? 1.0 : -1.0; // Same orientation as OBJ face normals
+  var normals = new Float32Array(positions.length);
+  for (var i = 0; i + 2 < indices.length; i += 3) {
+    var a = indices[i] * 4, b = indices[i + 1] * 4, c = indices[i + 2] * 4;
+    var e1 = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+    var e2 = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+    var n = cross(e1, e2);
+    for (var k = 0; k < 3; k++) {
+      normals[a + k] += sign * n[k];
+      normals[b + k] += sign * n[k];
+      normals[c + k] += sign * n[k];
+    }
+  }
+  for (var i = 0; i < normals.length; i += 4) {
+    var len = Math.sqrt(normals[i] * normals[i] + normals[i + 1] * normals[i + 1] + normals[i + 2] * normals[i + 2]);
+    if (len > 0) {
+      normals[i] /= len; normals[i + 1] /= len; normals[i + 2] /= len;
+    }
+  }
+  return normals;
+}
+
+// Compute per-vertex tangent frames for normal mapping from the vec4 vertices
+// and normals, vec2 texcoords and triangle indices of a DrawingInfo. Tangents
+// are accumulated per triangle, orthogonalized against the normal and get the
+// handedness in w, so that bitangent = w * cross(normal, tangent).
+function calcTangents(vertices, normals, texcoords, indices) {
+  var numVertices = vertices.length / 4;
+  var tan = new Float32Array(numVertices * 3);
+  var bitan = new Float32Array(numVertices * 3);
+  for (var i = 0; i + 2 < indices.length; i += 3) {
+    var i0 = indices[i], i1 = indices[i + 1], i2 = indices[i + 2];
+    var e1 = [vertices[i1 * 4] - vertices[i0 * 4], vertices[i1 * 4 + 1] - vertices[i0 * 4 + 1], vertices[i1 * 4 + 2] - vertices[i0 * 4 + 2]];
+    var e2 = [vertices[i2 * 4] - vertices[i0 * 4], vertices[i2 * 4 + 1] - vertices[i0 * 4 + 1], vertices[i2 * 4 + 2] - vertices[i0 * 4 + 2]];
+    var du1 = texcoords[i1 * 2] - texcoords[i0 * 2], dv1 = texcoords[i1 * 2 + 1] - texcoords[i0 * 2 + 1];
+    var du2 = texcoords[i2 * 2] - texcoords[i0 * 2], dv2 = texcoords[i2 * 2 + 1] - texcoords[i0 * 2 + 1];
+    var det = du1 * dv2 - du2 * dv1;
+    if (Math.abs(det) < 1.0e-12) continue; // Degenerate texture mapping
+    var r = 1.0 / det;
+    var t = [(e1[0] * dv2 - e2[0] * dv1) * r, (e1[1] * dv2 - e2[1] * dv1) * r, (e1[2] * dv2 - e2[2] * dv1) * r];
+    var b = [(e2[0] * du1 - e1[0] * du2) * r, (e2[1] * du1 - e1[1] * du2) * r, (e2[2] * du1 - e1[2] * du2) * r];
+    var tri = [i0, i1, i2];
+    for (var k = 0; k < 3; k++) {
+      for (var c = 0; c < 3; c++) {
+        tan[tri[k] * 3 + c] += t[c];
+        bitan[tri[k] * 3 + c] += b[c];
+      }
+    }
+  }
+
+  var tangents = new Float32Array(numVertices * 4);
+  var bitangents = new Float32Array(numVertices * 4);
+  for (var v = 0; v < numVertices; v++) {
+    var n = [normals[v * 4], normals[v * 4 + 1], normals[v * 4 + 2]];
+    var t = [tan[v * 3], tan[v * 3 + 1], tan[v * 3 + 2]];
+    // Gram-Schmidt orthogonalize
+    t = subtract(t, scale(dot(n, t), n));
+    var len = Math.sqrt(dot(t, t));
+    if (len > 1.0e-12) {
+      t = scale(1.0 / len, t);
+    } else {
+      // No usable texture mapping, pick any direction perpendicular to n
+      t = Math.abs(n[0]) < 0.9 ? cross([1, 0, 0], n) : cross([0, 1, 0], n);
+      len = Math.sqrt(dot(t, t));
+      t = len > 0 ? scale(1.0 / len, t) : [1, 0, 0];
+    }
+    var b = cross(n, t);
+    var w = dot(b, [bitan[v * 3], bitan[v * 3 + 1], bitan[v * 3 + 2]]) < 0.0 ? -1.0 : 1.0;
+    tangents.set([t[0], t[1], t[2], w], v * 4);
+    bitangents.set([w * b[0], w * b[1], w * b[2], 0.0], v * 4);
+  }
+  return { tangents: tangents, bitangents: bitangents };
+}
+
+// Triangulate a polygon given as an array of [x, y, z] points. Returns the
+// corner numbers of the triangles (three per triangle). Convex polygons are
+// split as a fan from corner 0, concave ones by ear clipping in the plane of
+// the polygon.
+function triangulatePolygon(points) {
+  var n = points.length;
+  var fan = [];
+  for (var i = 1; i + 1 < n; i++) fan.push(0, i, i + 1);
+  if (n <= 3) return fan;
+
+  // Newell normal and the 2D projection dropping its largest axis
+  var normal = [0, 0, 0];
+  for (var i = 0; i < n; i++) {
+    var p = points[i], q = points[(i + 1) % n];
+    normal[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    normal[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    normal[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  }
+  var ax = Math.abs(normal[0]), ay = Math.abs(normal[1]), az = Math.abs(normal[2]);
+  var u = 0, v = 1, sign = normal[2];
+  if (ax >= ay && ax >= az) { u = 1; v = 2; sign = normal[0]; }
+  else if (ay >= az) { u = 2; v = 0; sign = normal[1]; }
+  if (sign == 0) return fan; // Degenerate polygon
+  var pts = points.map(function (p) { return [p[u], p[v]]; });
+  var area2 = function (a, b, c) {
+    return ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) * (sign > 0 ? 1 : -1);
+  };
+
+  // Convex if every corner turns the same way
+  var convex = true;
+  for (var i = 0; i < n && convex; i++) {
+    if (area2(pts[i], pts[(i + 1) % n], pts[(i + 2) % n]) < 0) convex = false;
+  }
+  if (convex) return fan;
+
+  var remaining = [];
+  for (var i = 0; i < n; i++) remaining.push(i);
+  var triangles = [];
+  var guard = 0;
+  while (remaining.length > 3 && guard++ < n * n) {
+    var m = remaining.length;
+    var clipped = false;
+    for (var i = 0; i < m; i++) {
+      var i0 = remaining[(i + m - 1) % m], i1 = remaining[i], i2 = remaining[(i + 1) % m];
+      var a = pts[i0], b = pts[i1], c = pts[i2];
+      if (area2(a, b, c) <= 0) continue; // Reflex corner
+      var isEar = true;
+      for (var j = 0; j < m && isEar; j++) {
+        var k = remaining[j];
+        if (k == i0 || k == i1 || k == i2) continue;
+        var p = pts[k];
+        if (area2(a, b, p) >= 0 && area2(b, c, p) >= 0 && area2(c, a, p) >= 0) isEar = false;
+      }
+      if (!isEar) continue;
+      triangles.push(i0, i1, i2);
+      remaining.splice(i, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) return fan; // Self-intersecting polygon
+  }
+  triangles.push(remaining[0], remaining[1], remaining[2]);
+  return triangles;
+}
+
+// Unique boundary edges of polygons as a line-list index buffer. Edges between
+// vertices at the same position (split by normals or texcoords) are merged.
+function calcPolygonEdges(polygonIndices, polygonCounts, vertices) {
+  var positionKey = function (i) {
+    return vertices[i * 4] + ',' + vertices[i * 4 + 1] + ',' + vertices[i * 4 + 2];
+  };
+  var seen = new Set();
+  var edges = [];
+  var first = 0;
+  for (var p = 0; p < polygonCounts.length; p++) {
+    var n = polygonCounts[p];
+    for (var k = 0; k < n; k++) {
+      var a = polygonIndices[first + k], b = polygonIndices[first + (k + 1) % n];
+      var ka = positionKey(a), kb = positionKey(b);
+      var key = ka < kb ? ka + '|' + kb : kb + '|' + ka;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      edges.push(a, b);
+    }
+    first += n;
+  }
+  return new Uint32Array(edges);
+}
@@ -0,0 +1,32 @@
+// OBJWorker.js
+//
+// Web Worker that loads an OBJ file with readOBJFileStream and posts the
+// resulting DrawingInfo back to the page. Used by readOBJFileInWorker.
+
+importScripts('MV.js', 'OBJParser.js');
+
+onmessage = async function (event) {
+  var msg = event.data;
+  var options = Object.assign({}, msg.options);
+  if (msg.progress) {
+    options.onProgress = function (progress) {
+      postMessage({ type: 'progress', progress: progress });
+    };
+  }
+
+  try {
+    var info = await readOBJFileStream(msg.fileName, msg.scale, msg.reverse, options);
+    if (info == null) {
+      postMessage({ type: 'done', info: null });
+      return;
+    }
+    // Hand the typed arrays over to the page instead of copying them
+    var transfer = [];
+    for (var key in info) {
+      if (ArrayBuffer.isView(info[key])) transfer.push(info[key].buffer);
+    }
+    postMessage({ type: 'done', info: info }, transfer);
+  } catch (e) {
+    postMessage({ type: 'error', message: String(e && e.message || e) });
+  }
+}
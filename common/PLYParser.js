@@ -0,0 +1,260 @@
+// PLYParser.js
+//
+// Loader for Stanford PLY meshes (ascii, binary_little_endian and
+// binary_big_endian) returning the same DrawingInfo as readOBJFile.
+// Requires MV.js and OBJParser.js (DrawingInfo, Material, DrawRange,
+// calcVertexNormals).
+
+//------------------------------------------------------------------------------
+// PLYParser
+//------------------------------------------------------------------------------
+
+async function readPLYFile(fileName, scale, reverse)
+{
+  const response = await fetch(fileName);
+  if(!response.ok) {
+    console.log(fileName + ": HTTP " + response.status + " " + response.statusText);
+    return null;
+  }
+  try {
+    return parsePLY(await response.arrayBuffer(), scale, reverse);
+  }
+  catch(e) {
+    console.log(fileName + ": " + e.message);
+    return null;
+  }
+}
+
+// Parse the contents of a PLY file. Faces are triangulated as fans. Vertices
+// without normals get area-weighted smooth normals oriented like the face
+// normals of readOBJFile (reverse flips them). Missing colors are grey.
+// A file without faces is a point cloud: primitive is 'point-list', indices
+// list the vertices in order and normals are zero unless the file stores them.
+function parsePLY(buffer, scale, reverse)
+{
+  var bytes = new Uint8Array(buffer);
+  var header = parsePLYHeader(bytes);
+  var reader = header.format == 'ascii'
+    ? new PLYAsciiReader(bytes, header.dataOffset)
+    : new PLYBinaryReader(buffer, header.dataOffset, header.format == 'binary_little_endian');
+
+  var vertexElement = null, faceElement = null;
+  var positions = null, normals = null, colors = null, texcoords = null;
+  var triangles = [];
+  for (var i = 0; i < header.elements.length; i++) {
+    var element = header.elements[i];
+    if (element.name == 'vertex') {
+      vertexElement = element;
+      var props = element.propertyIndices();
+      var n = element.count;
+      positions = new Float32Array(n * 4);
+      if (props.nx != null && props.ny != null && props.nz != null) normals = new Float32Array(n * 4);
+      if (props.red != null && props.green != null && props.blue != null) colors = new Float32Array(n * 4);
+      var u = props.u != null ? props.u : props.s != null ? props.s : props.texture_u;
+      var v = props.v != null ? props.v : props.t != null ? props.t : props.texture_v;
+      if (u != null && v != null) texcoords = new Float32Array(n * 2);
+      // Integer colors are in [0,255]
+      var colorType = colors ? element.properties[props.red].type : null;
+      var colorScale = /^(u?char|u?int8|u?short|u?int16|u?int|u?int32)$/.test(colorType) ? 1.0 / 255.0 : 1.0;
+      for (var j = 0; j < n; j++) {
+        var values = element.read(reader);
+        positions[j * 4 + 0] = values[props.x] * scale;
+        positions[j * 4 + 1] = values[props.y] * scale;
+        positions[j * 4 + 2] = values[props.z] * scale;
+        positions[j * 4 + 3] = 1.0;
+        if (normals) {
+          normals[j * 4 + 0] = values[props.nx];
+          normals[j * 4 + 1] = values[props.ny];
+          normals[j * 4 + 2] = values[props.nz];
+        }
+        if (colors) {
+          colors[j * 4 + 0] = values[props.red] * colorScale;
+          colors[j * 4 + 1] = values[props.green] * colorScale;
+          colors[j * 4 + 2] = values[props.blue] * colorScale;
+          colors[j * 4 + 3] = props.alpha != null ? values[props.alpha] * colorScale : 1.0;
+        }
+        if (texcoords) {
+          texcoords[j * 2 + 0] = values[u];
+          texcoords[j * 2 + 1] = values[v];
+        }
+      }
+    }
+    else if (element.name == 'face') {
+      faceElement = element;
+      var props = element.propertyIndices();
+      var list = props.vertex_indices != null ? props.vertex_indices : props.vertex_index;
+      if (list == null) throw new Error("PLY face element has no vertex_indices");
+      for (var j = 0; j < element.count; j++) {
+        var face = element.read(reader)[list];
+        for (var k = 1; k + 1 < face.length; k++) {
+          triangles.push(face[0], face[k], face[k + 1]);
+        }
+      }
+    }
+    else {
+      // Skip elements we do not use (edges, materials, ...)
+      for (var j = 0; j < element.count; j++) element.read(reader);
+    }
+  }
+  if (vertexElement == null) throw new Error("PLY file has no vertex element");
+
+  var numVertices = vertexElement.count;
+  var indices = new Uint32Array(triangles);
+  for (var i = 0; i < indices.length; i++) {
+    if (indices[i] >= numVertices) throw new Error("PLY face index out of range: " + indices[i]);
+  }
+  var isPointCloud = faceElement == null;
+  if (isPointCloud) {
+    indices = new Uint32Array(numVertices);
+    for (var i = 0; i < numVertices; i++) indices[i] = i;
+    if (!normals) normals = new Float32Array(numVertices * 4);
+  }
+  if (!normals) normals = calcVertexNormals(positions, indices, reverse);
+  if (!colors) {
+    colors = new Float32Array(numVertices * 4);
+    for (var i = 0; i < numVertices; i++) colors.set([0.8, 0.8, 0.8, 1.0], i * 4);
+  }
+  if (!texcoords) texcoords = new Float32Array(numVertices * 2);
+
+  var info = new DrawingInfo(positions, normals, colors, indices, texcoords);
+  if (isPointCloud) info.primitive = 'point-list';
+  info.materials = [new Material("", 0.8, 0.8, 0.8, 1)];
+  info.drawRanges = [new DrawRange(0, 0, indices.length)];
+  return info;
+}
+
+// Read the header up to and including end_header
+function parsePLYHeader(bytes)
+{
+  if (String.fromCharCode(bytes[0], bytes[1], bytes[2]) != 'ply') throw new Error("not a PLY file");
+  var text = "";
+  var line = "";
+  var end = -1;
+  for (var i = 0; i < bytes.length; i++) {
+    var c = String.fromCharCode(bytes[i]);
+    text += c;
+    if (c != '\n') {
+      line += c;
+      continue;
+    }
+    if (line.trim() == 'end_header') {
+      end = i + 1;
+      break;
+    }
+    line = "";
+  }
+  if (end < 0) throw new Error("PLY header has no end_header");
+
+  var header = { format: null, elements: [], dataOffset: end };
+  var lines = text.split('\n');
+  var element = null;
+  for (var i = 1; i < lines.length; i++) {
+    var words = lines[i].trim().split(/\s+/);
+    switch (words[0]) {
+      case 'format':
+        header.format = words[1];
+        break;
+      case 'element':
+        element = new PLYElement(words[1], parseInt(words[2]));
+        header.elements.push(element);
+        break;
+      case 'property':
+        if (element == null) throw new Error("PLY property before element");
+        if (words[1] == 'list')
+          element.properties.push(new PLYProperty(words[4], words[3], words[2]));
+        else
+          element.properties.push(new PLYProperty(words[2], words[1], null));
+        break;
+    }
+  }
+  if (header.format != 'ascii' && header.format != 'binary_little_endian' && header.format != 'binary_big_endian')
+    throw new Error("unsupported PLY format: " + header.format);
+  return header;
+}
+
+//------------------------------------------------------------------------------
+// PLYElement Object
+//------------------------------------------------------------------------------
+var PLYElement = function (name, count) {
+  this.name = name;
+  this.count = count;
+  this.properties = new Array(0);
+}
+
+// Map from property name to its position in the values returned by read
+PLYElement.prototype.propertyIndices = function () {
+  var indices = {};
+  for (var i = 0; i < this.properties.length; i++) indices[this.properties[i].name] = i;
+  return indices;
+}
+
+// Read the values of one element (a number or an array per property)
+PLYElement.prototype.read = function (reader) {
+  var values = new Array(this.properties.length);
+  for (var i = 0; i < this.properties.length; i++) {
+    var property = this.properties[i];
+    if (property.countType) {
+      var n = reader.read(property.countType);
+      var list = new Array(n);
+      for (var j = 0; j < n; j++) list[j] = reader.read(property.type);
+      values[i] = list;
+    }
+    else {
+      values[i] = reader.read(property.type);
+    }
+  }
+  return values;
+}
+
+//------------------------------------------------------------------------------
+// PLYProperty Object (countType is set for list properties)
+//------------------------------------------------------------------------------
+var PLYProperty = function (name, type, countType) {
+  this.name = name;
+  this.type = type;
+  this.countType = countType;
+}
+
+//------------------------------------------------------------------------------
+// PLYAsciiReader Object
+//------------------------------------------------------------------------------
+var PLYAsciiReader = function (bytes, offset) {
+  var text = new TextDecoder().decode(bytes.subarray(offset));
+  this.words = text.split(/\s+/).filter(function (w) { return w.length > 0; });
+  this.index = 0;
+}
+
+PLYAsciiReader.prototype.read = function (type) {
+  if (this.index >= this.words.length) throw new Error("unexpected end of PLY data");
+  var word = this.words[this.index++];
+  var x = Number(word);
+  if (isNaN(x)) throw new Error("bad PLY value '" + word + "' of type " + type);
+  return x;
+}
+
+//------------------------------------------------------------------------------
+// PLYBinaryReader Object
+//------------------------------------------------------------------------------
+var PLYBinaryReader = function (buffer, offset, littleEndian) {
+  this.view = new DataView(buffer);
+  this.offset = offset;
+  this.littleEndian = littleEndian;
+}
+
+PLYBinaryReader.prototype.read = function (type) {
+  var view = this.view, offset = this.offset, le = this.littleEndian;
+  if (offset >= view.byteLength) throw new Error("unexpected end of PLY data");
+  var x;
+  switch (type) {
+    case 'char': case 'int8':     x = view.getInt8(offset); this.offset += 1; break;
+    case 'uchar': case 'uint8':   x = view.getUint8(offset); this.offset += 1; break;
+    case 'short': case 'int16':   x = view.getInt16(offset, le); this.offset += 2; break;
+    case 'ushort': case 'uint16': x = view.getUint16(offset, le); this.offset += 2; break;
+    case 'int': case 'int32':     x = view.getInt32(offset, le); this.offset += 4; break;
+    case 'uint': case 'uint32':   x = view.getUint32(offset, le); this.offset += 4; break;
+    case 'float': case 'float32': x = view.getFloat32(offset, le); this.offset += 4; break;
+    case 'double': case 'float64': x = view.getFloat64(offset, le); this.offset += 8; break;
+    default: throw new Error("unknown PLY type: " + type);
+  }
+  return x;
+}
@@ -0,0 +1,120 @@
+// Picking.js
+//
+// Picking of meshes by casting a ray from the mouse position through the
+// current projection and view matrices. Requires MV.js, Geometry.js (Ray)
+// and BVH.js.
+//
+// Example (the teapot and ground of week 9):
+//   var picker = new Picker();
+//   var teapot = picker.add("teapot", teapotInfo, M_teapot);
+//   picker.add("ground", { vertices: groundPositions, indices: groundIndices });
+//   canvas.onclick = function (ev) {
+//     var hit = picker.pick(mouseToRay(ev, canvas, P, V, { zeroToOne: true }));
+//     if (hit) console.log(hit.object.name, hit.triangle, hit.barycentrics);
+//   };
+//   ...
+//   teapot.matrix = M_teapot; // when the teapot moves
+
+//------------------------------------------------------------------------------
+// Common functions
+//------------------------------------------------------------------------------
+
+// World space ray through the mouse position of ev. P and V are the MV.js
+// matrices used for drawing. depthRange tells how P maps depth:
+//   {}                  - near to -1, far to 1 (perspective, ortho, frustum)
+//   { zeroToOne: true } - near to 0, far to 1 (perspectiveZO, orthoZO,
+//                         frustumZO, mult(Mst, perspective(...)))
+//   { reversed: true }  - near to 1, far to 0 (perspectiveReversedZ)
+function mouseToRay(ev, canvas, P, V, depthRange)
+{
+  var rect = canvas.getBoundingClientRect();
+  var x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
+  var y = 1 - ((ev.clientY - rect.top) / rect.height) * 2;
+  return ndcToRay(vec2(x, y), P, V, depthRange);
+}
+
+// World space ray through a point in normalized device coordinates, from the
+// near plane away from the eye. The direction comes from a point halfway in
+// depth rather than the far plane, which is at infinity (w = 0) for an
+// infinite far plane.
+function ndcToRay(ndc, P, V, depthRange)
+{
+  depthRange = depthRange || {};
+  var nearDepth = depthRange.reversed ? 1.0 : depthRange.zeroToOne ? 0.0 : -1.0;
+  var midDepth = depthRange.reversed || depthRange.zeroToOne ? 0.5 : 0.0;
+  var inv = inverse(mult(P, V));
+  var near = unproject(vec3(ndc[0], ndc[1], nearDepth), inv);
+  var mid = unproject(vec3(ndc[0], ndc[1], midDepth), inv);
+  return new Ray(near, normalize(subtract(mid, near)));
+}
+
+// Point with the given normalized device coordinates, mapped back by the
+// inverse of the projection (times view) matrix
+function unproject(ndc, invPV)
+{
+  var p = mult(invPV, vec4(ndc[0], ndc[1], ndc[2], 1.0));
+  return vec3(p[0] / p[3], p[1] / p[3], p[2] / p[3]);
+}
+
+//------------------------------------------------------------------------------
+// Picker Object
+//------------------------------------------------------------------------------
+var Picker = function () {
+  this.objects = new Array(0); // PickObjects
+}
+
+// Add a mesh (DrawingInfo or { vertices, indices } with 4 floats per vertex)
+// drawn with model matrix M (default identity). Returns its PickObject.
+Picker.prototype.add = function (name, mesh, M) {
+  var object = new PickObject(name, mesh, M || mat4());
+  this.objects.push(object);
+  return object;
+}
+
+Picker.prototype.remove = function (object) {
+  var i = this.objects.indexOf(object);
+  if (i >= 0) this.objects.splice(i, 1);
+}
+
+// Closest hit of a world space Ray with the visible objects, or null
+Picker.prototype.pick = function (ray) {
+  var closest = null;
+  for (var i = 0; i < this.objects.length; i++) {
+    var object = this.objects[i];
+    if (!object.visible) continue;
+    // Intersect in model space; t is the same in both spaces
+    var local = ray.transform(inverse(object.matrix));
+    var hit = object.getBVH().intersect(local, closest ? closest.t : Infinity);
+    if (hit) closest = new PickResult(object, hit.triangle, hit.t, hit.u, hit.v, ray.at(hit.t));
+  }
+  return closest;
+}
+
+//------------------------------------------------------------------------------
+// PickObject Object
+//------------------------------------------------------------------------------
+var PickObject = function (name, mesh, M) {
+  this.name = name;
+  this.mesh = mesh;
+  this.matrix = M;       // Model matrix, update when the object moves
+  this.visible = true;   // Hidden objects cannot be picked
+  this.bvh = null;       // Built on the first pick
+}
+
+PickObject.prototype.getBVH = function () {
+  if (!this.bvh) this.bvh = new BVH(this.mesh);
+  return this.bvh;
+}
+
+//------------------------------------------------------------------------------
+// PickResult Object
+//------------------------------------------------------------------------------
+var PickResult = function (object, triangle, t, u, v, point) {
+  this.object = object;
+  this.triangle = triangle;                   // Triangle number in the indices
+  this.t = t;                                 // Ray parameter of the hit
+  this.barycentrics = vec3(1 - u - v, u, v);  // Weights of the three vertices
+  this.point = point;                         // World space hit point
+  var indices = object.mesh.indices;
+  this.vertexIndices = [indices[triangle * 3], indices[triangle * 3 + 1], indices[triangle * 3 + 2]];
+}
@@ -0,0 +1,205 @@
+// STLParser.js
+//
+// Reader for STL files (ASCII and binary) returning the same DrawingInfo as
+// readOBJFile, and a writer serializing triangle meshes as STL.
+// Requires MV.js and OBJParser.js (DrawingInfo, Material, DrawRange).
+
+//------------------------------------------------------------------------------
+// STL reader
+//------------------------------------------------------------------------------
+
+async function readSTLFile(fileName, scale, reverse)
+{
+  const response = await fetch(fileName);
+  if(!response.ok) {
+    console.log(fileName + ": HTTP " + response.status + " " + response.statusText);
+    return null;
+  }
+  try {
+    return parseSTL(await response.arrayBuffer(), scale, reverse);
+  }
+  catch(e) {
+    console.log(fileName + ": " + e.message);
+    return null;
+  }
+}
+
+// Parse the contents of an STL file. STL triangles share no vertices, so each
+// triangle gets three vertices with its facet normal (computed from the
+// vertices if the file stores a zero normal). STL normals follow the
+// counterclockwise winding; they are flipped to match the normals of
+// readOBJFile unless reverse is set. Colors are grey.
+function parseSTL(buffer, scale, reverse)
+{
+  if (scale == null) scale = 1.0;
+  var sign = reverse ? 1.0 : -1.0;
+  var triangles = isBinarySTL(buffer) ? readBinarySTL(buffer) : readAsciiSTL(buffer);
+  var numTriangles = triangles.length / 12; // normal and three vertices
+  var numVertices = numTriangles * 3;
+
+  var vertices = new Float32Array(numVertices * 4);
+  var normals = new Float32Array(numVertices * 4);
+  var colors = new Float32Array(numVertices * 4);
+  var indices = new Uint32Array(numVertices);
+  for (var t = 0; t < numTriangles; t++) {
+    var src = t * 12;
+    var n = [triangles[src], triangles[src + 1], triangles[src + 2]];
+    var p = [];
+    for (var k = 0; k < 3; k++) {
+      p.push([triangles[src + 3 + k * 3], triangles[src + 4 + k * 3], triangles[src + 5 + k * 3]]);
+    }
+    if (n[0] == 0 && n[1] == 0 && n[2] == 0) {
+      n = cross(subtract(p[1], p[0]), subtract(p[2], p[0]));
+      var len = length(n);
+      if (len > 0) n = [n[0] / len, n[1] / len, n[2] / len];
+    }
+    for (var k = 0; k < 3; k++) {
+      var v = t * 3 + k;
+      vertices.set([p[k][0] * scale, p[k][1] * scale, p[k][2] * scale, 1.0], v * 4);
+      normals.set([sign * n[0], sign * n[1], sign * n[2], 0.0], v * 4);
+      colors.set([0.8, 0.8, 0.8, 1.0], v * 4);
+      indices[v] = v;
+    }
+  }
+
+  var info = new DrawingInfo(vertices, normals, colors, indices, new Float32Array(numVertices * 2));
+  info.materials = [new Material("", 0.8, 0.8, 0.8, 1)];
+  info.drawRanges = [new DrawRange(0, 0, indices.length)];
+  return info;
+}
+
+// Binary files have an 84 byte header followed by 50 bytes per triangle. ASCII
+// files start with "solid", but so do some binary files, hence the size test.
+function isBinarySTL(buffer)
+{
+  if (buffer.byteLength < 84) return false;
+  var count = new DataView(buffer).getUint32(80, true);
+  return buffer.byteLength == 84 + count * 50;
+}
+
+// Returns normal and vertices (12 floats) per triangle
+function readBinarySTL(buffer)
+{
+  var view = new DataView(buffer);
+  var count = view.getUint32(80, true);
+  var triangles = new Float32Array(count * 12);
+  for (var t = 0; t < count; t++) {
+    var offset = 84 + t * 50;
+    for (var i = 0; i < 12; i++) {
+      triangles[t * 12 + i] = view.getFloat32(offset + i * 4, true);
+    }
+  }
+  return triangles;
+}
+
+function readAsciiSTL(buffer)
+{
+  var words = new TextDecoder().decode(buffer).split(/\s+/);
+  if (words[0] == "") words.shift();
+  if (words[0] != 'solid') throw new Error("not an STL file");
+
+  var triangles = [];
+  var normal = [0, 0, 0];
+  var numVertices = 0;
+  for (var i = 0; i < words.length; i++) {
+    if (words[i] == 'facet' && words[i + 1] == 'normal') {
+      normal = [Number(words[i + 2]), Number(words[i + 3]), Number(words[i + 4])];
+      numVertices = 0;
+      i += 4;
+    }
+    else if (words[i] == 'vertex') {
+      if (numVertices == 0) triangles.push(normal[0], normal[1], normal[2]);
+      for (var k = 1; k <= 3; k++) {
+        var x = Number(words[i + k]);
+        if (isNaN(x)) throw new Error("bad STL vertex coordinate '" + words[i + k] + "'");
+        triangles.push(x);
+      }
+      if (++numVertices > 3) throw new Error("STL facet with more than 3 vertices");
+      i += 3;
+    }
+  }
+  if (triangles.length % 12 != 0) throw new Error("STL facet with fewer than 3 vertices");
+  return new Float32Array(triangles);
+}
+
+//------------------------------------------------------------------------------
+// STL writer
+//------------------------------------------------------------------------------
+
+// Serialize a triangle mesh as STL. positions is either an array of vec3/vec4
+// (like the subdivision sphere of week 4) or a flat array with
+// options.positionSize floats per vertex (4 as in DrawingInfo.vertices by
+// default, pass 3 for packed vec3 data); indices holds three per triangle.
+// Throws if the lengths do not fit or an index is out of range. Returns an
+// ArrayBuffer, or a string if options.ascii is set.
+function writeSTL(positions, indices, options)
+{
+  options = options || {};
+  var name = options.name || "mesh";
+  if (indices.length % 3 != 0) throw new Error("STL index count " + indices.length + " is not a multiple of 3");
+  var numTriangles = indices.length / 3;
+  var numVertices, getPosition;
+  if (Array.isArray(positions[0])) {
+    numVertices = positions.length;
+    getPosition = function (i) { return [positions[i][0], positions[i][1], positions[i][2]]; };
+  }
+  else {
+    var stride = options.positionSize || 4;
+    if (stride != 3 && stride != 4) throw new Error("STL position size must be 3 or 4, not " + stride);
+    if (positions.length % stride != 0)
+      throw new Error("STL position array length " + positions.length + " is not a multiple of " + stride);
+    numVertices = positions.length / stride;
+    getPosition = function (i) { return [positions[i * stride], positions[i * stride + 1], positions[i * stride + 2]]; };
+  }
+  for (var i = 0; i < indices.length; i++) {
+    if (indices[i] >= numVertices) throw new Error("STL index " + indices[i] + " out of range for " + numVertices + " vertices");
+  }
+
+  // Facet normals follow the counterclockwise winding of the triangles
+  function facet(t) {
+    var p = [getPosition(indices[t * 3]), getPosition(indices[t * 3 + 1]), getPosition(indices[t * 3 + 2])];
+    var n = cross(subtract(p[1], p[0]), subtract(p[2], p[0]));
+    var len = length(n);
+    return { normal: len > 0 ? scale(1 / len, n) : [0, 0, 0], vertices: p };
+  }
+
+  if (options.ascii) {
+    var lines = ["solid " + name];
+    for (var t = 0; t < numTriangles; t++) {
+      var f = facet(t);
+      lines.push("  facet normal " + f.normal.join(" "));
+      lines.push("    outer loop");
+      for (var k = 0; k < 3; k++) lines.push("      vertex " + f.vertices[k].join(" "));
+      lines.push("    endloop");
+      lines.push("  endfacet");
+    }
+    lines.push("endsolid " + name);
+    return lines.join("\n") + "\n";
+  }
+
+  var buffer = new ArrayBuffer(84 + numTriangles * 50);
+  var view = new DataView(buffer);
+  var header = ("binary STL " + name).substring(0, 80);
+  for (var i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  view.setUint32(80, numTriangles, true);
+  for (var t = 0; t < numTriangles; t++) {
+    var f = facet(t);
+    var values = f.normal.concat(f.vertices[0], f.vertices[1], f.vertices[2]);
+    var offset = 84 + t * 50;
+    for (var i = 0; i < 12; i++) view.setFloat32(offset + i * 4, values[i], true);
+    view.setUint16(offset + 48, 0, true); // Attribute byte count
+  }
+  return buffer;
+}
+
+// Let the browser download a mesh as an STL file
+function downloadSTL(fileName, positions, indices, options)
+{
+  var data = writeSTL(positions, indices, options);
+  var blob = new Blob([data], { type: options && options.ascii ? "model/stl" : "application/octet-stream" });
+  var link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  setTimeout(function () { URL.revokeObjectURL(link.href); }, 0);
+}
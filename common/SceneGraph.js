@@ -0,0 +1,159 @@
+// SceneGraph.js
+//
+// Scene graph of nodes with local translation/rotation/scale transforms, so
+// scenes with several objects can be described as a tree instead of composing
+// mult(translate(...), scalem(...)) inline. World and normal matrices are
+// cached and recomputed only when a node or one of its ancestors changes.
+// Requires MV.js.
+//
+// Example (the teapot and ground of week 9):
+//   var scene = buildScene({ name: "root", children: [
+//     { name: "ground", mesh: groundInfo },
+//     { name: "teapot", mesh: teapotInfo, translation: [0, -1, -3], scale: [0.25, 0.25, 0.25] }
+//   ]});
+//   scene.findNode("teapot").setTranslation(0, teapotY, -3);
+//   scene.traverse(function (node) {
+//     if (node.mesh) draw(node.mesh, mult(V, node.getWorldMatrix()));
+//   });
+
+//------------------------------------------------------------------------------
+// SceneNode Object
+//------------------------------------------------------------------------------
+var SceneNode = function (name) {
+  this.name = name || "";
+  this.parent = null;
+  this.children = new Array(0);
+  this.mesh = null;                 // Anything to draw, e.g. a DrawingInfo
+  this.visible = true;              // traverse skips hidden subtrees
+  this.translation = vec3();
+  this.rotation = mat4();
+  this.scaling = vec3(1.0, 1.0, 1.0);
+  this.matrix = null;               // Replaces translation/rotation/scale if set
+  this.localMatrix = null;          // Caches, null when out of date
+  this.worldMatrix = null;
+  this.normalMatrix = null;
+}
+
+// Append child (removing it from its old parent). Returns child.
+SceneNode.prototype.add = function (child) {
+  if (child.parent) child.parent.remove(child);
+  child.parent = this;
+  this.children.push(child);
+  child.invalidate();
+  return child;
+}
+
+SceneNode.prototype.remove = function (child) {
+  var i = this.children.indexOf(child);
+  if (i < 0) return;
+  this.children.splice(i, 1);
+  child.parent = null;
+  child.invalidate();
+}
+
+SceneNode.prototype.setTranslation = function (x, y, z) {
+  this.translation = vec3(x, y, z);
+  this.localMatrix = null;
+  this.invalidate();
+}
+
+// Rotation by angle degrees about axis (as MV.js rotate), or by a mat4
+SceneNode.prototype.setRotation = function (angle, axis) {
+  this.rotation = angle.matrix ? angle : rotate(angle, axis);
+  this.localMatrix = null;
+  this.invalidate();
+}
+
+SceneNode.prototype.setScale = function (x, y, z) {
+  if (y == null) y = z = x;
+  this.scaling = vec3(x, y, z);
+  this.localMatrix = null;
+  this.invalidate();
+}
+
+// Use m as the local transform (e.g. a reflection), null to go back to TRS
+SceneNode.prototype.setMatrix = function (m) {
+  this.matrix = m;
+  this.localMatrix = null;
+  this.invalidate();
+}
+
+// Mark the world matrices of this subtree as out of date
+SceneNode.prototype.invalidate = function () {
+  if (this.worldMatrix == null && this.normalMatrix == null) return;
+  this.worldMatrix = null;
+  this.normalMatrix = null;
+  for (var i = 0; i < this.children.length; i++) this.children[i].invalidate();
+}
+
+SceneNode.prototype.getLocalMatrix = function () {
+  if (this.localMatrix == null) {
+    if (this.matrix) this.localMatrix = this.matrix;
+    else {
+      var t = this.translation, s = this.scaling;
+      this.localMatrix = mult(translate(t[0], t[1], t[2]), mult(this.rotation, scalem(s[0], s[1], s[2])));
+    }
+  }
+  return this.localMatrix;
+}
+
+SceneNode.prototype.getWorldMatrix = function () {
+  if (this.worldMatrix == null) {
+    this.worldMatrix = this.parent
+      ? mult(this.parent.getWorldMatrix(), this.getLocalMatrix())
+      : this.getLocalMatrix();
+  }
+  return this.worldMatrix;
+}
+
+// mat3 for world space normals. For eye space normals pass the view matrix
+// (the result is then not cached).
+SceneNode.prototype.getNormalMatrix = function (V) {
+  if (V) return normalMatrix(mult(V, this.getWorldMatrix()), true);
+  if (this.normalMatrix == null) this.normalMatrix = normalMatrix(this.getWorldMatrix(), true);
+  return this.normalMatrix;
+}
+
+// Call callback(node) for the visible nodes, parents before children
+SceneNode.prototype.traverse = function (callback) {
+  if (!this.visible) return;
+  callback(this);
+  for (var i = 0; i < this.children.length; i++) this.children[i].traverse(callback);
+}
+
+// First node with the given name in this subtree, or null
+SceneNode.prototype.findNode = function (name) {
+  if (this.name == name) return this;
+  for (var i = 0; i < this.children.length; i++) {
+    var node = this.children[i].findNode(name);
+    if (node) return node;
+  }
+  return null;
+}
+
+//------------------------------------------------------------------------------
+// Common function
+//------------------------------------------------------------------------------
+
+// Build a tree of SceneNodes from a description with the optional fields
+// name, mesh, visible, translation, rotation ({ angle, axis } or a mat4),
+// scale (a number or [x, y, z]), matrix and children
+function buildScene(desc)
+{
+  var node = new SceneNode(desc.name);
+  if (desc.mesh != null) node.mesh = desc.mesh;
+  if (desc.visible != null) node.visible = desc.visible;
+  if (desc.translation) node.setTranslation(desc.translation[0], desc.translation[1], desc.translation[2]);
+  if (desc.rotation) {
+    if (desc.rotation.matrix) node.setRotation(desc.rotation);
+    else node.setRotation(desc.rotation.angle, desc.rotation.axis);
+  }
+  if (desc.scale != null) {
+    if (typeof desc.scale == "number") node.setScale(desc.scale);
+    else node.setScale(desc.scale[0], desc.scale[1], desc.scale[2]);
+  }
+  if (desc.matrix) node.setMatrix(desc.matrix);
+  var children = desc.children || [];
+  for (var i = 0; i < children.length; i++) node.add(buildScene(children[i]));
+  return node;
+}
@@ -0,0 +1,214 @@
+// WebGPUSetup.js
+//
+// The setup every lab part needs: adapter and device, canvas context, the
+// WGSL from <script id="wgsl" src="shader.wgsl">, and the MSAA color and depth
+// targets (recreated when the canvas changes size). Errors (no WebGPU, no
+// adapter, lost device, WGSL compile errors) are reported the same way in
+// every part: logged and shown on the page below the canvas.
+//
+// Example:
+//   var gpu = await initWebGPU(document.getElementById('my-canvas'), { sampleCount: 4 });
+//   if (!gpu) return;
+//   var wgsl = await gpu.loadWGSL();
+//   if (!wgsl) return;
+//   var pipeline = gpu.device.createRenderPipeline({ ...,
+//     fragment: { module: wgsl, entryPoint: 'main_fs', targets: [{ format: gpu.format }] },
+//     multisample: { count: gpu.sampleCount },
+//     depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: gpu.depthFormat },
+//   });
+//   var pass = encoder.beginRenderPass({
+//     colorAttachments: [gpu.colorAttachment(bgcolor)],
+//     depthStencilAttachment: gpu.depthAttachment(),
+//   });
+
+//------------------------------------------------------------------------------
+// Common functions
+//------------------------------------------------------------------------------
+
+// Set up WebGPU for a canvas. Options:
+//   sampleCount      - MSAA samples (default 1, i.e. no MSAA texture)
+//   depthFormat      - format of the depth texture (default 'depth24plus',
+//                      null for none)
+//   alphaMode        - canvas alpha mode (default 'opaque')
+//   autoResize       - follow the displayed size of the canvas (default false,
+//                      as most parts size other textures from the canvas once)
+//   onResize         - called with (width, height) after the targets changed
+//                      (can also be set later as the onResize field)
+//   onDeviceLost     - called with the GPUDeviceLostInfo
+//   powerPreference  - passed on to requestAdapter
+//   requiredFeatures, requiredLimits - passed on to requestDevice
+// Resolves to null (after reporting) if WebGPU cannot be used, so callers
+// return early instead of rejecting.
+async function initWebGPU(canvas, options)
+{
+  options = options || {};
+  if (!navigator.gpu) {
+    reportWebGPUError(canvas, "WebGPU is not supported by this browser. Use a recent Chrome or Edge.");
+    return null;
+  }
+  var adapter = await navigator.gpu.requestAdapter({ powerPreference: options.powerPreference });
+  if (!adapter) {
+    reportWebGPUError(canvas, "No WebGPU adapter was found. The GPU may be unsupported or blocklisted.");
+    return null;
+  }
+  var device;
+  try {
+    device = await adapter.requestDevice({
+      requiredFeatures: options.requiredFeatures || [],
+      requiredLimits: options.requiredLimits || {},
+    });
+  }
+  catch (e) {
+    reportWebGPUError(canvas, "Could not create a WebGPU device: " + e.message);
+    return null;
+  }
+  return new WebGPUContext(canvas, device, options);
+}
+
+// Log an error and show it below the canvas. Returns an Error for callers
+// that want to throw it.
+function reportWebGPUError(canvas, message)
+{
+  console.error(message);
+  if (canvas && canvas.parentNode) {
+    var element = canvas.parentNode.querySelector('.webgpu-error');
+    if (!element) {
+      element = document.createElement('p');
+      element.className = 'explanation webgpu-error';
+      element.style.color = '#c62828';
+      element.style.whiteSpace = 'pre-line';
+      canvas.parentNode.insertBefore(element, canvas.nextSibling);
+    }
+    element.textContent = message;
+  }
+  return new Error(message);
+}
+
+//------------------------------------------------------------------------------
+// WebGPUContext Object
+//------------------------------------------------------------------------------
+var WebGPUContext = function (canvas, device, options) {
+  this.canvas = canvas;
+  this.device = device;
+  this.context = canvas.getContext('webgpu');
+  this.format = navigator.gpu.getPreferredCanvasFormat();
+  this.sampleCount = options.sampleCount || 1;
+  this.depthFormat = options.depthFormat !== undefined ? options.depthFormat : 'depth24plus';
+  this.onResize = options.onResize || null;
+  this.msaaTexture = null;  // Only if sampleCount > 1
+  this.depthTexture = null; // Only if depthFormat is set
+  this.context.configure({
+    device: device,
+    format: this.format,
+    alphaMode: options.alphaMode || 'opaque',
+  });
+
+  var self = this;
+  device.lost.then(function (info) {
+    if (info.reason === 'destroyed') return;
+    reportWebGPUError(canvas, "The WebGPU device was lost: " + info.message + " Reload the page.");
+    if (options.onDeviceLost) options.onDeviceLost(info);
+  });
+
+  this.resize(canvas.width, canvas.height);
+  if (options.autoResize && typeof ResizeObserver !== 'undefined') {
+    new ResizeObserver(function () {
+      var ratio = window.devicePixelRatio || 1;
+      var limit = device.limits.maxTextureDimension2D;
+      var width = Math.max(1, Math.min(limit, Math.round(canvas.clientWidth * ratio)));
+      var height = Math.max(1, Math.min(limit, Math.round(canvas.clientHeight * ratio)));
+      if (width != canvas.width || height != canvas.height) self.resize(width, height);
+    }).observe(canvas);
+  }
+}
+
+// Set the canvas size and recreate the MSAA and depth textures
+WebGPUContext.prototype.resize = function (width, height) {
+  this.canvas.width = width;
+  this.canvas.height = height;
+  if (this.msaaTexture) this.msaaTexture.destroy();
+  if (this.depthTexture) this.depthTexture.destroy();
+  this.msaaTexture = this.sampleCount > 1 ? this.device.createTexture({
+    size: { width: width, height: height },
+    format: this.format,
+    sampleCount: this.sampleCount,
+    usage: GPUTextureUsage.RENDER_ATTACHMENT,
+  }) : null;
+  this.depthTexture = this.depthFormat ? this.device.createTexture({
+    size: { width: width, height: height },
+    format: this.depthFormat,
+    sampleCount: this.sampleCount,
+    usage: GPUTextureUsage.RENDER_ATTACHMENT,
+  }) : null;
+  if (this.onResize) this.onResize(width, height);
+}
+
+WebGPUContext.prototype.aspect = function () {
+  return this.canvas.width / this.canvas.height;
+}
+
+// Shader module from the src of the script element with the given id
+// (default 'wgsl'). Resolves to null after reporting a missing file or
+// compile errors (with line numbers).
+WebGPUContext.prototype.loadWGSL = async function (id) {
+  var script = document.getElementById(id || 'wgsl');
+  if (!script || !script.src) {
+    reportWebGPUError(this.canvas, "No <script id=\"" + (id || 'wgsl') + "\"> with a src attribute.");
+    return null;
+  }
+  var response;
+  try {
+    response = await fetch(script.src, { cache: "reload" });
+  }
+  catch (e) {
+    reportWebGPUError(this.canvas, script.src + ": " + e.message);
+    return null;
+  }
+  if (!response.ok) {
+    reportWebGPUError(this.canvas, script.src + ": HTTP " + response.status + " " + response.statusText);
+    return null;
+  }
+  var module = this.device.createShaderModule({ code: await response.text() });
+  var info = await module.getCompilationInfo();
+  var errors = info.messages.filter(function (m) { return m.type === 'error'; });
+  if (errors.length > 0) {
+    var file = script.getAttribute('src');
+    reportWebGPUError(this.canvas, errors.map(function (m) {
+      return file + ":" + m.lineNum + ":" + m.linePos + ": " + m.message;
+    }).join("\n"));
+    return null;
+  }
+  return module;
+}
+
+// Color attachment drawing to the canvas (through the MSAA texture if any),
+// cleared to clearColor (a vec4 or [r, g, b, a], default black)
+WebGPUContext.prototype.colorAttachment = function (clearColor) {
+  var c = clearColor || [0.0, 0.0, 0.0, 1.0];
+  var view = this.context.getCurrentTexture().createView();
+  return {
+    view: this.msaaTexture ? this.msaaTexture.createView() : view,
+    resolveTarget: this.msaaTexture ? view : undefined,
+    loadOp: 'clear',
+    storeOp: 'store',
+    clearValue: { r: c[0], g: c[1], b: c[2], a: c[3] },
+  };
+}
+
+// Depth attachment cleared to 1, and stencil cleared to 0 for depth-stencil
+// formats (null if there is no depth texture)
+WebGPUContext.prototype.depthAttachment = function () {
+  if (!this.depthTexture) return null;
+  var attachment = {
+    view: this.depthTexture.createView(),
+    depthLoadOp: 'clear',
+    depthClearValue: 1.0,
+    depthStoreOp: 'store',
+  };
+  if (this.depthFormat.indexOf('stencil') >= 0) {
+    attachment.stencilLoadOp = 'clear';
+    attachment.stencilClearValue = 0;
+    attachment.stencilStoreOp = 'store';
+  }
+  return attachment;
+}
@@ -0,0 +1,461 @@
+// quaternion.js (c) 2014 Jeppe Revall Frisvad
+/**
+ * This is a class for working with quaternions.
+ */
+
+/**
+ * Constructor of Quaternion.
+ * If opt_src is specified, new quaternion is initialized by opt_src.
+ * Otherwise, new quaternion is initialized by identity quaternion.
+ * @param opt_src source matrix(option)
+ */
+var Quaternion = function (opt_src) {
+  var v = new Float32Array(4);
+  if (opt_src && typeof opt_src === 'object') {
+    if(opt_src.elements)
+      v.set(opt_src.elements);
+    else
+      v.set(opt_src);
+  } else {
+    v[0] = 0; v[1] = 0; v[2] = 0; v[3] = 1;
+  }
+  this.elements = v;
+};
+
+/**
+ * Set the identity quaternion.
+ * @return this
+ */
+Quaternion.prototype.setIdentity = function () {
+  var e = this.elements;
+  e[0] = 0; e[1] = 0; e[2] = 0; e[3] = 1;
+  return this;
+};
+
+/**
+ * Copy quaternion.
+ * @param src source matrix
+ * @return this
+ */
+Quaternion.prototype.set = function (src) {
+  var s = src.elements ? src.elements : src;
+  var d = this.elements;
+  if (s === d) {
+    return;
+  }
+  for (var i = 0; i < 4; ++i) {
+    d[i] = s[i];
+  }
+  return this;
+};
+
+/**
+ * Apply quaternion: q * p * q^-1 with p = (vec, 1).
+ * @param vec The vector to be rotated according to the quaternion
+ * @return Rotated vector
+ */
+Quaternion.prototype.apply = function (vec) {
+  var p = new Quaternion(vec);
+  var q = new Quaternion(this);
+  var q_inv = new Quaternion(this);
+  q_inv = q_inv.invert();
+  p = p.multiply(q_inv);
+  p = q.multiply(p);
+  var result = p.elements;
+  return vec3(result[0], result[1], result[2]);
+}
+
+/**
+ * Multiply the quaternion from the right.
+ * @param other The multiply quaternion
+ * @return this
+ */
+Quaternion.prototype.multiply = function (other) {
+    // Calculate e = a * b
+    var e = this.elements;
+    var a = new Float32Array(this.elements);
+    var b = new Float32Array(other.elements);
+    e[0] = a[1] * b[2] - a[2] * b[1] + b[3] * a[0] + a[3] * b[0];
+    e[1] = a[2] * b[0] - a[0] * b[2] + b[3] * a[1] + a[3] * b[1];
+    e[2] = a[0] * b[1] - a[1] * b[0] + b[3] * a[2] + a[3] * b[2];
+    e[3] = a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2];
+    return this;
+};
+
+/**
+ * Add quaternion.
+ * @param other The quaternion to be added
+ * @return this
+ */
+Quaternion.prototype.add = function (other) {
+  var a = this.elements;
+  var b = other.elements;
+  a[0] = a[0] + b[0];
+  a[1] = a[1] + b[1];
+  a[2] = a[2] + b[2];
+  a[3] = a[3] + b[3];
+  return this;
+};
+
+/**
+ * Multiply by scalar.
+ * @param s  The scalar
+ * @return this
+ */
+Quaternion.prototype.multiplyScalar = function (s) {
+  var e = this.elements;
+  e[0] = e[0] * s; e[1] = e[1] * s; e[2] = e[2] * s; e[3] = e[3] * s;
+  return this;
+};
+
+/**
+ * Quaternion conjugate.
+ * @return Return the conjugate q* = (-q_imag, q_real)
+ */
+Quaternion.prototype.conjugate = function () {
+  var e = this.elements;
+  e[0] = -e[0]; e[1] = -e[1]; e[2] = -e[2];
+  return this;
+};
+
+/**
+ * Imaginary part of quaternion.
+ * @return vec3 specifying the imaginary part
+ */
+Quaternion.prototype.get_imag = function () {
+  var e = this.elements;
+  return vec3(e[0], e[1], e[2]);
+};
+
+/**
+ * Real part of quaternion.
+ * @return Scalar specifying the real part
+ */
+Quaternion.prototype.get_real = function () {
+  var e = this.elements;
+  return e[3];
+}
+
+/**
+ * Squared norm of quaternion.
+ * @return The squared norm
+ */
+Quaternion.prototype.sqr_norm = function () {
+  var e = this.elements;
+  return e[0]*e[0] + e[1]*e[1] + e[2]*e[2] + e[3]*e[3];
+}
+
+/**
+ * Inverse of quaternion.
+ * @return this
+ */
+Quaternion.prototype.invert = function () {
+  var sn = this.sqr_norm();
+  var e = this.elements;
+  e[0] = -e[0] / sn; e[1] = -e[1] / sn; e[2] = -e[2] / sn; e[3] = e[3] / sn;
+  return this;
+}
+
+/**
+ * Make quaternion corresponding to rotation by an angle around an axis.
+ * @param angle  The angle
+ * @param vec  The direction of the axis of rotation
+ * @return this
+ */
+Quaternion.prototype.make_rot_angle_axis = function (angle, vec) {
+  var e = this.elements;
+  var sin_angle_half = Math.sin(angle*0.5);
+  var v = normalize(vec);
+  e[0] = v[0]*sin_angle_half;
+  e[1] = v[1]*sin_angle_half;
+  e[2] = v[2]*sin_angle_half;
+  e[3] = Math.cos(angle*0.5);
+  return this;
+}
+
+/**
+ * Make quaternion corresponding to the rotation from one vector to another.
+ * @param a The vec3 we are rotating from
+ * @param b The vec3 we are rotating to
+ * @return this
+ */
+Quaternion.prototype.make_rot_vec2vec = function (a, b) {
+  var e = this.elements;
+  var tmp = Math.sqrt(2 * (1 + a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+  e[0] = (a[1] * b[2] - a[2] * b[1]) / tmp;
+  e[1] = (a[2] * b[0] - a[0] * b[2]) / tmp;
+  e[2] = (a[0] * b[1] - a[1] * b[0]) / tmp;
+  e[3] = tmp / 2;
+  return this;
+}
+
+/**
+ * Make a rotation 3x3 matrix corresponding to this quaternion.
+ * @return mat3
+ */
+Quaternion.prototype.get_mat3 = function() {
+  var s = 2.0/Math.sqrt(this.sqr_norm());
+  var e = this.elements;
+  var qv_qv = vec3(e[0]*e[0], e[1]*e[1], e[2]*e[2]);
+  var qv_qw = vec3(e[0]*e[3], e[1]*e[3], e[2]*e[3]);
+  // note that the all q_*q_ are used twice (optimize)
+  var R = mat3(1 - s*(qv_qv[1] + qv_qv[2]), s*(e[0]*e[1] - qv_qw[2]), s*(e[0]*e[2] + qv_qw[1]),
+               s*(e[0]*e[1] + qv_qw[2]), 1 - s*(qv_qv[0] + qv_qv[2]), s*(e[1]*e[2] - qv_qw[0]),
+               s*(e[0]*e[2] - qv_qw[1]), s*(e[1]*e[2] + qv_qw[0]), 1 - s*(qv_qv[0] + qv_qv[1]));
+  return R;
+}
+
+/**
+ * Make a rotation 4x4 matrix corresponding to this quaternion.
+ * @return mat4
+ */
+Quaternion.prototype.get_mat4 = function() {
+  var s = 2.0/Math.sqrt(this.sqr_norm());
+  var e = this.elements;
+  var qv_qv = vec3(e[0]*e[0], e[1]*e[1], e[2]*e[2]);
+  var qv_qw = vec3(e[0]*e[3], e[1]*e[3], e[2]*e[3]);
+  // note that the all q_*q_ are used twice (optimize)
+  var R = mat4(1 - s*(qv_qv[1] + qv_qv[2]), s*(e[0]*e[1] - qv_qw[2]), s*(e[0]*e[2] + qv_qw[1]), 0,
+               s*(e[0]*e[1] + qv_qw[2]), 1 - s*(qv_qv[0] + qv_qv[2]), s*(e[1]*e[2] - qv_qw[0]), 0,
+               s*(e[0]*e[2] - qv_qw[1]), s*(e[1]*e[2] + qv_qw[0]), 1 - s*(qv_qv[0] + qv_qv[1]), 0,
+               0, 0, 0, 1);
+  return R;
+}
+
+/**
+ * Dot product of quaternions.
+ * @param other The other quaternion
+ * @return Scalar dot product
+ */
+Quaternion.prototype.dot = function (other) {
+  var a = this.elements;
+  var b = other.elements;
+  return a[0]*b[0] + a[1]*b[1] + a[2]*b[2] + a[3]*b[3];
+}
+
+/**
+ * Normalize quaternion to unit length.
+ * @return this
+ */
+Quaternion.prototype.normalize = function () {
+  var n = Math.sqrt(this.sqr_norm());
+  if (n > 0) this.multiplyScalar(1/n);
+  return this;
+}
+
+/**
+ * Make quaternion by normalized linear interpolation (faster than slerp but
+ * with non-constant angular speed). Takes the shortest path.
+ * @param a The quaternion at t = 0
+ * @param b The quaternion at t = 1
+ * @param t The interpolation parameter
+ * @return this
+ */
+Quaternion.prototype.make_nlerp = function (a, b, t) {
+  var e = this.elements;
+  var qa = new Float32Array(a.elements);
+  var qb = b.elements;
+  var sign = a.dot(b) < 0 ? -1 : 1;
+  for (var i = 0; i < 4; ++i) {
+    e[i] = (1 - t)*qa[i] + t*sign*qb[i];
+  }
+  return this.normalize();
+}
+
+/**
+ * Make quaternion by spherical linear interpolation of unit quaternions
+ * (constant angular speed). Takes the shortest path.
+ * @param a The quaternion at t = 0
+ * @param b The quaternion at t = 1
+ * @param t The interpolation parameter
+ * @return this
+ */
+Quaternion.prototype.make_slerp = function (a, b, t) {
+  var cos_omega = a.dot(b);
+  var sign = 1;
+  if (cos_omega < 0) {
+    cos_omega = -cos_omega;
+    sign = -1;
+  }
+  // Nearly parallel quaternions: avoid dividing by sin(omega) close to zero
+  if (cos_omega > 0.9995) {
+    return this.make_nlerp(a, b, t);
+  }
+  var omega = Math.acos(cos_omega);
+  var sin_omega = Math.sin(omega);
+  var sa = Math.sin((1 - t)*omega)/sin_omega;
+  var sb = sign*Math.sin(t*omega)/sin_omega;
+  var e = this.elements;
+  var qa = new Float32Array(a.elements);
+  var qb = new Float32Array(b.elements);
+  for (var i = 0; i < 4; ++i) {
+    e[i] = sa*qa[i] + sb*qb[i];
+  }
+  return this;
+}
+
+/**
+ * Make quaternion by spherical cubic interpolation between q1 and q2 with
+ * control points s1 and s2 from make_squad_control. Gives smooth (C1)
+ * camera paths through a sequence of keyframe orientations.
+ * @param q1 The keyframe at t = 0
+ * @param s1 The control point of q1
+ * @param s2 The control point of q2
+ * @param q2 The keyframe at t = 1
+ * @param t The interpolation parameter
+ * @return this
+ */
+Quaternion.prototype.make_squad = function (q1, s1, s2, q2, t) {
+  var c = new Quaternion().make_slerp_unclamped(q1, q2, t);
+  var d = new Quaternion().make_slerp_unclamped(s1, s2, t);
+  return this.make_slerp_unclamped(c, d, 2*t*(1 - t));
+}
+
+/**
+ * Slerp without taking the shortest path, as needed by squad.
+ * @param a The quaternion at t = 0
+ * @param b The quaternion at t = 1
+ * @param t The interpolation parameter
+ * @return this
+ */
+Quaternion.prototype.make_slerp_unclamped = function (a, b, t) {
+  // slerp(a, b, t) = a (a^-1 b)^t
+  var d = new Quaternion(a).invert().multiply(b).log().multiplyScalar(t).exp();
+  return this.set(new Quaternion(a).multiply(d));
+}
+
+/**
+ * Make the squad control point of keyframe q between its neighbours
+ * q_prev and q_next: q exp(-(log(q^-1 q_next) + log(q^-1 q_prev))/4).
+ * @param q_prev The previous keyframe
+ * @param q The keyframe
+ * @param q_next The next keyframe
+ * @return this
+ */
+Quaternion.prototype.make_squad_control = function (q_prev, q, q_next) {
+  var q_inv = new Quaternion(q).invert();
+  var next = new Quaternion(q_inv).multiply(q_next).log();
+  var prev = new Quaternion(q_inv).multiply(q_prev).log();
+  var c = next.add(prev).multiplyScalar(-0.25).exp();
+  return this.set(new Quaternion(q).multiply(c));
+}
+
+/**
+ * Exponential map: exp of (v, w) is e^w (sin|v| v/|v|, cos|v|).
+ * Turns a rotation vector (angle/2 times axis) into a unit quaternion.
+ * @return this
+ */
+Quaternion.prototype.exp = function () {
+  var e = this.elements;
+  var theta = Math.sqrt(e[0]*e[0] + e[1]*e[1] + e[2]*e[2]);
+  var r = Math.exp(e[3]);
+  var s = theta > 1e-8 ? r*Math.sin(theta)/theta : r;
+  e[0] *= s; e[1] *= s; e[2] *= s;
+  e[3] = r*Math.cos(theta);
+  return this;
+}
+
+/**
+ * Logarithm map, the inverse of exp. For a unit quaternion the result is
+ * (angle/2 times axis, 0).
+ * @return this
+ */
+Quaternion.prototype.log = function () {
+  var e = this.elements;
+  var n = Math.sqrt(this.sqr_norm());
+  var v = Math.sqrt(e[0]*e[0] + e[1]*e[1] + e[2]*e[2]);
+  var theta = Math.atan2(v, e[3]);
+  var s = v > 1e-8 ? theta/v : 1/n;
+  e[0] *= s; e[1] *= s; e[2] *= s;
+  e[3] = Math.log(n);
+  return this;
+}
+
+/**
+ * Make quaternion from the rotation part of a matrix.
+ * @param m The mat3 or mat4 (as in MV.js) holding a rotation
+ * @return this
+ */
+Quaternion.prototype.make_from_mat = function (m) {
+  var e = this.elements;
+  var trace = m[0][0] + m[1][1] + m[2][2];
+  if (trace > 0) {
+    var s = 0.5/Math.sqrt(trace + 1);
+    e[3] = 0.25/s;
+    e[0] = (m[2][1] - m[1][2])*s;
+    e[1] = (m[0][2] - m[2][0])*s;
+    e[2] = (m[1][0] - m[0][1])*s;
+  }
+  else if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+    var s = 2*Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]);
+    e[3] = (m[2][1] - m[1][2])/s;
+    e[0] = 0.25*s;
+    e[1] = (m[0][1] + m[1][0])/s;
+    e[2] = (m[0][2] + m[2][0])/s;
+  }
+  else if (m[1][1] > m[2][2]) {
+    var s = 2*Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]);
+    e[3] = (m[0][2] - m[2][0])/s;
+    e[0] = (m[0][1] + m[1][0])/s;
+    e[1] = 0.25*s;
+    e[2] = (m[1][2] + m[2][1])/s;
+  }
+  else {
+    var s = 2*Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]);
+    e[3] = (m[1][0] - m[0][1])/s;
+    e[0] = (m[0][2] + m[2][0])/s;
+    e[1] = (m[1][2] + m[2][1])/s;
+    e[2] = 0.25*s;
+  }
+  return this.normalize();
+}
+
+/**
+ * Make quaternion from Euler angles. The order names the axes from left to
+ * right in the matrix product, so "XYZ" (the default) gives Rx Ry Rz, which
+ * rotates about z first.
+ * @param angles vec3 with the angles (in radians) about x, y and z
+ * @param order One of "XYZ", "XZY", "YXZ", "YZX", "ZXY" and "ZYX"
+ * @return this
+ */
+Quaternion.prototype.make_rot_euler = function (angles, order) {
+  order = order || "XYZ";
+  var axes = { X: vec3(1, 0, 0), Y: vec3(0, 1, 0), Z: vec3(0, 0, 1) };
+  var index = { X: 0, Y: 1, Z: 2 };
+  this.setIdentity();
+  for (var i = 0; i < 3; ++i) {
+    var c = order.charAt(i);
+    this.multiply(new Quaternion().make_rot_angle_axis(angles[index[c]], axes[c]));
+  }
+  return this;
+}
+
+/**
+ * Euler angles of the rotation, inverse of make_rot_euler. In gimbal lock
+ * (middle angle at +-90 degrees) the last angle is set to zero.
+ * @param order One of "XYZ", "XZY", "YXZ", "YZX", "ZXY" and "ZYX"
+ * @return vec3 with the angles (in radians) about x, y and z
+ */
+Quaternion.prototype.get_euler = function (order) {
+  order = order || "XYZ";
+  var index = { X: 0, Y: 1, Z: 2 };
+  var i = index[order.charAt(0)], j = index[order.charAt(1)], k = index[order.charAt(2)];
+  // Even permutations of XYZ have sign 1
+  var sign = (j - i + 3) % 3 == 1 ? 1 : -1;
+  var m = new Quaternion(this).normalize().get_mat3();
+  var a, b, c;
+  var sin_b = sign*m[i][k];
+  // atan2 rather than asin, which loses precision close to +-90 degrees
+  b = Math.atan2(sin_b, Math.sqrt(m[i][i]*m[i][i] + m[i][j]*m[i][j]));
+  if (Math.abs(sin_b) < 0.9999999) {
+    a = Math.atan2(-sign*m[j][k], m[k][k]);
+    c = Math.atan2(-sign*m[i][j], m[i][i]);
+  }
+  else {
+    a = Math.atan2(sign*m[k][j], m[j][j]);
+    c = 0;
+  }
+  var angles = vec3();
+  angles[i] = a; angles[j] = b; angles[k] = c;
+  return angles;
+}
@@ -25,34 +25,17 @@ function reflectionYMinus1() {
 }
 
 async function main() {
-  const adapter = await navigator.gpu.requestAdapter();
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: "opaque" });
-
-  const msaaCount = 4;
 
-  const msaaTex = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  const depthTex = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // --- Shader
-  const wgslURL = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslURL, { cache: "reload" }).then(r => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   // --- Load teapot OBJ
   const obj = await readOBJFile("../textures/teapot.obj", 1, true);
@@ -100,8 +83,8 @@ async function main() {
       cullMode: "none", // reflection flips winding, so we disable culling
       frontFace: "ccw",
     },
-    multisample: { count: msaaCount },
-    depthStencil: { format: "depth24plus", depthWriteEnabled: true, depthCompare: "less" },
+    multisample: { count: gpu.sampleCount },
+    depthStencil: { format: gpu.depthFormat, depthWriteEnabled: true, depthCompare: "less" },
   });
 
   const bgA = device.createBindGroup({
@@ -172,19 +155,8 @@ async function main() {
     // Draw
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: msaaTex.createView(),
-        resolveTarget: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: 0.3921, g: 0.5843, b: 0.9294, a: 1.0 }, // Cornflower Blue
-      }],
-      depthStencilAttachment: {
-        view: depthTex.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      }
+      colorAttachments: [gpu.colorAttachment([0.3921, 0.5843, 0.9294, 1.0])], // Cornflower Blue
+      depthStencilAttachment: gpu.depthAttachment()
     });
 
     pass.setPipeline(pipeline);
@@ -1,33 +1,16 @@
 "use strict";
 
 async function main() {
-    // 1. Setup WebGPU
-    const adapter = await navigator.gpu.requestAdapter();
-    const device = await adapter.requestDevice();
+    // 1. Setup WebGPU (device, canvas context, 4x MSAA + depth targets)
     const canvas = document.getElementById("my-canvas");
-    const context = canvas.getContext("webgpu");
-    const format = navigator.gpu.getPreferredCanvasFormat();
-    
-    context.configure({ device, format, alphaMode: "opaque" });
-
-    // Multisample and Depth Textures
-    const msaaCount = 4;
-    const msaaTex = device.createTexture({
-        size: [canvas.width, canvas.height],
-        format: format,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-    const depthTex = device.createTexture({
-        size: [canvas.width, canvas.height],
-        format: "depth24plus",
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const format = gpu.format;
 
     // 2. Load Shader & Assets
-    const shaderCode = await fetch("shader.wgsl").then(r => r.text());
-    const shaderModule = device.createShaderModule({ code: shaderCode });
+    const shaderModule = await gpu.loadWGSL();
+    if (!shaderModule) return;
 
     // Load Teapot OBJ
     const objData = await readOBJFile("../textures/teapot.obj", 1, true); 
@@ -106,9 +89,9 @@ async function main() {
         depthStencil: {
             depthWriteEnabled: true, 
             depthCompare: "less", 
-            format: "depth24plus"
+            format: gpu.depthFormat
         },
-        multisample: { count: msaaCount }
+        multisample: { count: gpu.sampleCount }
     });
 
     const groundBindGroup = device.createBindGroup({
@@ -143,8 +126,8 @@ async function main() {
             topology: "triangle-list",
             cullMode: "none" 
         },
-        depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: "depth24plus" },
-        multisample: { count: msaaCount }
+        depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: gpu.depthFormat },
+        multisample: { count: gpu.sampleCount }
     });
 
     const teapotBG_Real = device.createBindGroup({ layout: teapotLayout, entries: [{ binding: 0, resource: { buffer: teapotUBO_Real } }] });
@@ -191,17 +174,8 @@ async function main() {
         // --- 3. Render ---
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTex.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: "clear", storeOp: "store",
-                // CHANGED: Blue background (Cornflower Blue)
-                clearValue: { r: 0.392, g: 0.584, b: 0.929, a: 1.0 }
-            }],
-            depthStencilAttachment: {
-                view: depthTex.createView(),
-                depthLoadOp: "clear", depthClearValue: 1.0, depthStoreOp: "store"
-            }
+            colorAttachments: [gpu.colorAttachment([0.392, 0.584, 0.929, 1.0])], // Cornflower Blue
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         // 1. Reflected Teapot
@@ -1,37 +1,17 @@
 "use strict";
 
 async function main() {
-    // 1. Setup WebGPU
-    const adapter = await navigator.gpu.requestAdapter();
-    const device = await adapter.requestDevice();
+    // 1. Setup WebGPU (device, canvas context, 4x MSAA + depth-stencil targets)
     const canvas = document.getElementById("my-canvas");
-    const context = canvas.getContext("webgpu");
-    const format = navigator.gpu.getPreferredCanvasFormat();
-    
-    context.configure({ device, format, alphaMode: "opaque" });
-
-    // Stencil Format
-    const depthStencilFormat = "depth24plus-stencil8";
-    const msaaCount = 4;
-
-    const msaaTex = device.createTexture({
-        size: [canvas.width, canvas.height],
-        format: format,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    const depthTex = device.createTexture({
-        size: [canvas.width, canvas.height],
-        format: depthStencilFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
+    const gpu = await initWebGPU(canvas, { sampleCount: 4, depthFormat: "depth24plus-stencil8" });
+    if (!gpu) return;
+    const device = gpu.device;
+    const format = gpu.format;
 
     // 2. Load Assets
     // Force reload to prevent caching
-    const shaderCode = await fetch("shader.wgsl", { cache: "no-store" }).then(r => r.text());
-    const shaderModule = device.createShaderModule({ code: shaderCode });
+    const shaderModule = await gpu.loadWGSL();
+    if (!shaderModule) return;
 
     // Load OBJ
     const objData = await readOBJFile("../textures/teapot.obj", 1, true); 
@@ -115,13 +95,13 @@ async function main() {
         },
         primitive: { topology: "triangle-list" },
         depthStencil: {
-            format: depthStencilFormat,
+            format: gpu.depthFormat,
             depthWriteEnabled: false, 
             depthCompare: "less",
             stencilFront: { compare: "always", passOp: "replace" }, // Write 1 to stencil
             stencilBack: { compare: "always", passOp: "replace" }
         },
-        multisample: { count: msaaCount }
+        multisample: { count: gpu.sampleCount }
     });
 
     // 2. REFLECTION PIPELINE (Draws ONLY where Stencil == 1)
@@ -137,13 +117,13 @@ async function main() {
         fragment: { module: shaderModule, entryPoint: "fs_teapot", targets: [{ format }] },
         primitive: { topology: "triangle-list", cullMode: "none" },
         depthStencil: {
-            format: depthStencilFormat,
+            format: gpu.depthFormat,
             depthWriteEnabled: true,
             depthCompare: "less",
             stencilFront: { compare: "equal", passOp: "keep" }, // Check if stencil == ref (1)
             stencilBack: { compare: "equal", passOp: "keep" }
         },
-        multisample: { count: msaaCount }
+        multisample: { count: gpu.sampleCount }
     });
 
     // 3. GROUND PIPELINE (Visible Blend)
@@ -168,11 +148,11 @@ async function main() {
         },
         primitive: { topology: "triangle-list" },
         depthStencil: {
-            format: depthStencilFormat,
+            format: gpu.depthFormat,
             depthWriteEnabled: true,
             depthCompare: "less"
         },
-        multisample: { count: msaaCount }
+        multisample: { count: gpu.sampleCount }
     });
 
     // 4. REAL TEAPOT PIPELINE
@@ -188,11 +168,11 @@ async function main() {
         fragment: { module: shaderModule, entryPoint: "fs_teapot", targets: [{ format }] },
         primitive: { topology: "triangle-list", cullMode: "none" },
         depthStencil: {
-            format: depthStencilFormat,
+            format: gpu.depthFormat,
             depthWriteEnabled: true,
             depthCompare: "less"
         },
-        multisample: { count: msaaCount }
+        multisample: { count: gpu.sampleCount }
     });
 
     // --- BIND GROUPS ---
@@ -243,17 +223,8 @@ async function main() {
 
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTex.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: "clear", storeOp: "store",
-                clearValue: { r: 0.392, g: 0.584, b: 0.929, a: 1.0 }
-            }],
-            depthStencilAttachment: {
-                view: depthTex.createView(),
-                depthLoadOp: "clear", depthClearValue: 1.0, depthStoreOp: "store",
-                stencilLoadOp: "clear", stencilClearValue: 0, stencilStoreOp: "store"
-            }
+            colorAttachments: [gpu.colorAttachment([0.392, 0.584, 0.929, 1.0])],
+            depthStencilAttachment: gpu.depthAttachment() // Also clears stencil to 0
         });
 
         // 1. MASK (Stencil = 1)
@@ -60,7 +60,7 @@ function getOptions() {
     };
 }
 
-function updateTeapotUBO(device, ubo, P, V, M, eye, lightPos, opts) {
+function updateTeapotUBO(device, ubo, P, V, M, eye, lightPos, opts, highlight) {
     const MVP = mult(P, mult(V, M));
     const N = transpose(inverse(M));
     const data = new Float32Array(64);
@@ -70,37 +70,21 @@ function updateTeapotUBO(device, ubo, P, V, M, eye, lightPos, opts) {
     data.set([eye[0], eye[1], eye[2], 1.0], 48);
     data.set([lightPos[0], lightPos[1], lightPos[2], opts.Le], 52);
     data.set([opts.La, opts.kd, opts.ks, opts.shin], 56);
+    data.set(highlight, 60);
     device.queue.writeBuffer(ubo, 0, data);
 }
 
 async function main() {
-    const adapter = await navigator.gpu.requestAdapter();
-    if (!adapter) return alert("WebGPU not supported");
-    const device = await adapter.requestDevice();
+    // 1. Setup WebGPU (device, canvas context, 4x MSAA + depth-stencil targets)
     const canvas = document.getElementById("my-canvas");
-    const context = canvas.getContext("webgpu");
-    const format = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({ device, format, alphaMode: "opaque" });
-
-    const depthStencilFormat = "depth24plus-stencil8";
-    const msaaCount = 4;
-
-    const msaaTex = device.createTexture({
-        size: [canvas.width, canvas.height],
-        format,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-    const depthTex = device.createTexture({
-        size: [canvas.width, canvas.height],
-        format: depthStencilFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
+    const gpu = await initWebGPU(canvas, { sampleCount: 4, depthFormat: "depth24plus-stencil8" });
+    if (!gpu) return;
+    const device = gpu.device;
+    const format = gpu.format;
 
     // Cache busting for Shader
-    const shaderCode = await fetch("shader.wgsl", { cache: "no-store" }).then(r => r.text());
-    const shaderModule = device.createShaderModule({ code: shaderCode });
+    const shaderModule = await gpu.loadWGSL();
+    if (!shaderModule) return;
 
     // 1. Geometry
     const obj = await readOBJFile("../textures/teapot.obj", 1, true);
@@ -181,9 +165,9 @@ async function main() {
         vertex: { module: shaderModule, entryPoint: "vs_ground", buffers: groundBuffers },
         fragment: { module: shaderModule, entryPoint: "fs_mask", targets: [{ format, writeMask: 0 }] },
         primitive: { topology: "triangle-list" },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
-            format: depthStencilFormat,
+            format: gpu.depthFormat,
             depthWriteEnabled: false, depthCompare: "less",
             stencilFront: { compare: "always", passOp: "replace" },
             stencilBack: { compare: "always", passOp: "replace" }
@@ -196,9 +180,9 @@ async function main() {
         vertex: { module: shaderModule, entryPoint: "vs_teapot", buffers: teapotBuffers },
         fragment: { module: shaderModule, entryPoint: "fs_teapot", targets: [{ format }] },
         primitive: { topology: "triangle-list", cullMode: "none" },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
-            format: depthStencilFormat,
+            format: gpu.depthFormat,
             depthWriteEnabled: true, depthCompare: "less",
             stencilFront: { compare: "equal", passOp: "keep" },
             stencilBack: { compare: "equal", passOp: "keep" }
@@ -220,9 +204,9 @@ async function main() {
             }]
         },
         primitive: { topology: "triangle-list" },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
-            format: depthStencilFormat,
+            format: gpu.depthFormat,
             depthWriteEnabled: true, depthCompare: "less",
         }
     });
@@ -233,9 +217,9 @@ async function main() {
         vertex: { module: shaderModule, entryPoint: "vs_teapot", buffers: teapotBuffers },
         fragment: { module: shaderModule, entryPoint: "fs_teapot", targets: [{ format }] },
         primitive: { topology: "triangle-list", cullMode: "none" },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
-            format: depthStencilFormat,
+            format: gpu.depthFormat,
             depthWriteEnabled: true, depthCompare: "less",
         }
     });
@@ -251,12 +235,33 @@ async function main() {
     let jumping = true;
     document.getElementById("toggle-jump").onclick = () => (jumping = !jumping);
 
+    // --- Picking ---
+    // Only the real teapot and the ground can be picked, not the reflection
+    const picker = new Picker();
+    const teapotPick = picker.add("teapot", obj);
+    const groundPick = picker.add("ground", {
+        vertices: new Float32Array([-2,-1,-1,1,  2,-1,-1,1,  2,-1,-5,1, -2,-1,-5,1]),
+        indices: groundIndices,
+    });
+    const highlight = [0.3, 0.3, 0.0, 0.0];
+    const noHighlight = [0.0, 0.0, 0.0, 0.0];
+    let picked = null;
+    let P = mat4(), V = mat4();   // Matrices of the last frame
+
+    canvas.onclick = (event) => {
+        const hit = picker.pick(mouseToRay(event, canvas, P, V, { zeroToOne: true }));
+        picked = hit ? hit.object : null;
+        document.getElementById("pick-info").textContent = hit
+            ? "Selected the " + hit.object.name + " (triangle " + hit.triangle + ", distance " + hit.t.toFixed(2) + ")"
+            : "Nothing selected.";
+    };
+
     function frame(t_ms) {
         const opts = getOptions();
         const aspect = canvas.width / canvas.height;
         // Standard Projection
-        const P = mult(depthFix, perspective(65, aspect, 0.1, 50.0));
-        const V = lookAt(eye, at, up);
+        P = mult(depthFix, perspective(65, aspect, 0.1, 50.0));
+        V = lookAt(eye, at, up);
 
         // --- Oblique Clipping Setup ---
         // Reflector Plane in World: y = -1  =>  0x + 1y + 0z + 1 = 0
@@ -273,32 +278,26 @@ async function main() {
         
         const M = mult(translate(0, y, -3), scalem(0.25, 0.25, 0.25));
         const Mrefl = mult(R, M);
+        teapotPick.matrix = M;
         const L4 = mult(R, vec4(lightPos[0], lightPos[1], lightPos[2], 1.0));
         const lightRefl = vec3(L4[0], L4[1], L4[2]);
 
         // Update UBOs
-        updateTeapotUBO(device, tUBO_real, P, V, M, eye, lightPos, opts);
-        updateTeapotUBO(device, tUBO_refl, P_oblique, V, Mrefl, eye, lightRefl, opts);
+        updateTeapotUBO(device, tUBO_real, P, V, M, eye, lightPos, opts,
+                        picked === teapotPick ? highlight : noHighlight);
+        updateTeapotUBO(device, tUBO_refl, P_oblique, V, Mrefl, eye, lightRefl, opts, noHighlight);
 
         const MVPg = mult(P, mult(V, mat4()));
         device.queue.writeBuffer(gUBO, 0, flatten(MVPg));
         device.queue.writeBuffer(gUBO, 64, new Float32Array([opts.groundAlpha, 0, 0, 0]));
+        device.queue.writeBuffer(gUBO, 80, new Float32Array(picked === groundPick ? highlight : noHighlight));
 
         const encoder = device.createCommandEncoder();
         
         // --- Pass 1: Mask + Reflection ---
         const pass1 = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTex.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: "clear", storeOp: "store",
-                clearValue: { r: 0.3921, g: 0.5843, b: 0.9294, a: 1.0 },
-            }],
-            depthStencilAttachment: {
-                view: depthTex.createView(),
-                depthLoadOp: "clear", depthClearValue: 1.0, depthStoreOp: "store",
-                stencilLoadOp: "clear", stencilClearValue: 0, stencilStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment([0.3921, 0.5843, 0.9294, 1.0])],
+            depthStencilAttachment: gpu.depthAttachment(), // Also clears stencil to 0
         });
 
         // 1. Mask
@@ -320,12 +319,12 @@ async function main() {
         // --- Pass 2: Ground + Real Object ---
         const pass2 = encoder.beginRenderPass({
             colorAttachments: [{
-                view: msaaTex.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
+                view: gpu.msaaTexture.createView(),
+                resolveTarget: gpu.context.getCurrentTexture().createView(),
                 loadOp: "load", storeOp: "store", 
             }],
             depthStencilAttachment: {
-                view: depthTex.createView(),
+                view: gpu.depthTexture.createView(),
                 depthLoadOp: "clear", depthClearValue: 1.0, depthStoreOp: "store", 
                 stencilLoadOp: "load", stencilStoreOp: "store",
             }
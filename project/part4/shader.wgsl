@@ -8,6 +8,7 @@ struct TeapotUniforms {
     eye       : vec4f,
     light     : vec4f,
     params    : vec4f,
+    highlight : vec4f,   // Added to the color when picked
 };
 @group(0) @binding(0) var<uniform> U : TeapotUniforms;
 
@@ -43,7 +44,7 @@ fn fs_teapot(in: VSOutT) -> @location(0) vec4f {
     let spec = pow(max(dot(N, H), 0.0), s);
     let ambient = La * baseColor;
     let color = ambient + Le * (kd * diff * baseColor + ks * spec);
-    return vec4f(color, 1.0);
+    return vec4f(color + U.highlight.rgb, 1.0);
 }
 
 // ---------------------------------------------------------
@@ -52,6 +53,7 @@ fn fs_teapot(in: VSOutT) -> @location(0) vec4f {
 struct GroundUniforms {
     mvp   : mat4x4f,
     alpha : vec4f,
+    highlight : vec4f,   // Added to the color when picked
 };
 @group(1) @binding(0) var<uniform> G : GroundUniforms;
 @group(1) @binding(1) var samp : sampler;
@@ -80,5 +82,5 @@ fn fs_mask(in: VSOutG) -> @location(0) vec4f {
 @fragment
 fn fs_ground(in: VSOutG) -> @location(0) vec4f {
     let c = textureSample(tex, samp, in.uv).rgb;
-    return vec4f(c, G.alpha.x);
+    return vec4f(c + G.highlight.rgb, G.alpha.x);
 }
\ No newline at end of file
@@ -0,0 +1,138 @@
+// bvh.test.js
+//
+// Tests of BVH.js: hits equal brute force over all triangles, refitting
+// follows moved vertices and the flattened arrays describe the same tree.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/Geometry.js", "common/BVH.js"]);
+
+// Deterministic pseudo random numbers in [0, 1)
+function random(seed) {
+  return function () {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+// Sphere of triangles like the subdivision sphere of week 4, with 4 floats
+// per vertex as in DrawingInfo
+function makeSphere(n) {
+  const vertices = [], indices = [];
+  for (let i = 0; i <= n; i++) {
+    for (let j = 0; j <= n; j++) {
+      const theta = Math.PI * i / n, phi = 2 * Math.PI * j / n;
+      vertices.push(Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi), 1);
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const a = i * (n + 1) + j, b = a + n + 1;
+      indices.push(a, b, a + 1, a + 1, b, b + 1);
+    }
+  }
+  return { vertices: new Float32Array(vertices), indices: new Uint32Array(indices) };
+}
+
+function bruteForce(mesh, ray) {
+  let best = null;
+  const v = (i) => [mesh.vertices[i * 4], mesh.vertices[i * 4 + 1], mesh.vertices[i * 4 + 2]];
+  for (let t = 0; t < mesh.indices.length / 3; t++) {
+    const hit = ray.intersectTriangle(v(mesh.indices[t * 3]), v(mesh.indices[t * 3 + 1]), v(mesh.indices[t * 3 + 2]));
+    if (hit && (!best || hit.t < best.t)) best = hit;
+  }
+  return best;
+}
+
+function randomRays(count, seed) {
+  const rand = random(seed);
+  const rays = [];
+  for (let i = 0; i < count; i++) {
+    const origin = [rand() * 6 - 3, rand() * 6 - 3, rand() * 6 - 3];
+    const target = [rand() - 0.5, rand() - 0.5, rand() - 0.5];
+    rays.push(new g.Ray(origin, g.subtract(target, origin)));
+  }
+  return rays;
+}
+
+function assertSameHits(bvh, mesh, rays) {
+  for (const ray of rays) {
+    const expected = bruteForce(mesh, ray);
+    const hit = bvh.intersect(ray);
+    assert.strictEqual(hit === null, expected === null);
+    if (hit) assert.ok(Math.abs(hit.t - expected.t) < 1e-6, hit.t + " != " + expected.t);
+  }
+}
+
+test("SAH and middle split trees give the brute force hits", () => {
+  const mesh = makeSphere(24);
+  const rays = randomRays(200, 7);
+  assertSameHits(new g.BVH(mesh), mesh, rays);
+  assertSameHits(new g.BVH(mesh, null, { method: "middle", leafSize: 2 }), mesh, rays);
+});
+
+test("leaves hold at most leafSize triangles and cover all of them", () => {
+  const mesh = makeSphere(16);
+  const bvh = new g.BVH(mesh, null, { leafSize: 3 });
+  let total = 0;
+  for (const node of bvh.nodes) {
+    assert.ok(node.count <= 3);
+    total += node.count;
+  }
+  assert.strictEqual(total, mesh.indices.length / 3);
+  assert.deepStrictEqual(Array.from(bvh.triangles).sort((a, b) => a - b),
+                         Array.from({ length: total }, (_, i) => i));
+});
+
+test("refit follows transformed vertices", () => {
+  const mesh = makeSphere(16);
+  const bvh = new g.BVH(mesh);
+  const M = g.mult(g.translate(1, 0.5, 0), g.mult(g.rotate(30, [0, 1, 1]), g.scalem(1.5, 0.5, 1)));
+  bvh.refit(mesh.vertices, M);
+  const moved = { vertices: new Float32Array(mesh.vertices.length), indices: mesh.indices };
+  for (let i = 0; i < mesh.vertices.length; i += 4) {
+    const p = g.mult(M, g.vec4(mesh.vertices[i], mesh.vertices[i + 1], mesh.vertices[i + 2], 1));
+    moved.vertices.set([p[0], p[1], p[2], 1], i);
+  }
+  assertSameHits(bvh, moved, randomRays(100, 11));
+  // The root box contains every moved vertex
+  const root = bvh.nodes[0].box;
+  for (let i = 0; i < moved.vertices.length; i += 4) {
+    const p = moved.vertices.subarray(i, i + 3);
+    assert.ok(p[0] >= root.min[0] - 1e-6 && p[0] <= root.max[0] + 1e-6);
+  }
+});
+
+test("flattened nodes are depth first with right child offsets", () => {
+  const mesh = makeSphere(12);
+  const bvh = new g.BVH(mesh);
+  const flat = bvh.flatten();
+  const floats = new Float32Array(flat.nodes), uints = new Uint32Array(flat.nodes);
+  const numNodes = flat.nodes.byteLength / 32;
+  assert.strictEqual(numNodes, bvh.nodes.length);
+  assert.strictEqual(flat.indices.length, mesh.indices.length);
+
+  // Walk the flat tree and collect the triangles of the leaves
+  const seen = [];
+  const walk = (i) => {
+    const count = uints[i * 8 + 7], offset = uints[i * 8 + 3];
+    for (let k = 0; k < 3; k++) assert.ok(floats[i * 8 + k] <= floats[i * 8 + 4 + k]);
+    if (count > 0) {
+      for (let t = offset; t < offset + count; t++) {
+        seen.push(t);
+        const original = flat.triangles[t];
+        assert.deepStrictEqual(Array.from(flat.indices.subarray(t * 3, t * 3 + 3)),
+                               Array.from(mesh.indices.subarray(original * 3, original * 3 + 3)));
+      }
+    }
+    else {
+      walk(i + 1);
+      walk(offset);
+    }
+  };
+  walk(0);
+  assert.strictEqual(seen.length, mesh.indices.length / 3);
+});
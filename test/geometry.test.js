@@ -0,0 +1,96 @@
+// geometry.test.js
+//
+// Tests of the planes, rays, boxes, spheres and frusta of Geometry.js.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/Geometry.js"]);
+
+test("plane distance and construction", () => {
+  const ground = g.Plane.fromVec4(g.vec4(0, 1, 0, 1)); // y = -1
+  assert.strictEqual(ground.distance([0, 2, 0]), 3);
+  assert.strictEqual(ground.distance([5, -1, 7]), 0);
+  const p = g.Plane.fromPoints([0, 0, 0], [1, 0, 0], [0, 0, -1]);
+  assertClose(p.normal, [0, 1, 0]);
+  assert.ok(Math.abs(g.Plane.fromPointNormal([0, 2, 0], [0, 4, 0]).distance([1, 5, 1]) - 3) < 1e-12);
+});
+
+test("plane transform matches transpose(inverse(V)) of the reflector", () => {
+  const V = g.lookAt(g.vec3(0, 1, 3), g.vec3(0, 0, -3), g.vec3(0, 1, 0));
+  const planeWorld = g.vec4(0, 1, 0, 1);
+  const planeEye = g.mult(g.transpose(g.inverse(V)), planeWorld);
+  const p = g.Plane.fromVec4(planeWorld).transform(V);
+  assertClose(p.toVec4(), g.Plane.fromVec4(planeEye).normalize().toVec4());
+  // Points on the plane stay on it
+  const q = g.mult(V, g.vec4(3, -1, -2, 1));
+  assert.ok(Math.abs(p.distance(q)) < 1e-6);
+});
+
+test("plane reflection matrix equals the reflector of the project", () => {
+  const R = g.mult(g.translate(0, -1, 0), g.mult(g.scalem(1, -1, 1), g.translate(0, 1, 0)));
+  assertClose(g.Plane.fromVec4(g.vec4(0, 1, 0, 1)).reflectionMatrix(), R);
+});
+
+test("ray triangle intersection with barycentrics", () => {
+  const ray = new g.Ray([0.25, 0.25, 1], [0, 0, -1]);
+  const hit = ray.intersectTriangle([0, 0, 0], [1, 0, 0], [0, 1, 0]);
+  assertClose([hit.t, hit.u, hit.v], [1, 0.25, 0.25]);
+  assert.strictEqual(ray.intersectTriangle([1, 1, 0], [2, 1, 0], [1, 2, 0]), null);
+  assert.strictEqual(new g.Ray([0.25, 0.25, 1], [0, 0, 1]).intersectTriangle([0, 0, 0], [1, 0, 0], [0, 1, 0]), null);
+});
+
+test("ray AABB, plane and sphere intersections", () => {
+  const box = new g.AABB([-1, -1, -1], [1, 1, 1]);
+  const hit = new g.Ray([-5, 0, 0], [1, 0, 0]).intersectAABB(box);
+  assertClose([hit.tmin, hit.tmax], [4, 6]);
+  assert.strictEqual(new g.Ray([-5, 2, 0], [1, 0, 0]).intersectAABB(box), null);
+  assert.strictEqual(new g.Ray([0, 0, 0], [0, 1, 0]).intersectAABB(box).tmax, 1);
+  assert.strictEqual(new g.Ray([0, 3, 0], [0, -1, 0]).intersectPlane(g.Plane.fromVec4([0, 1, 0, 1])), 4);
+  assert.strictEqual(new g.Ray([0, 0, 5], [0, 0, -1]).intersectSphere(new g.BoundingSphere([0, 0, 0], 2)), 3);
+  assert.strictEqual(new g.Ray([0, 0, 0], [0, 0, -1]).intersectSphere(new g.BoundingSphere([0, 0, 0], 2)), 2);
+});
+
+test("ray transform keeps ray parameters", () => {
+  const M = g.mult(g.translate(1, 2, 3), g.scalem(2, 2, 2));
+  const ray = new g.Ray([0, 0, 0], [1, 0, 0]);
+  const r = ray.transform(M);
+  assertClose(r.at(1.5), g.mult(M, g.vec4(ray.at(1.5), 1)).slice(0, 3));
+});
+
+test("AABB from DrawingInfo style positions and transform", () => {
+  const box = g.AABB.fromPositions(new Float32Array([1, 2, 3, 1, -1, 0, 5, 1]));
+  assertClose(box.min, [-1, 0, 3]);
+  assertClose(box.max, [1, 2, 5]);
+  assert.strictEqual(box.surfaceArea(), 2 * (4 + 4 + 4));
+  const r = new g.AABB([-1, -1, -1], [1, 1, 1]).transform(g.mult(g.translate(10, 0, 0), g.rotate(45, [0, 0, 1])));
+  assertClose(r.min, [10 - Math.SQRT2, -Math.SQRT2, -1]);
+  assertClose(r.max, [10 + Math.SQRT2, Math.SQRT2, 1]);
+  assert.ok(new g.AABB().isEmpty());
+});
+
+test("bounding sphere from positions and transform", () => {
+  const s = g.BoundingSphere.fromPositions([g.vec3(-1, 0, 0), g.vec3(1, 0, 0), g.vec3(0, 1, 0)]);
+  assertClose(s.center, [0, 0.5, 0]);
+  assert.ok(s.containsPoint([1, 0, 0]) && s.containsPoint([0, 1, 0]));
+  const t = s.transform(g.mult(g.translate(0, 0, 4), g.scalem(3, 1, 1)));
+  assertClose(t.center, [0, 0.5, 4]);
+  assert.ok(Math.abs(t.radius - 3 * s.radius) < 1e-12);
+});
+
+test("frustum culling of points, boxes and spheres", () => {
+  const P = g.perspective(90, 1, 1, 10);
+  const f = g.Frustum.fromMatrix(P);
+  assert.ok(f.containsPoint([0, 0, -5]));
+  assert.ok(!f.containsPoint([0, 0, 5]));
+  assert.ok(!f.containsPoint([0, 0, -11]));
+  assert.ok(!f.containsPoint([6, 0, -5]));
+  assert.ok(f.intersectsAABB(new g.AABB([-1, -1, -6], [1, 1, -4])));
+  assert.ok(!f.intersectsAABB(new g.AABB([-1, -1, 2], [1, 1, 4])));
+  assert.ok(f.intersectsSphere(new g.BoundingSphere([5.5, 0, -5], 1)));
+  assert.ok(!f.intersectsSphere(new g.BoundingSphere([8, 0, -5], 1)));
+  const zo = g.Frustum.fromMatrix(g.perspectiveZO(90, 1, 1, 10), true);
+  assert.ok(!zo.containsPoint([0, 0, -0.5]) && zo.containsPoint([0, 0, -1.5]));
+});
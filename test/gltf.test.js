@@ -0,0 +1,129 @@
+// gltf.test.js
+//
+// Tests of GLTFParser.js on a small scene built in memory, as a .gltf with an
+// embedded (data URI) buffer and as a .glb with a binary chunk.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/OBJParser.js", "common/GLTFParser.js"]);
+g.fetch = fetch; // For the data URI of the embedded buffer
+
+// Unit square, strip indices, normalized colors and texcoords in one buffer
+function makeBuffer() {
+  const buffer = new ArrayBuffer(88);
+  new Float32Array(buffer, 0, 12).set([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]);
+  new Uint16Array(buffer, 48, 4).set([0, 1, 3, 2]);
+  new Uint8Array(buffer, 56, 16).set([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 51]);
+  new Uint16Array(buffer, 72, 8).set([0, 0, 65535, 0, 65535, 65535, 0, 32768]);
+  return buffer;
+}
+
+// Parent with translation, rotation (90 degrees about z) and scale, and a
+// child with a column-major matrix (translation by 5 along z) and the mesh.
+// The mesh has a strip, a fan without indices and points.
+function makeJSON(bufferURI) {
+  const s = Math.SQRT1_2;
+  return {
+    asset: { version: "2.0" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [
+      { name: "parent", translation: [1, 2, 3], rotation: [0, 0, s, s], scale: [2, 2, 2], children: [1] },
+      { name: "child", mesh: 0, matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 5, 1] }
+    ],
+    meshes: [{
+      name: "square",
+      primitives: [
+        { attributes: { POSITION: 0, COLOR_0: 2, TEXCOORD_0: 3 }, indices: 1, mode: 5, material: 0 },
+        { attributes: { POSITION: 0 }, mode: 6 },
+        { attributes: { POSITION: 0 }, mode: 0 }
+      ]
+    }],
+    materials: [{ name: "half", pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 0.5], metallicFactor: 0 } }],
+    buffers: [bufferURI == null ? { byteLength: 88 } : { byteLength: 88, uri: bufferURI }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 48 },
+      { buffer: 0, byteOffset: 48, byteLength: 8 },
+      { buffer: 0, byteOffset: 56, byteLength: 32 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 4, type: "VEC3" },
+      { bufferView: 1, componentType: 5123, count: 4, type: "SCALAR" },
+      { bufferView: 2, componentType: 5121, normalized: true, count: 4, type: "VEC4" },
+      { bufferView: 2, byteOffset: 16, componentType: 5123, normalized: true, count: 4, type: "VEC2" }
+    ]
+  };
+}
+
+function gltfFile() {
+  const uri = "data:application/octet-stream;base64," + Buffer.from(makeBuffer()).toString("base64");
+  return new TextEncoder().encode(JSON.stringify(makeJSON(uri))).buffer;
+}
+
+function glbFile() {
+  // Chunks are padded to 4 bytes, the JSON with spaces
+  let json = JSON.stringify(makeJSON(null));
+  while (json.length % 4 != 0) json += " ";
+  const bin = makeBuffer();
+  const glb = new ArrayBuffer(12 + 8 + json.length + 8 + bin.byteLength);
+  const view = new DataView(glb);
+  view.setUint32(0, 0x46546C67, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, glb.byteLength, true);
+  view.setUint32(12, json.length, true);
+  view.setUint32(16, 0x4E4F534A, true);
+  new Uint8Array(glb, 20, json.length).set(new TextEncoder().encode(json));
+  view.setUint32(20 + json.length, bin.byteLength, true);
+  view.setUint32(24 + json.length, 0x004E4942, true);
+  new Uint8Array(glb, 28 + json.length).set(new Uint8Array(bin));
+  return glb;
+}
+
+function checkScene(scene, fileName) {
+  const mesh = scene.meshes[0];
+  // The strip and the fan become triangle lists, the points are skipped
+  assert.deepStrictEqual(Array.from(mesh.indices), [0, 1, 3, 3, 1, 2, 4, 5, 6, 4, 6, 7]);
+  assert.deepStrictEqual(Array.from(mesh.drawRanges, (r) => [r.materialIndex, r.first, r.count]), [[0, 0, 6], [1, 6, 6]]);
+  assert.deepStrictEqual(Array.from(mesh.warnings, (w) => w.toString()),
+                         [fileName + ": points and lines are not supported, skipped primitive 2 'square'"]);
+  // Normalized colors times the material color, and normalized texcoords
+  assertClose(mesh.colors.slice(0, 16), [1, 0, 0, 0.5, 0, 1, 0, 0.5, 0, 0, 1, 0.5, 1, 1, 1, 0.1]);
+  assertClose(mesh.colors.slice(16, 20), [1, 1, 1, 1]);
+  assertClose(mesh.texcoords.slice(0, 8), [0, 0, 1, 0, 1, 1, 0, 32768 / 65535]);
+  // glTF is counterclockwise, so the generated normals face +z
+  assertClose(mesh.normals.slice(0, 4), [0, 0, 1, 0]);
+  assertClose(mesh.normals.slice(16, 20), [0, 0, 1, 0]);
+
+  // Node transforms
+  const parent = scene.findNode("parent"), child = scene.findNode("child");
+  assert.deepStrictEqual(Array.from(scene.roots, (node) => node.name), ["parent"]);
+  assert.strictEqual(child.parent, parent);
+  assert.strictEqual(child.mesh, mesh);
+  assertClose(parent.matrix, g.mult(g.translate(1, 2, 3), g.mult(g.rotate(90, [0, 0, 1]), g.scalem(2, 2, 2))));
+  assertClose(child.matrix, g.translate(0, 0, 5));
+  const worlds = {};
+  scene.traverse((node, M) => { worlds[node.name] = M; });
+  // (1, 0, 0) in the child is scaled, turned to +y and moved
+  const p = g.mult(worlds.child, g.vec4(1, 0, 0, 1));
+  assertClose(p, [1, 4, 13, 1]);
+}
+
+test("embedded .gltf with strips, fans, normalized accessors and node transforms", async () => {
+  checkScene(await g.parseGLTF(gltfFile(), "models/scene.gltf"), "models/scene.gltf");
+});
+
+test(".glb reads like .gltf", async () => {
+  const glb = await g.parseGLTF(glbFile(), "models/scene.glb");
+  checkScene(glb, "models/scene.glb");
+  const gltf = await g.parseGLTF(gltfFile(), "models/scene.gltf");
+  assertClose(glb.meshes[0].vertices, gltf.meshes[0].vertices);
+});
+
+test("malformed glTF files throw", async () => {
+  const parse = (json) => g.parseGLTF(new TextEncoder().encode(JSON.stringify(json)).buffer, "x.gltf");
+  await assert.rejects(parse({ asset: { version: "1.0" } }), /not a glTF 2.0 file/);
+  await assert.rejects(parse({ asset: { version: "2.0" }, buffers: [{ byteLength: 4 }] }), /glTF buffer 0 has no data/);
+});
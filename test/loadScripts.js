@@ -0,0 +1,34 @@
+// loadScripts.js
+//
+// Runs scripts from common/ the way a page does with <script> tags (all in
+// one global scope) and returns that scope, so the math can be tested under
+// Node without a browser or GPU. Also holds the assertions shared by the
+// tests.
+
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const root = path.join(__dirname, "..");
+
+function loadScripts(files) {
+  const context = vm.createContext({ console: console, TextDecoder: TextDecoder });
+  for (const file of files) {
+    const code = fs.readFileSync(path.join(root, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+  return context;
+}
+
+// Compare matrices or vectors (nested or flat) element by element
+function assertClose(actual, expected, epsilon) {
+  const a = [].concat(...actual), e = [].concat(...expected);
+  assert.strictEqual(a.length, e.length, "size " + a.length + " != " + e.length);
+  for (let i = 0; i < a.length; i++) {
+    assert.ok(Math.abs(a[i] - e[i]) <= (epsilon || 1e-6),
+      "element " + i + ": " + a[i] + " != " + e[i] + "\n" + JSON.stringify(actual));
+  }
+}
+
+module.exports = { loadScripts, assertClose };
@@ -0,0 +1,272 @@
+// math.test.js
+//
+// Tests of MV.js, MVFast.js and quaternion.js against known reference values.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/MVFast.js", "common/quaternion.js"]);
+
+test("inverse4 of translation and scaling", () => {
+  assertClose(g.inverse4(g.translate(1, 2, 3)), g.translate(-1, -2, -3));
+  assertClose(g.inverse4(g.scalem(2, 4, 8)), g.scalem(0.5, 0.25, 0.125));
+});
+
+test("inverse4 times the matrix is the identity", () => {
+  const M = g.mult(g.translate(1, -2, 3), g.mult(g.rotate(37, [1, 2, 3]), g.scalem(2, 3, 0.5)));
+  assertClose(g.mult(M, g.inverse4(M)), g.mat4());
+  assertClose(g.mult(g.inverse4(M), M), g.mat4());
+});
+
+test("det4 of known matrices", () => {
+  assert.strictEqual(g.det4(g.mat4()), 1);
+  assert.strictEqual(g.det4(g.scalem(2, 3, 4)), 24);
+  assert.ok(Math.abs(g.det4(g.rotate(73, [1, 1, 0])) - 1) < 1e-6);
+  const M = g.mat4(2, 0, 0, 1,
+                   0, 1, 0, 0,
+                   1, 0, 3, 0,
+                   0, 0, 0, 1);
+  assert.strictEqual(g.det4(M), 6);
+  assert.strictEqual(g.det4(g.mat4(1, 2, 3, 4, 2, 4, 6, 8, 0, 0, 1, 0, 0, 0, 0, 1)), 0);
+});
+
+test("lookAt from the z axis is a translation", () => {
+  assertClose(g.lookAt(g.vec3(0, 0, 5), g.vec3(0, 0, 0), g.vec3(0, 1, 0)), g.translate(0, 0, -5));
+});
+
+test("lookAt from the x axis", () => {
+  const V = g.lookAt(g.vec3(1, 0, 0), g.vec3(0, 0, 0), g.vec3(0, 1, 0));
+  assertClose(V, [[0, 0, -1, 0],
+                  [0, 1, 0, 0],
+                  [1, 0, 0, -1],
+                  [0, 0, 0, 1]]);
+  // The eye goes to the origin, the target to the negative z axis
+  assertClose(g.mult(V, g.vec4(1, 0, 0, 1)), [0, 0, 0, 1]);
+  assertClose(g.mult(V, g.vec4(0, 0, 0, 1)), [0, 0, -1, 1]);
+});
+
+test("perspective with 90 degree field of view", () => {
+  assertClose(g.perspective(90, 1, 1, 3), [[1, 0, 0, 0],
+                                           [0, 1, 0, 0],
+                                           [0, 0, -2, -3],
+                                           [0, 0, -1, 0]]);
+  assertClose(g.perspective(90, 2, 1, 3)[0], [0.5, 0, 0, 0]);
+});
+
+test("perspective maps near and far to -1 and 1", () => {
+  const P = g.perspective(65, 1.5, 0.1, 50);
+  const depth = (z) => { const p = g.mult(P, g.vec4(0, 0, z, 1)); return p[2] / p[3]; };
+  assert.ok(Math.abs(depth(-0.1) + 1) < 1e-6);
+  assert.ok(Math.abs(depth(-50) - 1) < 1e-6);
+});
+
+test("frustum is perspective when symmetric and shifts x and y otherwise", () => {
+  assertClose(g.frustum(-1, 1, -1, 1, 1, 3), g.perspective(90, 1, 1, 3));
+  const F = g.frustum(0, 2, -1, 1, 1, 3);
+  assertClose(F[0], [1, 0, 1, 0]);
+  // The near plane corners go to the corners of clip space
+  const corner = g.mult(F, g.vec4(2, 1, -1, 1));
+  assertClose([corner[0] / corner[3], corner[1] / corner[3], corner[2] / corner[3]], [1, 1, -1]);
+});
+
+test("ZO projections map near and far to 0 and 1", () => {
+  assertClose(g.perspectiveZO(90, 1, 1, 3), [[1, 0, 0, 0],
+                                             [0, 1, 0, 0],
+                                             [0, 0, -1.5, -1.5],
+                                             [0, 0, -1, 0]]);
+  assertClose(g.orthoZO(-1, 1, -1, 1, 1, 3), [[1, 0, 0, 0],
+                                              [0, 1, 0, 0],
+                                              [0, 0, -0.5, -0.5],
+                                              [0, 0, 0, 1]]);
+  assertClose(g.frustumZO(0, 2, -1, 1, 1, 3)[0], [1, 0, 1, 0]);
+  const depth = (P, z) => { const p = g.mult(P, g.vec4(0, 0, z, 1)); return p[2] / p[3]; };
+  for (const P of [g.perspectiveZO(65, 1.5, 0.1, 50), g.orthoZO(-2, 2, -1, 1, 0.1, 50), g.frustumZO(-1, 2, -1, 0.5, 0.1, 50)]) {
+    assert.ok(Math.abs(depth(P, -0.1)) < 1e-6);
+    assert.ok(Math.abs(depth(P, -50) - 1) < 1e-6);
+  }
+  // Infinite far plane: depth goes to 1 at infinity
+  const P = g.perspectiveZO(65, 1.5, 0.1, Infinity);
+  assertClose(P[2], [0, 0, -1, -0.1]);
+  assert.ok(Math.abs(depth(P, -0.1)) < 1e-6);
+  assert.ok(depth(P, -1e7) > 0.999999 && depth(P, -1e7) < 1);
+});
+
+test("perspectiveReversedZ maps near and far to 1 and 0", () => {
+  assertClose(g.perspectiveReversedZ(90, 1, 1, 3), [[1, 0, 0, 0],
+                                                    [0, 1, 0, 0],
+                                                    [0, 0, 0.5, 1.5],
+                                                    [0, 0, -1, 0]]);
+  const depth = (P, z) => { const p = g.mult(P, g.vec4(0, 0, z, 1)); return p[2] / p[3]; };
+  const P = g.perspectiveReversedZ(65, 1.5, 0.1, 50);
+  assert.ok(Math.abs(depth(P, -0.1) - 1) < 1e-6);
+  assert.ok(Math.abs(depth(P, -50)) < 1e-6);
+  const Pinf = g.perspectiveReversedZ(65, 1.5, 0.1, Infinity);
+  assertClose(Pinf[2], [0, 0, 0, 0.1]);
+  assert.ok(Math.abs(depth(Pinf, -0.1) - 1) < 1e-6);
+  assert.ok(depth(Pinf, -1e7) > 0 && depth(Pinf, -1e7) < 1e-6);
+});
+
+test("normalMatrix inverts scaling and keeps rotation", () => {
+  assertClose(g.normalMatrix(g.scalem(2, 4, 8), true), [[0.5, 0, 0], [0, 0.25, 0], [0, 0, 0.125]]);
+  const R = g.rotate(30, [0, 1, 0]);
+  assertClose(g.normalMatrix(R, true), [R[0].slice(0, 3), R[1].slice(0, 3), R[2].slice(0, 3)]);
+  // Translation does not affect normals
+  assertClose(g.normalMatrix(g.mult(g.translate(4, 5, 6), R), true), g.normalMatrix(R, true));
+});
+
+test("quaternion get_mat4 matches rotate", () => {
+  const q = new g.Quaternion().make_rot_angle_axis(Math.PI / 2, g.vec3(0, 0, 1));
+  assertClose(q.get_mat4(), [[0, -1, 0, 0],
+                             [1, 0, 0, 0],
+                             [0, 0, 1, 0],
+                             [0, 0, 0, 1]]);
+  const axis = g.vec3(1, 2, 3);
+  assertClose(new g.Quaternion().make_rot_angle_axis(0.7, axis).get_mat4(), g.rotate(0.7 * 180 / Math.PI, axis));
+});
+
+test("quaternion composition applies the right factor first", () => {
+  const qz = new g.Quaternion().make_rot_angle_axis(Math.PI / 2, g.vec3(0, 0, 1));
+  const qx = new g.Quaternion().make_rot_angle_axis(Math.PI / 2, g.vec3(1, 0, 0));
+  // z rotation takes x to y, then x rotation takes y to z
+  const q = new g.Quaternion(qx).multiply(qz);
+  assertClose(q.apply(g.vec3(1, 0, 0)), [0, 0, 1]);
+  assertClose(q.get_mat4(), g.mult(qx.get_mat4(), qz.get_mat4()));
+});
+
+test("quaternion inverse undoes the rotation", () => {
+  const q = new g.Quaternion().make_rot_angle_axis(1.2, g.vec3(-1, 0.5, 2));
+  const p = new g.Quaternion(q).multiply(new g.Quaternion(q).invert());
+  assertClose(p.elements, [0, 0, 0, 1]);
+});
+
+test("quaternion make_rot_vec2vec", () => {
+  const a = g.normalize(g.vec3(1, 1, 0)), b = g.vec3(0, 0, 1);
+  assertClose(new g.Quaternion().make_rot_vec2vec(a, b).apply(a), b);
+});
+
+test("quaternion slerp and nlerp halfway between two rotations", () => {
+  const a = new g.Quaternion();
+  const b = new g.Quaternion().make_rot_angle_axis(Math.PI / 2, g.vec3(0, 0, 1));
+  const half = [0, 0, Math.sin(Math.PI / 8), Math.cos(Math.PI / 8)];
+  assertClose(new g.Quaternion().make_slerp(a, b, 0.5).elements, half);
+  assertClose(new g.Quaternion().make_nlerp(a, b, 0.5).elements, half);
+  assertClose(new g.Quaternion().make_slerp(a, b, 0).elements, a.elements);
+  assertClose(new g.Quaternion().make_slerp(a, b, 1).elements, b.elements);
+  // Constant angular speed: a quarter of the way is a quarter of the angle
+  assertClose(new g.Quaternion().make_slerp(a, b, 0.25).get_mat4(), g.rotate(22.5, [0, 0, 1]));
+  // -b is the same rotation, and both take the shortest path
+  const nb = new g.Quaternion(b).multiplyScalar(-1);
+  assertClose(new g.Quaternion().make_slerp(a, nb, 0.5).elements, half);
+  assertClose(new g.Quaternion().make_nlerp(a, nb, 0.5).elements, half);
+});
+
+test("quaternion squad through evenly spaced keyframes is slerp", () => {
+  const axis = g.normalize(g.vec3(1, -2, 0.5));
+  const key = (angle) => new g.Quaternion().make_rot_angle_axis(angle, axis);
+  const q0 = key(0), q1 = key(0.5), q2 = key(1), q3 = key(1.5);
+  const s1 = new g.Quaternion().make_squad_control(q0, q1, q2);
+  const s2 = new g.Quaternion().make_squad_control(q1, q2, q3);
+  assertClose(s1.elements, q1.elements);
+  for (const t of [0, 0.3, 0.5, 1]) {
+    assertClose(new g.Quaternion().make_squad(q1, s1, s2, q2, t).get_mat4(),
+                g.rotate((0.5 + 0.5 * t) * 180 / Math.PI, axis), 1e-5);
+  }
+});
+
+test("quaternion make_from_mat inverts get_mat4", () => {
+  // Angles near 180 degrees take the branches with a negative trace
+  const rotations = [[30, [1, 2, 3]], [170, [0, 1, 0]], [180, [1, 0, 0]], [180, [0, 1, 1]], [179, [-1, 0.2, 3]]];
+  for (const [angle, axis] of rotations) {
+    const R = g.rotate(angle, axis);
+    assertClose(new g.Quaternion().make_from_mat(R).get_mat4(), R, 1e-5);
+  }
+});
+
+test("quaternion Euler angles match rotate and round trip", () => {
+  const x = 0.3, y = -0.7, z = 1.1;
+  const deg = (a) => a * 180 / Math.PI;
+  assertClose(new g.Quaternion().make_rot_euler(g.vec3(x, 0, 0)).get_mat4(), g.rotate(deg(x), [1, 0, 0]));
+  assertClose(new g.Quaternion().make_rot_euler(g.vec3(x, y, z)).get_mat4(),
+              g.mult(g.rotate(deg(x), [1, 0, 0]), g.mult(g.rotate(deg(y), [0, 1, 0]), g.rotate(deg(z), [0, 0, 1]))), 1e-5);
+  assertClose(new g.Quaternion().make_rot_euler(g.vec3(x, y, z), "ZYX").get_mat4(),
+              g.mult(g.rotate(deg(z), [0, 0, 1]), g.mult(g.rotate(deg(y), [0, 1, 0]), g.rotate(deg(x), [1, 0, 0]))), 1e-5);
+  for (const order of ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"]) {
+    const q = new g.Quaternion().make_rot_euler(g.vec3(x, y, z), order);
+    assertClose(q.get_euler(order), [x, y, z], 1e-5);
+  }
+});
+
+test("quaternion Euler angles at and near gimbal lock", () => {
+  const x = 0.3, z = 1.1;
+  // Gimbal lock keeps the rotation although the angles change
+  const locked = new g.Quaternion().make_rot_euler(g.vec3(x, Math.PI / 2, z));
+  const angles = locked.get_euler();
+  assert.strictEqual(angles[2], 0);
+  assertClose(new g.Quaternion().make_rot_euler(angles).get_mat4(), locked.get_mat4(), 1e-5);
+  // Just off the lock the middle angle is still accurate
+  const y = Math.PI / 2 - 1e-3;
+  const b = new g.Quaternion().make_rot_euler(g.vec3(x, y, z)).get_euler()[1];
+  assert.ok(Math.abs(b - y) < 1e-6, "middle angle " + b);
+});
+
+test("quaternion exp and log", () => {
+  const axis = g.normalize(g.vec3(2, -1, 2));
+  const q = new g.Quaternion().make_rot_angle_axis(1.4, axis);
+  // log of a unit quaternion is half the angle times the axis
+  const l = new g.Quaternion(q).log();
+  assertClose(l.elements, [0.7 * axis[0], 0.7 * axis[1], 0.7 * axis[2], 0]);
+  assertClose(l.exp().elements, q.elements);
+  // The identity and scaled quaternions
+  assertClose(new g.Quaternion().log().elements, [0, 0, 0, 0]);
+  assertClose(new g.Quaternion().exp().elements, [0, 0, 0, Math.E], 1e-5);
+  const s = new g.Quaternion(q).multiplyScalar(2);
+  assertClose(new g.Quaternion(s).log().exp().elements, s.elements, 1e-5);
+});
+
+test("fmat4 gives the matrices of MV.js", () => {
+  const M = g.mult(g.translate(1, -2, 3), g.mult(g.rotate(37, [1, 2, 3]), g.scalem(2, 3, 0.5)));
+  const A = g.fmat4.create();
+  g.fmat4.translate(A, A, 1, -2, 3);
+  g.fmat4.rotate(A, A, 37, [1, 2, 3]);
+  g.fmat4.scale(A, A, 2, 3, 0.5);
+  assertClose(A, g.flatten(M), 1e-5);
+  assertClose(g.fmat4.fromMV(g.fmat4.create(), M), g.flatten(M), 1e-5);
+  assertClose(g.fmat4.toMV(A), M, 1e-5);
+
+  const V = g.lookAt(g.vec3(1, 2, 5), g.vec3(0, 0.5, 0), g.vec3(0, 1, 0));
+  const P = g.perspective(65, 1.5, 0.1, 50);
+  const B = g.fmat4.lookAt(g.fmat4.create(), [1, 2, 5], [0, 0.5, 0], [0, 1, 0]);
+  assertClose(B, g.flatten(V), 1e-5);
+  assertClose(g.fmat4.perspective(g.fmat4.create(), 65, 1.5, 0.1, 50), g.flatten(P), 1e-5);
+  assertClose(g.fmat4.ortho(g.fmat4.create(), -2, 3, -1, 1, 0.1, 50), g.flatten(g.ortho(-2, 3, -1, 1, 0.1, 50)), 1e-5);
+  assertClose(g.fmat4.multiply(g.fmat4.create(), A, B), g.flatten(g.mult(M, V)), 1e-5);
+  assertClose(g.fmat4.invert(g.fmat4.create(), A), g.flatten(g.inverse4(M)), 1e-5);
+  assertClose(g.fmat4.transpose(g.fmat4.create(), A), g.flatten(g.transpose(M)), 1e-5);
+  // In place
+  assertClose(g.fmat4.transpose(A, A), g.flatten(g.transpose(M)), 1e-5);
+  assert.strictEqual(g.fmat4.invert(g.fmat4.create(), g.fmat4.scale(g.fmat4.create(), g.fmat4.create(), 1, 0, 1)), null);
+
+  // The normal matrix is a mat3x3f: columns of 3 floats padded to 4
+  const N = g.normalMatrix(M, true);
+  const C = g.fmat4.normalMatrix(g.fmat4.create(), g.fmat4.fromMV(g.fmat4.create(), M));
+  for (let c = 0; c < 3; c++) {
+    assertClose(C.slice(c * 4, c * 4 + 3), [N[0][c], N[1][c], N[2][c]], 1e-5);
+  }
+});
+
+test("fvec3 gives the vectors of MV.js", () => {
+  const a = g.vec3(1, -2, 3), b = g.vec3(0.5, 4, -1);
+  const out = g.fvec3.create();
+  assertClose(g.fvec3.cross(out, a, b), g.cross(a, b));
+  assert.strictEqual(g.fvec3.dot(a, b), g.dot(a, b));
+  assertClose(g.fvec3.add(out, a, b), g.add(a, b));
+  assertClose(g.fvec3.subtract(out, a, b), g.subtract(a, b));
+  assertClose(g.fvec3.normalize(out, a), g.normalize(g.vec3(1, -2, 3)));
+  assertClose(g.fvec3.normalize(out, [0, 0, 0]), [0, 0, 0]);
+  // transformPoint divides by w
+  const P = g.perspective(65, 1.5, 0.1, 50);
+  const p = g.mult(P, g.vec4(a, 1));
+  assertClose(g.fvec3.transformPoint(out, g.flatten(P), a), [p[0] / p[3], p[1] / p[3], p[2] / p[3]], 1e-5);
+});
@@ -0,0 +1,101 @@
+// meshedges.test.js
+//
+// Tests of MeshEdges.js on a cube split by face (as loaded from an OBJ file
+// with normals) and on an open quad.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/MeshEdges.js"]);
+
+// Cube from -1 to 1 with 4 vertices per face, counterclockwise from outside
+function cube() {
+  const faces = [[[1, 0, 0], [0, 1, 0]], [[0, 1, 0], [0, 0, 1]], [[0, 0, 1], [1, 0, 0]]];
+  const vertices = [], indices = [];
+  for (const [u, v] of faces) {
+    for (const s of [1, -1]) {
+      const n = g.cross(u, v).map((x) => x * s);
+      const w = u.map((x) => x * s);
+      const base = vertices.length / 4;
+      for (const [a, b] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+        vertices.push(n[0] + a * w[0] + b * v[0], n[1] + a * w[1] + b * v[1], n[2] + a * w[2] + b * v[2], 1);
+      }
+      indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+  }
+  return { vertices: new Float32Array(vertices), indices: new Uint32Array(indices) };
+}
+
+const quad = {
+  vertices: new Float32Array([0, 0, 0, 1, 1, 0, 0, 1, 1, 1, 0, 1, 0, 1, 0, 1]),
+  indices: new Uint32Array([0, 1, 2, 0, 2, 3])
+};
+
+// Edges of a line-list as sorted "x,y,z/x,y,z" keys of their end points
+function edgeKeys(mesh, lines) {
+  const point = (i) => Array.from(mesh.vertices.slice(i * 4, i * 4 + 3)).join(",");
+  const keys = [];
+  for (let i = 0; i < lines.length; i += 2) keys.push([point(lines[i]), point(lines[i + 1])].sort().join("/"));
+  return keys.sort();
+}
+
+test("cube faces wind counterclockwise from outside", () => {
+  const mesh = cube();
+  const edges = new g.MeshEdges(mesh);
+  for (let t = 0; t < 12; t++) {
+    assert.ok(g.dot(edges.faceNormals[t], edges.facePoints[t]) > 0, "face " + t);
+  }
+});
+
+test("cube vertices are welded, so edges are not doubled", () => {
+  const mesh = cube();
+  const edges = new g.MeshEdges(mesh);
+  assert.strictEqual(edges.numTriangles, 12);
+  // 12 sides and a diagonal on each of the 6 faces, each between 2 faces
+  assert.strictEqual(edges.edges.length, 18);
+  assert.ok(edges.edges.every((edge) => edge.faces.length == 2));
+  const all = edges.allEdges();
+  assert.strictEqual(all.length, 18 * 2);
+  assert.strictEqual(new Set(edgeKeys(mesh, all)).size, 18);
+  // The same from vec4 positions without the DrawingInfo
+  const positions = [];
+  for (let i = 0; i < 24; i++) positions.push(g.vec4(...mesh.vertices.slice(i * 4, i * 4 + 4)));
+  assert.strictEqual(g.extractEdges(positions, mesh.indices).length, 18 * 2);
+});
+
+test("feature edges drop the face diagonals", () => {
+  const mesh = cube();
+  const features = new g.MeshEdges(mesh).featureEdges();
+  assert.strictEqual(features.length, 12 * 2);
+  // Every side is axis aligned: its end points differ in one coordinate
+  for (const key of edgeKeys(mesh, features)) {
+    const [a, b] = key.split("/").map((p) => p.split(",").map(Number));
+    assert.strictEqual(a.filter((x, i) => x != b[i]).length, 1, key);
+  }
+  // The faces meet at 90 degrees, so a larger angle keeps nothing
+  assert.strictEqual(new g.MeshEdges(mesh).featureEdges(95).length, 0);
+  assert.deepStrictEqual(Array.from(g.extractEdges(mesh, null, { featureAngle: 30 })), Array.from(features));
+});
+
+test("silhouette edges separate the faces turned towards the eye", () => {
+  const mesh = cube();
+  const edges = new g.MeshEdges(mesh);
+  // Looking at the +z face: its outline
+  const front = edgeKeys(mesh, edges.silhouetteEdges(g.vec3(0, 0, 5)));
+  assert.deepStrictEqual(front, ["-1,-1,1/-1,1,1", "-1,-1,1/1,-1,1", "-1,1,1/1,1,1", "1,-1,1/1,1,1"]);
+  // Looking at a corner: three faces turned towards the eye, six edges around them
+  assert.strictEqual(edges.silhouetteEdges(g.vec3(5, 5, 5)).length, 6 * 2);
+  // With both options the union of feature and silhouette edges
+  assert.strictEqual(g.extractEdges(mesh, null, { featureAngle: 95, eye: g.vec3(0, 0, 5) }).length, 4 * 2);
+});
+
+test("open quad has boundary feature edges and a silhouette only from the front", () => {
+  const edges = new g.MeshEdges(quad);
+  assert.strictEqual(edges.edges.length, 5);
+  // The diagonal is between two coplanar faces
+  assert.deepStrictEqual(edgeKeys(quad, edges.featureEdges()), ["0,0,0/0,1,0", "0,0,0/1,0,0", "0,1,0/1,1,0", "1,0,0/1,1,0"]);
+  assert.strictEqual(edges.silhouetteEdges(g.vec3(0.5, 0.5, 2)).length, 4 * 2);
+  assert.strictEqual(edges.silhouetteEdges(g.vec3(0.5, 0.5, -2)).length, 0);
+});
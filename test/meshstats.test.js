@@ -0,0 +1,147 @@
+// meshstats.test.js
+//
+// Tests of MeshStats.js: a watertight cube against open and broken surfaces,
+// and the orientation of normals with and without reverse.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/MeshStats.js"]);
+
+// Cube from -1 to 1 with 4 vertices per face, counterclockwise from outside.
+// Normals point inwards, as readOBJFile generates them without reverse.
+function cube() {
+  const faces = [[[1, 0, 0], [0, 1, 0]], [[0, 1, 0], [0, 0, 1]], [[0, 0, 1], [1, 0, 0]]];
+  const vertices = [], normals = [], indices = [];
+  for (const [u, v] of faces) {
+    for (const s of [1, -1]) {
+      const n = g.cross(u, v).map((x) => x * s);
+      const w = u.map((x) => x * s);
+      const base = vertices.length / 4;
+      for (const [a, b] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+        vertices.push(n[0] + a * w[0] + b * v[0], n[1] + a * w[1] + b * v[1], n[2] + a * w[2] + b * v[2], 1);
+        normals.push(-n[0], -n[1], -n[2], 0);
+      }
+      indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+  }
+  return {
+    vertices: new Float32Array(vertices),
+    normals: new Float32Array(normals),
+    indices: new Uint32Array(indices),
+    texcoords: null
+  };
+}
+
+// Unit quad in the xy plane, counterclockwise seen from +z, offset along x
+function quad(x) {
+  return {
+    vertices: new Float32Array([x, 0, 0, 1, x + 1, 0, 0, 1, x + 1, 1, 0, 1, x, 1, 0, 1]),
+    normals: new Float32Array([0, 0, -1, 0, 0, 0, -1, 0, 0, 0, -1, 0, 0, 0, -1, 0]),
+    indices: new Uint32Array([0, 1, 2, 0, 2, 3]),
+    texcoords: null
+  };
+}
+
+test("cube is watertight with positive volume", () => {
+  const report = g.inspectMesh(cube());
+  assert.strictEqual(report.numVertices, 24);
+  assert.strictEqual(report.numPositions, 8);
+  assert.strictEqual(report.numTriangles, 12);
+  assert.strictEqual(report.duplicateVertices, 0);
+  assertClose(report.bboxMin, [-1, -1, -1]);
+  assertClose(report.bboxMax, [1, 1, 1]);
+  assert.ok(Math.abs(report.area - 24) < 1e-9);
+  assert.ok(Math.abs(report.volume - 8) < 1e-9);
+  assert.strictEqual(report.boundaryEdges, 0);
+  assert.strictEqual(report.boundaryLoops, 0);
+  assert.strictEqual(report.nonManifoldEdges, 0);
+  assert.strictEqual(report.inconsistentEdges, 0);
+  assert.strictEqual(report.isWatertight(), true);
+  assert.match(report.toString(), /watertight: yes/);
+});
+
+test("clockwise winding gives a negative volume", () => {
+  const mesh = cube();
+  for (let i = 0; i < mesh.indices.length; i += 3) {
+    [mesh.indices[i + 1], mesh.indices[i + 2]] = [mesh.indices[i + 2], mesh.indices[i + 1]];
+  }
+  const report = g.inspectMesh(mesh, true);
+  assert.ok(Math.abs(report.volume + 8) < 1e-9);
+  assert.strictEqual(report.isWatertight(), true);
+});
+
+test("open quads have a boundary loop each and are not watertight", () => {
+  const report = g.inspectMesh(quad(0));
+  assert.strictEqual(report.boundaryEdges, 4);
+  assert.strictEqual(report.boundaryLoops, 1);
+  assert.strictEqual(report.isWatertight(), false);
+  assert.ok(Math.abs(report.area - 1) < 1e-9);
+  assert.match(report.toString(), /boundary edges: 4 in 1 loops/);
+
+  // Two quads apart in one mesh
+  const a = quad(0), b = quad(3);
+  const two = {
+    vertices: new Float32Array([...a.vertices, ...b.vertices]),
+    normals: new Float32Array([...a.normals, ...b.normals]),
+    indices: new Uint32Array([...a.indices, ...Array.from(b.indices, (i) => i + 4)]),
+    texcoords: null
+  };
+  const twoReport = g.inspectMesh(two);
+  assert.strictEqual(twoReport.boundaryEdges, 8);
+  assert.strictEqual(twoReport.boundaryLoops, 2);
+});
+
+test("a flipped triangle makes inconsistent edges and a hole makes a loop", () => {
+  const flipped = cube();
+  [flipped.indices[1], flipped.indices[2]] = [flipped.indices[2], flipped.indices[1]];
+  const report = g.inspectMesh(flipped);
+  assert.strictEqual(report.inconsistentEdges, 3);
+  assert.strictEqual(report.isWatertight(), false);
+
+  const open = cube();
+  open.indices = open.indices.slice(6); // Without the first face
+  const openReport = g.inspectMesh(open);
+  assert.strictEqual(openReport.boundaryEdges, 4);
+  assert.strictEqual(openReport.boundaryLoops, 1);
+  assert.strictEqual(openReport.isWatertight(), false);
+});
+
+test("inverted normals are counted against the orientation of the loaders", () => {
+  // Inward normals are what the loaders generate without reverse
+  const mesh = cube();
+  assert.strictEqual(g.inspectMesh(mesh).invertedNormals, 0);
+  assert.strictEqual(g.inspectMesh(mesh, true).invertedNormals, 12);
+  // Outward normals are right only with reverse
+  for (let i = 0; i < mesh.normals.length; i++) mesh.normals[i] = -mesh.normals[i];
+  assert.strictEqual(g.inspectMesh(mesh).invertedNormals, 12);
+  assert.strictEqual(g.inspectMesh(mesh, true).invertedNormals, 0);
+  // One face with the normals of the other side
+  for (let i = 0; i < 16; i++) mesh.normals[i] = -mesh.normals[i];
+  assert.strictEqual(g.inspectMesh(mesh, true).invertedNormals, 2);
+  assert.match(g.inspectMesh(mesh, true).toString(), /inverted normals: 2/);
+});
+
+test("duplicate vertices and point clouds", () => {
+  const mesh = quad(0);
+  mesh.vertices = new Float32Array([...mesh.vertices, 1, 1, 0, 1]);
+  mesh.normals = new Float32Array([...mesh.normals, 0, 0, -1, 0]);
+  assert.strictEqual(g.inspectMesh(mesh).duplicateVertices, 1);
+  mesh.primitive = "point-list";
+  mesh.indices = new Uint32Array([0, 1, 2, 3, 4]);
+  const report = g.inspectMesh(mesh);
+  assert.strictEqual(report.numTriangles, 0);
+  assert.strictEqual(report.numPositions, 4);
+  assert.strictEqual(report.isWatertight(), false);
+});
+
+test("fitToUnitBox centers the bounding box and scales its largest side", () => {
+  const mesh = quad(3);
+  const M = g.fitToUnitBox(mesh, 2);
+  assertClose(g.mult(M, g.vec4(3, 0, 0, 1)), [-1, -1, 0, 1]);
+  assertClose(g.mult(M, g.vec4(4, 1, 0, 1)), [1, 1, 0, 1]);
+  g.normalizeMesh(mesh);
+  assertClose(mesh.vertices.slice(0, 8), [-0.5, -0.5, 0, 1, 0.5, -0.5, 0, 1]);
+});
@@ -0,0 +1,100 @@
+// objexporter.test.js
+//
+// Tests of OBJExporter.js: meshes written with writeOBJ read back through
+// OBJDoc.parse with the same geometry and materials.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/OBJParser.js", "common/OBJExporter.js"]);
+
+// Parse the result of writeOBJ, with the MTL text as if it were at mtlPath
+async function readBack(result, mtlPath) {
+  const doc = new g.OBJDoc("export/mesh.obj");
+  const ok = await doc.parse(result.obj.replace(/^mtllib .*$/m, ""), 1, false);
+  if (result.mtl) {
+    const mtl = new g.MTLDoc(mtlPath || "export/mesh.mtl");
+    g.onReadMTLFile(result.mtl, mtl);
+    doc.mtls.push(mtl);
+  }
+  return { ok: ok, info: doc.getDrawingInfo() };
+}
+
+// Tetrahedron with per-vertex normals and texture coordinates
+const tetra = {
+  positions: [g.vec3(0, 0, 0), g.vec3(1, 0, 0), g.vec3(0, 1, 0), g.vec3(0, 0, 1)],
+  normals: [g.vec3(-1, -1, -1), g.vec3(1, 0, 0), g.vec3(0, 1, 0), g.vec3(0, 0, 1)],
+  texcoords: [g.vec2(0, 0), g.vec2(1, 0), g.vec2(0, 1), g.vec2(0.5, 0.5)],
+  indices: [0, 2, 1, 0, 1, 3, 0, 3, 2, 1, 2, 3]
+};
+
+test("triangles read back with their positions, normals and texcoords", async () => {
+  const result = g.writeOBJ(tetra);
+  assert.strictEqual(result.mtl, null);
+  const { ok, info } = await readBack(result);
+  assert.strictEqual(ok, true);
+  assert.strictEqual(info.primitive, "triangle-list");
+  assert.strictEqual(info.warnings.length, 0);
+  assert.strictEqual(info.vertices.length, 4 * 4);
+  // Vertices are numbered in order of first use, so compare corner by corner
+  assert.strictEqual(info.indices.length, tetra.indices.length);
+  for (let k = 0; k < tetra.indices.length; k++) {
+    const i = tetra.indices[k], v = info.indices[k];
+    assertClose(info.vertices.slice(v * 4, v * 4 + 3), tetra.positions[i]);
+    assertClose(info.normals.slice(v * 4, v * 4 + 3), tetra.normals[i]);
+    assertClose(info.texcoords.slice(v * 2, v * 2 + 2), tetra.texcoords[i]);
+  }
+});
+
+test("materials, draw ranges and texture paths read back", async () => {
+  const red = new g.Material("red paint", 1, 0, 0, 1);
+  red.mapKd = "models/tex/red.png";
+  const mesh = Object.assign({}, tetra, {
+    materials: [new g.Material("", 0.8, 0.8, 0.8, 1), red],
+    drawRanges: [new g.DrawRange(0, 0, 3), new g.DrawRange(1, 3, 6), new g.DrawRange(0, 9, 3)]
+  });
+  const result = g.writeOBJ(mesh, { mtlDir: "models/" });
+  // The default material is not written, a bare usemtl goes back to it
+  assert.ok(!/newmtl\s*$/m.test(result.mtl));
+  assert.match(result.obj, /^usemtl$/m);
+  assert.match(result.mtl, /^map_Kd tex\/red.png$/m);
+
+  const { info } = await readBack(result, "models/mesh.mtl");
+  assert.deepStrictEqual(Array.from(info.materials, (m) => m.name), ["", "red_paint"]);
+  assertClose(Object.values(info.materials[1].color), [1, 0, 0, 1]);
+  assert.strictEqual(info.materials[1].mapKd, "models/tex/red.png");
+  assert.deepStrictEqual(Array.from(info.drawRanges, (r) => [r.materialIndex, r.first, r.count]),
+                         [[0, 0, 3], [1, 3, 6], [0, 9, 3]]);
+  // Without mtlDir only the file name is written
+  assert.match(g.writeOBJ(mesh).mtl, /^map_Kd red.png$/m);
+});
+
+test("point lists read back as point lists", async () => {
+  const cloud = {
+    positions: [0, 0, 0, 1, 2, 0, 0, 1, 0, 0, 3, 1],
+    primitive: "point-list",
+    materials: [new g.Material("dots", 0, 0, 1, 1)],
+    drawRanges: [new g.DrawRange(0, 0, 3)]
+  };
+  const result = g.writeOBJ(cloud);
+  assert.match(result.obj, /^p 1\np 2\np 3$/m);
+  const { ok, info } = await readBack(result);
+  assert.strictEqual(ok, true);
+  assert.strictEqual(info.warnings.length, 0);
+  assert.strictEqual(info.primitive, "point-list");
+  assert.deepStrictEqual(Array.from(info.indices), [0, 1, 2]);
+  assertClose(info.vertices, cloud.positions);
+  assertClose(info.normals, new Array(12).fill(0));
+  assertClose(info.colors.slice(0, 4), [0, 0, 1, 1]);
+  assert.deepStrictEqual(Array.from(info.drawRanges, (r) => [r.materialIndex, r.first, r.count]), [[0, 0, 3]]);
+});
+
+test("points in a file with faces are reported", async () => {
+  const doc = new g.OBJDoc("mixed.obj");
+  await doc.parse("v 0 0 0\nv 1 0 0\nv 0 1 0\np 1 2\nf 1 2 3\n", 1, false);
+  const info = doc.getDrawingInfo();
+  assert.strictEqual(info.primitive, "triangle-list");
+  assert.deepStrictEqual(Array.from(info.warnings, (w) => w.toString()), ["mixed.obj:4: points ignored in a file with faces 'p'"]);
+});
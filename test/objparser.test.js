@@ -0,0 +1,167 @@
+// objparser.test.js
+//
+// Tests of OBJParser.js on OBJ text given inline (no MTL files are fetched).
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/OBJParser.js"]);
+
+// Parse OBJ text, returning the result of parse and the DrawingInfo
+async function parseOBJ(text, options, reverse) {
+  const doc = new g.OBJDoc("test.obj");
+  const ok = await doc.parse(text, 1, reverse || false);
+  return { ok: ok, info: doc.getDrawingInfo(options) };
+}
+
+const square = "v 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\nvn 0 0 1\nvn 0 0 -1\nvt 0 0\nvt 1 1\n";
+
+test("corners with the same position, texcoord and normal share a vertex", async () => {
+  const { ok, info } = await parseOBJ(square + "f 1/1/1 2/1/1 3/1/1\nf 1/1/1 3/1/1 4/1/1\n");
+  assert.strictEqual(ok, true);
+  assert.strictEqual(info.vertices.length, 4 * 4);
+  assert.deepStrictEqual(Array.from(info.indices), [0, 1, 2, 0, 2, 3]);
+  assertClose(info.vertices.slice(8, 12), [1, 1, 0, 1]);
+  assertClose(info.normals.slice(0, 4), [0, 0, 1, 0]);
+});
+
+test("negative indices give the same vertices as positive ones", async () => {
+  // -4 is the first of the four vertices read so far, -2 the first normal
+  const { info } = await parseOBJ(square + "f 1//1 2//1 3//1\nf -4//-2 -2//-2 -1//-2\n");
+  assert.strictEqual(info.vertices.length, 4 * 4);
+  assert.deepStrictEqual(Array.from(info.indices), [0, 1, 2, 0, 2, 3]);
+});
+
+test("different normals, texcoords or materials split a position", async () => {
+  let { info } = await parseOBJ(square + "f 1//1 2//1 3//1\nf 1//2 3//2 4//2\n");
+  assert.strictEqual(info.vertices.length, 6 * 4);
+  assertClose(info.vertices.slice(0, 4), info.vertices.slice(12, 16));
+  assertClose(info.normals.slice(12, 16), [0, 0, -1, 0]);
+
+  ({ info } = await parseOBJ(square + "f 1/1/1 2/1/1 3/1/1\nf 1/2/1 3/2/1 4/2/1\n"));
+  assert.strictEqual(info.vertices.length, 6 * 4);
+  assertClose(info.texcoords.slice(6, 8), [1, 1]);
+
+  ({ info } = await parseOBJ(square + "usemtl a\nf 1//1 2//1 3//1\nusemtl b\nf 1//1 3//1 4//1\n"));
+  assert.strictEqual(info.vertices.length, 6 * 4);
+  assert.deepStrictEqual(Array.from(info.drawRanges, (r) => [r.materialIndex, r.first, r.count]), [[0, 0, 3], [1, 3, 3]]);
+});
+
+test("corners without vn are shared only with smooth normals", async () => {
+  // Flat normals belong to the face, smooth normals to the position
+  let { info } = await parseOBJ(square + "f 1 2 3\nf 1 3 4\n");
+  assert.strictEqual(info.vertices.length, 6 * 4);
+  ({ info } = await parseOBJ(square + "f 1 2 3\nf 1 3 4\n", { smoothNormals: true }));
+  assert.strictEqual(info.vertices.length, 4 * 4);
+  assert.deepStrictEqual(Array.from(info.indices), [0, 1, 2, 0, 2, 3]);
+  // A crease angle below the angle between the faces splits them again
+  const fold = "v 0 0 0\nv 1 0 0\nv 0 1 0\nv 0 0 1\nf 1 2 3\nf 1 4 2\n";
+  ({ info } = await parseOBJ(fold, { smoothNormals: true }));
+  assert.strictEqual(info.vertices.length, 4 * 4);
+  ({ info } = await parseOBJ(fold, { smoothNormals: true, creaseAngle: 30 }));
+  assert.strictEqual(info.vertices.length, 6 * 4);
+});
+
+test("malformed lines are reported with line numbers", async () => {
+  const text = "v 0 0 0\nv 1 abc 0\nv 0 1 0\nf 1 2 3\nf 1 2 9\nf 1 x 3\nf 1 2\nv 1\n";
+  const { ok, info } = await parseOBJ(text);
+  assert.strictEqual(ok, false);
+  assert.deepStrictEqual(Array.from(info.errors, (e) => [e.lineNumber, e.token, e.reason]), [
+    [2, "abc", "bad float"],
+    [5, "9", "index out of range"],
+    [6, "x", "bad index"],
+    [7, null, "face has fewer than 3 vertices"],
+    [8, null, "missing number"],
+    [8, null, "missing number"]
+  ]);
+  assert.strictEqual(info.errors[0].toString(), "test.obj:2: bad float 'abc'");
+  assert.strictEqual(info.errors[3].toString(), "test.obj:7: face has fewer than 3 vertices");
+  // The bad coordinate reads as 0 and faces with errors are skipped
+  assert.strictEqual(info.indices.length, 3);
+  assertClose(info.vertices.slice(4, 8), [1, 0, 0, 1]);
+});
+
+test("unsupported keywords are warned about once", async () => {
+  const { ok, info } = await parseOBJ("v 0 0 0\ncurv 0 1 1\nl 1 1\ncurv 1 2 1\n");
+  assert.strictEqual(ok, true);
+  assert.strictEqual(info.errors.length, 0);
+  assert.deepStrictEqual(Array.from(info.warnings, (w) => [w.lineNumber, w.token, w.reason]), [
+    [2, "curv", "unsupported keyword"],
+    [3, "l", "unsupported keyword"]
+  ]);
+});
+
+test("CRLF line endings and comments parse like LF", async () => {
+  const text = "# square\n" + square + "f 1/1/1 2/1/1 3/1/1\nf 1/1/1 3/1/1 4/2/2\n";
+  const lf = await parseOBJ(text);
+  const crlf = await parseOBJ(text.replace(/\n/g, "\r\n"));
+  assert.strictEqual(crlf.ok, true);
+  assert.strictEqual(crlf.info.errors.length, 0);
+  assertClose(crlf.info.vertices, lf.info.vertices);
+  assertClose(crlf.info.texcoords, lf.info.texcoords);
+  assert.deepStrictEqual(Array.from(crlf.info.indices), Array.from(lf.info.indices));
+});
+
+// L-shaped hexagon in the xy plane, counterclockwise from (2, 0). A fan from
+// the first corner would cover the missing square [1, 2] x [1, 2].
+const lShape = [[2, 0, 0], [2, 1, 0], [1, 1, 0], [1, 2, 0], [0, 2, 0], [0, 0, 0]];
+
+function signedArea(a, b, c) {
+  return ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) / 2;
+}
+
+test("triangulatePolygon ear clips concave polygons inside the outline", () => {
+  const corners = Array.from(g.triangulatePolygon(lShape));
+  assert.strictEqual(corners.length, 4 * 3);
+  let area = 0;
+  for (let i = 0; i < corners.length; i += 3) {
+    const [a, b, c] = [lShape[corners[i]], lShape[corners[i + 1]], lShape[corners[i + 2]]];
+    // Same winding as the polygon, and no triangle reaches into the notch
+    assert.ok(signedArea(a, b, c) > 0);
+    for (let x = 1.1; x < 2; x += 0.2) {
+      for (let y = 1.1; y < 2; y += 0.2) {
+        const p = [x, y];
+        const inside = signedArea(a, b, p) > 0 && signedArea(b, c, p) > 0 && signedArea(c, a, p) > 0;
+        assert.ok(!inside, "triangle in the notch: " + [a, b, c].join(" "));
+      }
+    }
+    area += signedArea(a, b, c);
+  }
+  assert.ok(Math.abs(area - 3) < 1e-9);
+  // Clockwise input keeps its winding
+  const cw = Array.from(g.triangulatePolygon(lShape.slice().reverse()));
+  const reversed = lShape.slice().reverse();
+  for (let i = 0; i < cw.length; i += 3) {
+    assert.ok(signedArea(reversed[cw[i]], reversed[cw[i + 1]], reversed[cw[i + 2]]) < 0);
+  }
+});
+
+test("triangulatePolygon keeps the fan for convex polygons", () => {
+  const quad = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]];
+  assert.deepStrictEqual(Array.from(g.triangulatePolygon(quad)), [0, 1, 2, 0, 2, 3]);
+  // Polygons in other planes are projected along their normal
+  const yz = quad.map((p) => [5, p[0], p[1]]);
+  assert.deepStrictEqual(Array.from(g.triangulatePolygon(yz)), [0, 1, 2, 0, 2, 3]);
+});
+
+test("polygons keep their corners and boundary edges", async () => {
+  const face = "f " + lShape.map((p, i) => i + 1).join(" ") + "\n";
+  const text = lShape.map((p) => "v " + p.join(" ")).join("\n") + "\n" + face;
+  const { info } = await parseOBJ(text, { polygons: true });
+  assert.strictEqual(info.indices.length, 4 * 3);
+  assert.deepStrictEqual(Array.from(info.polygonCounts), [6]);
+  // Corners in the order of the file, each position once
+  for (let k = 0; k < 6; k++) {
+    const v = info.polygonIndices[k];
+    assertClose(info.vertices.slice(v * 4, v * 4 + 3), lShape[k]);
+  }
+  // The outline, not the diagonals of the triangulation
+  assert.strictEqual(info.polygonEdges.length, 6 * 2);
+  for (let i = 0; i < info.polygonEdges.length; i += 2) {
+    const a = info.polygonIndices.indexOf(info.polygonEdges[i]);
+    const b = info.polygonIndices.indexOf(info.polygonEdges[i + 1]);
+    assert.strictEqual((b - a + 6) % 6, 1);
+  }
+});
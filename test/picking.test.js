@@ -0,0 +1,83 @@
+// picking.test.js
+//
+// Tests of Picking.js: rays through the projections of MV.js, with every depth
+// convention, and picking the closest of several meshes.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/Geometry.js", "common/BVH.js", "common/Picking.js"]);
+
+const eye = g.vec3(1, 2, 5);
+const V = g.lookAt(eye, g.vec3(1, 2, 0), g.vec3(0, 1, 0));
+
+// Normalized device x and y of a world space point
+function project(P, p) {
+  const c = g.mult(P, g.mult(V, g.vec4(p[0], p[1], p[2], 1)));
+  return [c[0] / c[3], c[1] / c[3]];
+}
+
+const projections = [
+  ["perspective", g.perspective(60, 1.5, 0.5, 100), {}],
+  ["frustum", g.frustum(-0.4, 0.2, -0.3, 0.3, 0.5, 100), {}],
+  ["perspectiveZO", g.perspectiveZO(60, 1.5, 0.5, 100), { zeroToOne: true }],
+  ["perspectiveZO with an infinite far plane", g.perspectiveZO(60, 1.5, 0.5, Infinity), { zeroToOne: true }],
+  ["frustumZO with an infinite far plane", g.frustumZO(-0.4, 0.2, -0.3, 0.3, 0.5, Infinity), { zeroToOne: true }],
+  ["perspectiveReversedZ", g.perspectiveReversedZ(60, 1.5, 0.5, 100), { reversed: true }],
+  ["perspectiveReversedZ with an infinite far plane", g.perspectiveReversedZ(60, 1.5, 0.5, Infinity), { reversed: true }]
+];
+
+for (const [name, P, depthRange] of projections) {
+  test("rays start on the near plane and look away from the eye with " + name, () => {
+    const ndc = g.vec2(0.3, -0.6);
+    const ray = g.ndcToRay(ndc, P, V, depthRange);
+    assert.ok(ray.origin.every(isFinite) && ray.direction.every(isFinite));
+    // The near plane is 0.5 in front of the eye, which looks down -z
+    assert.ok(Math.abs(ray.origin[2] - (eye[2] - 0.5)) < 1e-6, "origin " + ray.origin);
+    assert.ok(ray.direction[2] < 0, "direction " + ray.direction);
+    assert.ok(Math.abs(g.length(ray.direction) - 1) < 1e-6);
+    // The ray goes through the eye and every point on it projects to ndc
+    const back = ray.at(-0.5 / -ray.direction[2]);
+    assertClose(back, eye, 1e-5);
+    for (const t of [0, 1, 10, 50]) assertClose(project(P, ray.at(t)), ndc, 1e-5);
+  });
+}
+
+test("orthographic rays are parallel to the view direction", () => {
+  for (const [P, depthRange] of [[g.ortho(-2, 2, -1, 1, 0.5, 20), {}], [g.orthoZO(-2, 2, -1, 1, 0.5, 20), { zeroToOne: true }]]) {
+    const ray = g.ndcToRay(g.vec2(0.5, 0.5), P, V, depthRange);
+    assertClose(ray.origin, [2, 2.5, 4.5]);
+    assertClose(ray.direction, [0, 0, -1]);
+  }
+});
+
+test("picker returns the closest visible object with its triangle", () => {
+  const quad = (z) => ({
+    vertices: new Float32Array([-1, -1, z, 1, 1, -1, z, 1, 1, 1, z, 1, -1, 1, z, 1]),
+    indices: new Uint32Array([0, 1, 2, 0, 2, 3])
+  });
+  const picker = new g.Picker();
+  const back = picker.add("back", quad(0));
+  const front = picker.add("front", quad(0), g.translate(0, 0, 2));
+  const P = g.perspectiveReversedZ(60, 1, 0.5, Infinity);
+  const V0 = g.lookAt(g.vec3(0, 0, 5), g.vec3(0, 0, 0), g.vec3(0, 1, 0));
+  const ray = g.ndcToRay(g.vec2(0.1, 0.1), P, V0, { reversed: true });
+  let hit = picker.pick(ray);
+  assert.strictEqual(hit.object, front);
+  assert.ok(Math.abs(hit.point[2] - 2) < 1e-6);
+  assert.deepStrictEqual(Array.from(hit.vertexIndices), Array.from(front.mesh.indices.slice(hit.triangle * 3, hit.triangle * 3 + 3)));
+  // The barycentrics weigh the triangle corners to the hit point (in model space)
+  const p = [0, 0, 0];
+  hit.vertexIndices.forEach((v, k) => {
+    for (let i = 0; i < 3; i++) p[i] += hit.barycentrics[k] * front.mesh.vertices[v * 4 + i];
+  });
+  assertClose(p, [hit.point[0], hit.point[1], hit.point[2] - 2]);
+  front.visible = false;
+  hit = picker.pick(ray);
+  assert.strictEqual(hit.object, back);
+  assert.ok(Math.abs(hit.point[2]) < 1e-6);
+  // Pointing away from both
+  assert.strictEqual(picker.pick(new g.Ray(g.vec3(0, 0, 5), g.vec3(0, 0, 1))), null);
+});
@@ -0,0 +1,117 @@
+// ply.test.js
+//
+// Tests of PLYParser.js on ascii and binary files built in memory.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/OBJParser.js", "common/PLYParser.js"]);
+
+// A square (quad face) and a triangle with vertex colors and texcoords
+const header = (format, numFaces) => [
+  "ply",
+  "format " + format + " 1.0",
+  "comment made by ply.test.js",
+  "element vertex 5",
+  "property float x", "property float y", "property float z",
+  "property uchar red", "property uchar green", "property uchar blue",
+  "property float u", "property float v",
+  "element face " + numFaces,
+  "property list uchar int vertex_indices",
+  "end_header", ""
+].join("\n");
+const vertexData = [
+  [0, 0, 0, 255, 0, 0, 0, 0],
+  [1, 0, 0, 0, 255, 0, 1, 0],
+  [1, 1, 0, 0, 0, 255, 1, 1],
+  [0, 1, 0, 255, 255, 255, 0, 1],
+  [0, 0, 1, 0, 0, 0, 0.5, 0.5]
+];
+const faceData = [[0, 1, 2, 3], [0, 4, 1]];
+const vertexTypes = ["Float32", "Float32", "Float32", "Uint8", "Uint8", "Uint8", "Float32", "Float32"];
+
+function asciiPLY() {
+  const lines = vertexData.map((v) => v.join(" ")).concat(faceData.map((f) => f.length + " " + f.join(" ")));
+  return new TextEncoder().encode(header("ascii", faceData.length) + lines.join("\n") + "\n").buffer;
+}
+
+function binaryPLY(littleEndian) {
+  const text = new TextEncoder().encode(header(littleEndian ? "binary_little_endian" : "binary_big_endian", faceData.length));
+  const size = (type) => (type == "Uint8" ? 1 : 4);
+  let bytes = text.length;
+  for (const v of vertexData) v.forEach((x, i) => { bytes += size(vertexTypes[i]); });
+  for (const f of faceData) bytes += 1 + f.length * 4;
+  const buffer = new ArrayBuffer(bytes);
+  new Uint8Array(buffer).set(text);
+  const view = new DataView(buffer);
+  let offset = text.length;
+  for (const v of vertexData) {
+    v.forEach((x, i) => {
+      view["set" + vertexTypes[i]](offset, x, littleEndian);
+      offset += size(vertexTypes[i]);
+    });
+  }
+  for (const f of faceData) {
+    view.setUint8(offset++, f.length);
+    for (const i of f) { view.setInt32(offset, i, littleEndian); offset += 4; }
+  }
+  return buffer;
+}
+
+function checkMesh(info) {
+  assert.strictEqual(info.primitive, "triangle-list");
+  // The quad is split as a fan, the triangle kept
+  assert.deepStrictEqual(Array.from(info.indices), [0, 1, 2, 0, 2, 3, 0, 4, 1]);
+  assert.deepStrictEqual(Array.from(info.drawRanges, (r) => [r.materialIndex, r.first, r.count]), [[0, 0, 9]]);
+  assertClose(info.vertices.slice(8, 12), [2, 2, 0, 1]);
+  assertClose(info.colors.slice(0, 8), [1, 0, 0, 1, 0, 1, 0, 1]);
+  assertClose(info.texcoords.slice(8, 10), [0.5, 0.5]);
+  // Generated normals are oriented like those of readOBJFile
+  assertClose(info.normals.slice(8, 12), [0, 0, -1, 0]);
+}
+
+test("ascii PLY with a quad and a triangle", () => {
+  checkMesh(g.parsePLY(asciiPLY(), 2, false));
+});
+
+test("binary little and big endian PLY read like ascii", () => {
+  const ascii = g.parsePLY(asciiPLY(), 2, false);
+  for (const littleEndian of [true, false]) {
+    const info = g.parsePLY(binaryPLY(littleEndian), 2, false);
+    checkMesh(info);
+    assertClose(info.vertices, ascii.vertices);
+    assertClose(info.normals, ascii.normals);
+    assertClose(info.colors, ascii.colors);
+  }
+});
+
+test("faces with more than 4 vertices are fans and reverse flips normals", () => {
+  const text = "ply\nformat ascii 1.0\nelement vertex 5\nproperty float x\nproperty float y\nproperty float z\n" +
+    "element face 1\nproperty list uchar int vertex_index\nend_header\n" +
+    "0 0 0\n2 0 0\n3 1 0\n1 2 0\n-1 1 0\n5 0 1 2 3 4\n";
+  const info = g.parsePLY(new TextEncoder().encode(text).buffer, 1, true);
+  assert.deepStrictEqual(Array.from(info.indices), [0, 1, 2, 0, 2, 3, 0, 3, 4]);
+  for (let i = 0; i < 5; i++) assertClose(info.normals.slice(i * 4, i * 4 + 4), [0, 0, 1, 0]);
+});
+
+test("point clouds have sequential indices and zero normals", () => {
+  const text = "ply\nformat ascii 1.0\nelement vertex 3\nproperty float x\nproperty float y\nproperty float z\n" +
+    "end_header\n0 0 0\n1 0 0\n0 1 0\n";
+  const info = g.parsePLY(new TextEncoder().encode(text).buffer, 1, false);
+  assert.strictEqual(info.primitive, "point-list");
+  assert.deepStrictEqual(Array.from(info.indices), [0, 1, 2]);
+  assertClose(info.normals, new Array(12).fill(0));
+  assert.deepStrictEqual(Array.from(info.drawRanges, (r) => [r.materialIndex, r.first, r.count]), [[0, 0, 3]]);
+});
+
+test("malformed PLY files throw", () => {
+  const parse = (text) => g.parsePLY(new TextEncoder().encode(text).buffer, 1, false);
+  const head = "ply\nformat ascii 1.0\nelement vertex 3\nproperty float x\nproperty float y\nproperty float z\n";
+  assert.throws(() => parse("obj\n"), /not a PLY file/);
+  assert.throws(() => parse(head + "0 0 0\n"), /no end_header/);
+  assert.throws(() => parse(head + "end_header\n0 0 0\n1 0\n"), /unexpected end of PLY data/);
+  assert.throws(() => parse(head + "element face 1\nproperty list uchar int vertex_indices\nend_header\n" +
+                            "0 0 0\n1 0 0\n0 1 0\n3 0 1 7\n"), /index out of range: 7/);
+});
@@ -0,0 +1,97 @@
+// scenegraph.test.js
+//
+// Tests of SceneGraph.js: local and world transforms, and the cached world
+// and normal matrices being recomputed when an ancestor changes.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/SceneGraph.js"]);
+
+// The teapot and ground of week 9 under a scaled parent
+function makeScene() {
+  return g.buildScene({ name: "root", scale: [2, 1, 1], children: [
+    { name: "ground" },
+    { name: "teapot", translation: [0, -1, -3], scale: 0.25, children: [
+      { name: "lid", translation: [0, 1, 0], rotation: { angle: 90, axis: [0, 1, 0] } }
+    ] }
+  ] });
+}
+
+test("world matrices compose the local transforms from the root", () => {
+  const root = makeScene();
+  const teapot = root.findNode("teapot"), lid = root.findNode("lid");
+  assertClose(teapot.getLocalMatrix(), g.mult(g.translate(0, -1, -3), g.scalem(0.25, 0.25, 0.25)));
+  assertClose(lid.getWorldMatrix(), g.mult(g.scalem(2, 1, 1), g.mult(teapot.getLocalMatrix(), lid.getLocalMatrix())));
+  // The origin of the lid is 1 above the teapot, scaled by 0.25
+  assertClose(g.mult(lid.getWorldMatrix(), g.vec4(0, 0, 0, 1)), [0, -0.75, -3, 1]);
+  // Cached until something changes
+  assert.strictEqual(lid.getWorldMatrix(), lid.getWorldMatrix());
+  assert.strictEqual(lid.getNormalMatrix(), lid.getNormalMatrix());
+  assert.strictEqual(root.findNode("missing"), null);
+});
+
+test("setTranslation on a parent invalidates the world and normal matrices below it", () => {
+  const root = makeScene();
+  const teapot = root.findNode("teapot"), lid = root.findNode("lid"), ground = root.findNode("ground");
+  const before = lid.getWorldMatrix();
+  const normalBefore = lid.getNormalMatrix();
+  const groundWorld = ground.getWorldMatrix();
+  teapot.setTranslation(0, -0.5, -3);
+  assert.strictEqual(teapot.worldMatrix, null);
+  assert.strictEqual(lid.worldMatrix, null);
+  assert.strictEqual(lid.normalMatrix, null);
+  // A translation does not change the normals
+  assert.notStrictEqual(lid.getNormalMatrix(), normalBefore);
+  assertClose(lid.getNormalMatrix(), normalBefore);
+  assert.notStrictEqual(lid.getWorldMatrix(), before);
+  assertClose(g.mult(lid.getWorldMatrix(), g.vec4(0, 0, 0, 1)), [0, -0.25, -3, 1]);
+  // Siblings keep their cache
+  assert.strictEqual(ground.getWorldMatrix(), groundWorld);
+});
+
+test("normal matrices follow the ancestors too", () => {
+  const root = makeScene();
+  const lid = root.findNode("lid");
+  // The lid is turned 90 degrees about y, so (0, 1, 1) turns to (1, 1, 0).
+  // The root scales x by 2, so normals are scaled by 1/2 in x.
+  const normal = () => g.normalize(g.mult(lid.getNormalMatrix(), g.vec3(0, 1, 1)));
+  assertClose(lid.getNormalMatrix(), g.normalMatrix(lid.getWorldMatrix(), true));
+  assertClose(normal(), g.normalize(g.vec3(0.5, 1, 0)));
+  root.setScale(1, 1, 1);
+  assert.strictEqual(lid.normalMatrix, null);
+  assertClose(normal(), g.normalize(g.vec3(1, 1, 0)));
+  // With the view matrix the result is in eye space and not cached
+  const V = g.rotate(90, [0, 1, 0]);
+  assertClose(g.normalize(g.mult(lid.getNormalMatrix(V), g.vec3(1, 0, 0))), [-1, 0, 0]);
+  assert.strictEqual(lid.normalMatrix, lid.getNormalMatrix());
+});
+
+test("moving a node to another parent and setMatrix invalidate it", () => {
+  const root = makeScene();
+  const lid = root.findNode("lid"), ground = root.findNode("ground");
+  const before = lid.getWorldMatrix();
+  ground.add(lid);
+  assert.strictEqual(root.findNode("teapot").children.length, 0);
+  assert.strictEqual(lid.parent, ground);
+  assert.notStrictEqual(lid.getWorldMatrix(), before);
+  assertClose(g.mult(lid.getWorldMatrix(), g.vec4(0, 0, 0, 1)), [0, 1, 0, 1]);
+  const mirror = g.scalem(1, -1, 1);
+  ground.setMatrix(mirror);
+  assertClose(g.mult(lid.getWorldMatrix(), g.vec4(0, 0, 0, 1)), [0, -1, 0, 1]);
+  ground.setMatrix(null);
+  assertClose(g.mult(lid.getWorldMatrix(), g.vec4(0, 0, 0, 1)), [0, 1, 0, 1]);
+});
+
+test("traverse visits visible nodes, parents first", () => {
+  const root = makeScene();
+  const names = [];
+  root.traverse((node) => names.push(node.name));
+  assert.deepStrictEqual(names, ["root", "ground", "teapot", "lid"]);
+  root.findNode("teapot").visible = false;
+  names.length = 0;
+  root.traverse((node) => names.push(node.name));
+  assert.deepStrictEqual(names, ["root", "ground"]);
+});
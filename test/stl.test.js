@@ -0,0 +1,84 @@
+// stl.test.js
+//
+// Tests of STLParser.js: reading ascii and binary STL files and writing
+// meshes as STL.
+// Run from the repository root with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, assertClose } = require("./loadScripts.js");
+
+const g = loadScripts(["common/MV.js", "common/OBJParser.js", "common/STLParser.js"]);
+
+// Unit square in the xy plane as two counterclockwise triangles
+const square3 = [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0];
+const square4 = [0, 0, 0, 1, 1, 0, 0, 1, 1, 1, 0, 1, 0, 1, 0, 1];
+const squareIndices = [0, 1, 2, 0, 2, 3];
+
+// Facets of a binary STL as [normal, v0, v1, v2] with 3 floats each
+function binaryFacets(buffer) {
+  const view = new DataView(buffer);
+  const facets = [];
+  for (let t = 0; t < view.getUint32(80, true); t++) {
+    const facet = [];
+    for (let i = 0; i < 12; i++) facet.push(view.getFloat32(84 + t * 50 + i * 4, true));
+    facets.push(facet);
+  }
+  return facets;
+}
+
+test("writeSTL reads packed vec3 positions with positionSize 3", () => {
+  const facets = binaryFacets(g.writeSTL(square3, squareIndices, { positionSize: 3 }));
+  assert.strictEqual(facets.length, 2);
+  assertClose(facets[0], [0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0]);
+  assertClose(facets[1], [0, 0, 1, 0, 0, 0, 1, 1, 0, 0, 1, 0]);
+  assertClose(facets, binaryFacets(g.writeSTL(square4, squareIndices)));
+  assert.strictEqual(g.writeSTL(square3, squareIndices, { ascii: true, positionSize: 3 }),
+                     g.writeSTL(square4, squareIndices, { ascii: true }));
+});
+
+test("writeSTL does not guess the stride from the length", () => {
+  // 12 floats are 3 vec4 positions by default, so index 3 is out of range
+  assert.throws(() => g.writeSTL(square3, squareIndices), /index 3 out of range for 3 vertices/);
+  assert.throws(() => g.writeSTL(square3.slice(0, 9), [0, 1, 2]), /not a multiple of 4/);
+  assert.throws(() => g.writeSTL(square4, [0, 1]), /not a multiple of 3/);
+  assert.throws(() => g.writeSTL(square3, squareIndices, { positionSize: 2 }), /must be 3 or 4/);
+});
+
+// The square as an ascii STL, the second facet without a stored normal
+const asciiSquare = [
+  "solid square",
+  "facet normal 0 0 1", "outer loop", "vertex 0 0 0", "vertex 1 0 0", "vertex 1 1 0", "endloop", "endfacet",
+  "facet normal 0 0 0", "outer loop", "vertex 0 0 0", "vertex 1 1 0", "vertex 0 1 0", "endloop", "endfacet",
+  "endsolid square", ""
+].join("\n");
+
+function checkSquare(info, normalZ) {
+  assert.strictEqual(info.vertices.length, 6 * 4);
+  assert.deepStrictEqual(Array.from(info.indices), [0, 1, 2, 3, 4, 5]);
+  assertClose(info.vertices.slice(4, 12), [2, 0, 0, 1, 2, 2, 0, 1]);
+  for (let v = 0; v < 6; v++) assertClose(info.normals.slice(v * 4, v * 4 + 4), [0, 0, normalZ, 0]);
+  assert.deepStrictEqual(Array.from(info.drawRanges, (r) => [r.materialIndex, r.first, r.count]), [[0, 0, 6]]);
+}
+
+test("ascii STL normals are flipped like those of readOBJFile unless reversed", () => {
+  const buffer = new TextEncoder().encode(asciiSquare).buffer;
+  checkSquare(g.parseSTL(buffer, 2), -1);
+  checkSquare(g.parseSTL(buffer, 2, true), 1);
+});
+
+test("binary STL reads like ascii", () => {
+  const buffer = g.writeSTL(square4, squareIndices);
+  // Zero the stored normal of the second facet, it is computed from the winding
+  new DataView(buffer).setFloat32(84 + 50 + 8, 0, true);
+  checkSquare(g.parseSTL(buffer, 2), -1);
+  checkSquare(g.parseSTL(buffer, 2, true), 1);
+  assertClose(g.parseSTL(buffer, 2).vertices, g.parseSTL(new TextEncoder().encode(asciiSquare).buffer, 2).vertices);
+});
+
+test("malformed STL files throw", () => {
+  const parse = (text) => g.parseSTL(new TextEncoder().encode(text).buffer);
+  assert.throws(() => parse("ply\n"), /not an STL file/);
+  assert.throws(() => parse("solid x\nfacet normal 0 0 1\nouter loop\nvertex 0 0 zero\n"), /bad STL vertex coordinate 'zero'/);
+  assert.throws(() => parse("solid x\nfacet normal 0 0 1\nouter loop\nvertex 0 0 0\nvertex 1 0 0\nendloop\n"), /fewer than 3 vertices/);
+});
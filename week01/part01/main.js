@@ -1,38 +1,17 @@
 "use strict";
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) {
-    throw new Error("WebGPU not supported. Try Chrome/Edge with WebGPU enabled.");
-  }
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
 
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({
-    device,
-    format,
-    alphaMode: "opaque",
-  });
+  // Get GPU device and configure the canvas (no depth buffer needed)
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
 
   // Encode one render pass that only clears the screen
   const encoder = device.createCommandEncoder();
   const pass = encoder.beginRenderPass({
-    colorAttachments: [
-      {
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: 0.3921, g: 0.5843, b: 0.9294, a: 1.0 }, // background
-      },
-    ],
+    colorAttachments: [gpu.colorAttachment([0.3921, 0.5843, 0.9294, 1.0])],
   });
 
   pass.end();
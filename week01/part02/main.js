@@ -17,26 +17,13 @@ function addSquare(vertices, cx, cy, sizePx, canvasWidth, canvasHeight) {
 }
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) {
-    throw new Error("WebGPU not supported in this browser.");
-  }
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
-
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({
-    device,
-    format,
-    alphaMode: "opaque",
-  });
+
+  // Get GPU device and configure the canvas (no depth buffer needed)
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // Build vertex data: three squares made from triangles
   const sizePx = 20;
@@ -70,9 +57,8 @@ async function main() {
   };
 
   // Load WGSL from <script id="wgsl" src="shader.wgsl">
-  const wgslUrl = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslUrl, { cache: "reload" }).then((r) => r.text());
-  const shaderModule = device.createShaderModule({ code: wgslCode });
+  const shaderModule = await gpu.loadWGSL();
+  if (!shaderModule) return;
 
   // Render pipeline: position-only vertex input + solid color fragment
   const pipeline = device.createRenderPipeline({
@@ -95,14 +81,7 @@ async function main() {
   // Encode one render pass: clear + draw all vertices
   const encoder = device.createCommandEncoder();
   const pass = encoder.beginRenderPass({
-    colorAttachments: [
-      {
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: 0.3921, g: 0.5843, b: 0.9294, a: 1.0 }, // background
-      },
-    ],
+    colorAttachments: [gpu.colorAttachment([0.3921, 0.5843, 0.9294, 1.0])],
   });
 
   pass.setPipeline(pipeline);
@@ -1,20 +1,13 @@
 "use strict";
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) throw new Error("WebGPU not supported in this browser.");
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
 
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: "opaque" });
+  // Get GPU device and configure the canvas (no depth buffer needed)
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // Triangle positions in clip/NDC space (-1..1)
   const positions = new Float32Array([
@@ -56,9 +49,8 @@ async function main() {
   };
 
   // Load WGSL from <script id="wgsl" src="shader.wgsl">
-  const wgslUrl = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslUrl, { cache: "reload" }).then(r => r.text());
-  const shaderModule = device.createShaderModule({ code: wgslCode });
+  const shaderModule = await gpu.loadWGSL();
+  if (!shaderModule) return;
 
   // Render pipeline: vertex + fragment shaders + triangle-list
   const pipeline = device.createRenderPipeline({
@@ -79,12 +71,7 @@ async function main() {
   // Encode one render pass: clear + draw
   const encoder = device.createCommandEncoder();
   const pass = encoder.beginRenderPass({
-    colorAttachments: [{
-      view: context.getCurrentTexture().createView(),
-      loadOp: "clear",
-      storeOp: "store",
-      clearValue: { r: 0.3921, g: 0.5843, b: 0.9294, a: 1.0 }, // background
-    }],
+    colorAttachments: [gpu.colorAttachment([0.3921, 0.5843, 0.9294, 1.0])],
   });
 
   pass.setPipeline(pipeline);
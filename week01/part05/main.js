@@ -38,20 +38,13 @@ function buildCircleTriangleList(radius, segments) {
 }
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
 
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: "opaque" });
+  // Get GPU device and configure the canvas (no depth buffer needed)
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // Circle geometry (radius in NDC, segment count controls smoothness)
   const r = 0.60;
@@ -90,10 +83,9 @@ async function main() {
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
   });
 
-  // Load WGSL from <script id="wgsl" src="...">
-  const wgslUrl = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslUrl, { cache: "reload" }).then(r => r.text());
-  const shaderModule = device.createShaderModule({ code: wgslCode });
+  // Load WGSL from <script id="wgsl" src="shader.wgsl">
+  const shaderModule = await gpu.loadWGSL();
+  if (!shaderModule) return;
 
   // Pipeline: position+color inputs, triangle-list rendering
   const pipeline = device.createRenderPipeline({
@@ -129,12 +121,7 @@ async function main() {
     // Encode render pass: clear + draw circle
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: 0.3921, g: 0.5843, b: 0.9294, a: 1.0 }, // background
-      }],
+      colorAttachments: [gpu.colorAttachment([0.3921, 0.5843, 0.9294, 1.0])],
     });
 
     pass.setPipeline(pipeline);
@@ -26,20 +26,13 @@ function mouseToNDC(ev, canvas) {
 }
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
 
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: "opaque" });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // Point drawing settings
   const pointSizePx = 20;
@@ -67,9 +60,8 @@ async function main() {
   };
 
   // Load WGSL from <script id="wgsl" src="...">
-  const wgslUrl = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslUrl, { cache: "reload" }).then(r => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   // Pipeline: position-only input, triangle-list quads
   const pipeline = device.createRenderPipeline({
@@ -86,12 +78,7 @@ async function main() {
     // Clear + draw all point quads
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: 0.3921, g: 0.5843, b: 0.9294, a: 1.0 }, // background
-      }],
+      colorAttachments: [gpu.colorAttachment([0.3921, 0.5843, 0.9294, 1.0])],
     });
 
     pass.setPipeline(pipeline);
@@ -23,20 +23,13 @@ function mouseToNDC(ev, canvas) {
 }
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) throw new Error("WebGPU not ensure supported.");
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
 
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: "opaque" });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // UI elements
   const colorSelect = document.getElementById("color-select");
@@ -92,9 +85,8 @@ async function main() {
   };
 
   // Load WGSL from <script id="wgsl" src="...">
-  const wgslUrl = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslUrl, { cache: "reload" }).then(r => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   // Pipeline: position + color attributes, triangle-list rendering
   const pipeline = device.createRenderPipeline({
@@ -115,12 +107,7 @@ async function main() {
     // Clear + draw all points
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgColor[0], g: bgColor[1], b: bgColor[2], a: bgColor[3] },
-      }],
+      colorAttachments: [gpu.colorAttachment(bgColor)],
     });
 
     pass.setPipeline(pipeline);
@@ -53,21 +53,12 @@ function buildCircleTriangleList(center, radius, segments, centerColor, rimColor
 }
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
   // ---------- Canvas / WebGPU ----------
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
-
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: "opaque" });
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // ---------- UI ----------
   const colorSelect = document.getElementById("color-select");
@@ -138,9 +129,8 @@ async function main() {
   };
 
   // ---------- Pipeline ----------
-  const wgslUrl = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslUrl, { cache: "reload" }).then(r => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -176,12 +166,7 @@ async function main() {
     // Clear + draw all streamed vertices
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgColor[0], g: bgColor[1], b: bgColor[2], a: bgColor[3] },
-      }],
+      colorAttachments: [gpu.colorAttachment(bgColor)],
     });
 
     pass.setPipeline(pipeline);
@@ -1,19 +1,13 @@
 "use strict";
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  const device = await adapter.requestDevice();
 
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: "opaque" });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // Unit cube vertices (0..1 in each axis)
   const positions = [
@@ -96,9 +90,8 @@ async function main() {
   device.queue.writeBuffer(uniformBuffer, 0, flatten(mvp));
 
   // --- Load WGSL + create pipeline
-  const wgslUrl = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslUrl, { cache: "reload" }).then(r => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -118,12 +111,7 @@ async function main() {
 
   const encoder = device.createCommandEncoder();
   const pass = encoder.beginRenderPass({
-    colorAttachments: [{
-      view: context.getCurrentTexture().createView(),
-      loadOp: "clear",
-      storeOp: "store",
-      clearValue: { r: bg[0], g: bg[1], b: bg[2], a: bg[3] },
-    }],
+    colorAttachments: [gpu.colorAttachment(bg)],
   });
 
   pass.setPipeline(pipeline);
@@ -1,19 +1,13 @@
 "use strict";
 
 async function main() {
-  // WebGPU availability check
-  if (!navigator.gpu) throw new Error("WebGPU not supported");
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  const device  = await adapter.requestDevice();
 
-  // Configure swap chain
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: "opaque" });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // Geometry: unit cube (0..1) and wireframe edges (line-list via index buffer)
   const positions = [
@@ -122,9 +116,8 @@ async function main() {
   device.queue.writeBuffer(uBuf, sizeof["mat4"] * 2, flatten(MVP[2]));
 
   // Load WGSL and create pipeline
-  const wgslUrl  = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslUrl, { cache: "reload" }).then(r => r.text());
-  const shader   = device.createShaderModule({ code: wgslCode });
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -145,12 +138,7 @@ async function main() {
     // Clear + draw 3 cube instances
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bg[0], g: bg[1], b: bg[2], a: bg[3] },
-      }],
+      colorAttachments: [gpu.colorAttachment(bg)],
     });
 
     pass.setPipeline(pipeline);
@@ -1,16 +1,13 @@
 "use strict";
 
 async function main() {
-  // Get GPU device
-  const adapter = await navigator.gpu.requestAdapter();
-  const device  = await adapter.requestDevice();
-
   const canvas  = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const format  = navigator.gpu.getPreferredCanvasFormat();
 
-  // Configure swap chain
-  context.configure({ device, format });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { depthFormat: null });
+  if (!gpu) return;
+  const device = gpu.device;
+  const format = gpu.format;
 
   // Cube vertices in [0,1]^3
   const positions = [
@@ -98,9 +95,8 @@ async function main() {
   }
 
   // Load WGSL shader source
-  const wgslPath = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslPath, { cache: "reload" }).then(r => r.text());
-  const shaderModule = device.createShaderModule({ code: wgslCode });
+  const shaderModule = await gpu.loadWGSL();
+  if (!shaderModule) return;
 
   // Render pipeline (line-list)
   const pipeline = device.createRenderPipeline({
@@ -128,12 +124,7 @@ async function main() {
     // Clear + draw indexed lines with instancing
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bg[0], g: bg[1], b: bg[2], a: bg[3] }
-      }]
+      colorAttachments: [gpu.colorAttachment(bg)]
     });
 
     pass.setPipeline(pipeline);
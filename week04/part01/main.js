@@ -67,20 +67,13 @@ function maxCounts(maxLevel) {
 }
 
 async function main() {
-  // WebGPU setup (request high-performance adapter)
-  const gpu = navigator.gpu;
-  const adapter = await gpu.requestAdapter({ powerPreference: "high-performance" });
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
 
-  context.configure({
-    device,
-    format: canvasFormat,
-    alphaMode: "opaque",
-  });
+  // WebGPU init (request high-performance adapter)
+  const gpu = await initWebGPU(canvas, { powerPreference: "high-performance" });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Base tetrahedron (normalized to unit sphere)
   const M_SQRT2 = Math.sqrt(2.0);
@@ -132,14 +125,6 @@ async function main() {
     }],
   };
 
-  // Depth buffer (Z-buffer)
-  const depthFormat = "depth24plus";
-  let depthTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: depthFormat,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
   // Clear color
   const bgcolor = vec4(0.3921, 0.5843, 0.9294, 1.0);
 
@@ -169,9 +154,8 @@ async function main() {
   device.queue.writeBuffer(uniformBuffer, 0, flatten(mvp));
 
   // Load WGSL + create pipeline (with depth testing)
-  const wgslfile = document.getElementById("wgsl").src;
-  const wgslcode = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-  const wgsl = device.createShaderModule({ code: wgslcode });
+  const wgsl = await gpu.loadWGSL();
+  if (!wgsl) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -187,7 +171,7 @@ async function main() {
     },
     primitive: { topology: "triangle-list" },
     depthStencil: {
-      format: depthFormat,
+      format: gpu.depthFormat, // Z-buffer
       depthWriteEnabled: true,
       depthCompare: "less",
     },
@@ -217,18 +201,8 @@ async function main() {
     const encoder = device.createCommandEncoder();
 
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     pass.setPipeline(pipeline);
@@ -59,15 +59,13 @@ function buildSphere(level, basePositions, baseIndices) {
 }
 
 async function main() {
-  // WebGPU setup
-  const adapter = await navigator.gpu.requestAdapter();
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
 
-  context.configure({ device, format: canvasFormat });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas);
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Base tetrahedron (normalized to unit sphere)
   const M_SQRT2 = Math.sqrt(2.0);
@@ -139,9 +137,8 @@ async function main() {
   device.queue.writeBuffer(uniformBuffer, 0, flatten(mvp));
 
   // Shader + pipeline
-  const wgslURL = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslURL, { cache: "reload" }).then(r => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   const FRONT_FACE = "ccw"; // flip to "cw" if culling looks inverted
 
@@ -155,7 +152,7 @@ async function main() {
       cullMode: "back",
     },
     depthStencil: {
-      format: "depth24plus",
+      format: gpu.depthFormat,
       depthWriteEnabled: true,
       depthCompare: "less",
     },
@@ -166,13 +163,6 @@ async function main() {
     entries: [{ binding: 0, resource: { buffer: uniformBuffer } }],
   });
 
-  // Depth texture
-  const depthTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: "depth24plus",
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
   // Current mesh data
   let positions = [];
   let indices = new Uint32Array([]);
@@ -192,18 +182,8 @@ async function main() {
     const encoder = device.createCommandEncoder();
 
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: CLEAR[0], g: CLEAR[1], b: CLEAR[2], a: CLEAR[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(CLEAR)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     pass.setPipeline(pipeline);
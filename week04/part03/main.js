@@ -59,16 +59,13 @@ function buildSphere(level, basePositions, baseIndices) {
 }
 
 async function main() {
-  // WebGPU init
-  const gpu = navigator.gpu;
-  const adapter = await gpu.requestAdapter();
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
 
-  context.configure({ device, format: canvasFormat });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Base tetrahedron (normalized)
   const M_SQRT2 = Math.sqrt(2.0);
@@ -137,11 +134,8 @@ async function main() {
   });
 
   // WGSL + pipeline (depth + culling + MSAA)
-  const wgslfile = document.getElementById("wgsl").src;
-  const wgslcode = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-  const wgsl = device.createShaderModule({ code: wgslcode });
-
-  const msaaCount = 4;
+  const wgsl = await gpu.loadWGSL();
+  if (!wgsl) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -160,9 +154,9 @@ async function main() {
       frontFace: "ccw",
       cullMode: "back",
     },
-    multisample: { count: msaaCount },
+    multisample: { count: gpu.sampleCount },
     depthStencil: {
-      format: "depth24plus",
+      format: gpu.depthFormat,
       depthWriteEnabled: true,
       depthCompare: "less",
     },
@@ -173,21 +167,6 @@ async function main() {
     entries: [{ binding: 0, resource: { buffer: uniformBuffer } }],
   });
 
-  // MSAA + depth textures
-  const msaaTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: canvasFormat,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  const depthTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
   // Current mesh buffers (CPU-side)
   let positions = [];
   let indices = new Uint32Array([]);
@@ -232,19 +211,8 @@ async function main() {
 
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: msaaTexture.createView(),
-        resolveTarget: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     pass.setPipeline(pipeline);
@@ -64,25 +64,13 @@ function buildSphere(level, basePositions, baseIndices) {
 }
 
 async function main() {
-  // Basic WebGPU availability checks
-  const gpu = navigator.gpu;
-  if (!gpu) {
-    alert("WebGPU not supported in this browser.");
-    return;
-  }
-
-  const adapter = await gpu.requestAdapter();
-  if (!adapter) {
-    alert("No suitable GPU adapter found.");
-    return;
-  }
-  const device = await adapter.requestDevice();
-
-  // Canvas + context
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format: canvasFormat });
+
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Base tetrahedron (normalized to unit sphere)
   const M_SQRT2 = Math.sqrt(2.0);
@@ -226,11 +214,8 @@ async function main() {
   });
 
   // Load WGSL and create pipeline
-  const wgslfile = document.getElementById("wgsl").src;
-  const wgslcode = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-  const wgsl = device.createShaderModule({ code: wgslcode });
-
-  const msaaCount = 4;
+  const wgsl = await gpu.loadWGSL();
+  if (!wgsl) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -249,11 +234,11 @@ async function main() {
       frontFace: "ccw",
       cullMode: "back",
     },
-    multisample: { count: msaaCount },
+    multisample: { count: gpu.sampleCount },
     depthStencil: {
       depthWriteEnabled: true,
       depthCompare: "less",
-      format: "depth24plus",
+      format: gpu.depthFormat,
     },
   });
 
@@ -262,21 +247,6 @@ async function main() {
     entries: [{ binding: 0, resource: { buffer: uniformBuffer } }],
   });
 
-  // MSAA + depth attachments
-  const msaaTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: canvasFormat,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  const depthTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
   // Current mesh data
   let positions = [];
   let indices = new Uint32Array([]);
@@ -331,19 +301,8 @@ async function main() {
 
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: msaaTexture.createView(),
-        resolveTarget: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     pass.setPipeline(pipeline);
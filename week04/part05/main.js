@@ -59,16 +59,13 @@ function courseIndices(indices) {
 }
 
 async function main() {
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({
-        device: device,
-        format: canvasFormat,
-    });
+
+    // WebGPU init
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     const M_SQRT2 = Math.sqrt(2.0);
     const M_SQRT6 = Math.sqrt(6.0);
@@ -203,14 +200,8 @@ async function main() {
     });
 
     // Load WGSL code
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode
-        = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({
-        code: wgslcode
-    });
-
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // Create pipeline
     const pipeline = device.createRenderPipeline({
@@ -230,29 +221,14 @@ async function main() {
             frontFace: 'ccw',
             cullMode: 'back'
         },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
-
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
     const bindGroup = device.createBindGroup({
         layout: pipeline.getBindGroupLayout(0),
         entries: [{
@@ -261,7 +237,6 @@ async function main() {
         }],
     });
 
-
     function render() {
         const eye = vec3(r * Math.sin(angle), 0, r * Math.cos(angle));
         const V = lookAt(eye, vec3(0, 0, 0), vec3(0, 1, 0));
@@ -283,19 +258,8 @@ async function main() {
         // Create a render pass in a command buffer and submit it
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         // Insert render pass commands here
@@ -104,19 +104,13 @@ function courseIndices(indices) {
 }
 
 async function main() {
-  // --- WebGPU availability check ---
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
-  // --- Adapter + Device ---
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
-
-  // --- Canvas + Context ---
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format: canvasFormat, alphaMode: "opaque" });
+
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // --- Start from tetrahedron (later pushed toward a sphere by normalization) ---
   const M_SQRT2 = Math.sqrt(2.0);
@@ -261,35 +255,16 @@ async function main() {
   const bgcolor = vec4(0.3921, 0.5843, 0.9294, 1.0); // cornflower
 
   // --- WGSL load + pipeline setup ---
-  const wgslFile = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslFile, { cache: "reload" }).then(r => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
-
-  const msaaCount = 4;
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
     vertex: { module: shader, entryPoint: "main_vs", buffers: [positionBufferLayout] },
     fragment: { module: shader, entryPoint: "main_fs", targets: [{ format: canvasFormat }] },
     primitive: { topology: "triangle-list", frontFace: "ccw", cullMode: "back" },
-    multisample: { count: msaaCount },
-    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: "depth24plus" },
-  });
-
-  // MSAA color buffer (resolve into swapchain texture)
-  const msaaTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: canvasFormat,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  // MSAA depth buffer
-  const depthTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
+    multisample: { count: gpu.sampleCount },
+    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: gpu.depthFormat },
   });
 
   // Bind group: single uniform buffer at group(0), binding(0)
@@ -330,19 +305,8 @@ async function main() {
     // Encode render commands
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: msaaTexture.createView(),
-        resolveTarget: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      }
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment()
     });
 
     // Bind pipeline + resources + draw
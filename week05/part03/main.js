@@ -1,16 +1,13 @@
 "use strict";
 
 async function main() {
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format: canvasFormat });
+
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Load OBJ (relative to this part folder)
   const obj_filename = "../assets/suzanne.obj";
@@ -123,11 +120,8 @@ async function main() {
   let angle = 0;
 
   // Load WGSL and create pipeline
-  const wgslfile = document.getElementById("wgsl").src;
-  const wgslcode = await fetch(wgslfile, { cache: "reload" }).then((r) => r.text());
-  const shader = device.createShaderModule({ code: wgslcode });
-
-  const msaaCount = 4;
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -146,29 +140,14 @@ async function main() {
       frontFace: "ccw",
       cullMode: "back",
     },
-    multisample: { count: msaaCount },
+    multisample: { count: gpu.sampleCount },
     depthStencil: {
       depthWriteEnabled: true,
       depthCompare: "less",
-      format: "depth24plus",
+      format: gpu.depthFormat,
     },
   });
 
-  // MSAA + depth targets
-  const msaaTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: canvasFormat,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  const depthTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
   // Bind group: uniforms only
   const bindGroup = device.createBindGroup({
     layout: pipeline.getBindGroupLayout(0),
@@ -203,19 +182,8 @@ async function main() {
     // Render pass
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: msaaTexture.createView(),
-        resolveTarget: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     // Draw mesh
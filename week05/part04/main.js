@@ -1,16 +1,13 @@
 "use strict";
 
 async function main() {
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format: canvasFormat });
+
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Load OBJ (Suzanne)
   const objFilename = "../assets/suzanne.obj";
@@ -126,11 +123,8 @@ async function main() {
   const lightWorld = vec3(2.5, 2.5, 2.5);
 
   // Load WGSL and create pipeline
-  const wgslFile = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslFile, { cache: "reload" }).then((r) => r.text());
-  const wgsl = device.createShaderModule({ code: wgslCode });
-
-  const msaaCount = 4;
+  const wgsl = await gpu.loadWGSL();
+  if (!wgsl) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -145,23 +139,8 @@ async function main() {
       targets: [{ format: canvasFormat }],
     },
     primitive: { topology: "triangle-list", frontFace: "ccw", cullMode: "back" },
-    multisample: { count: msaaCount },
-    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: "depth24plus" },
-  });
-
-  // MSAA + depth attachments
-  const msaaTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: canvasFormat,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  const depthTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
+    multisample: { count: gpu.sampleCount },
+    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: gpu.depthFormat },
   });
 
   // Bind group: uniforms only
@@ -200,19 +179,8 @@ async function main() {
     // Render pass
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: msaaTexture.createView(),
-        resolveTarget: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     // Draw mesh
@@ -24,21 +24,13 @@ function createCheckerboardTexture(texSize, numRows, numCols) {
 }
 
 async function main() {
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
 
-  context.configure({
-    device,
-    format: canvasFormat,
-    alphaMode: "opaque",
-  });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas);
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Ground quad positions (world space)
   const positions = [
@@ -138,8 +130,8 @@ async function main() {
   });
 
   // Load WGSL
-  const wgslCode = await fetch("shader.wgsl", { cache: "reload" }).then((r) => r.text());
-  const shaderModule = device.createShaderModule({ code: wgslCode });
+  const shaderModule = await gpu.loadWGSL();
+  if (!shaderModule) return;
 
   // Render pipeline
   const pipeline = device.createRenderPipeline({
@@ -171,17 +163,10 @@ async function main() {
     depthStencil: {
       depthWriteEnabled: true,
       depthCompare: "less",
-      format: "depth24plus",
+      format: gpu.depthFormat,
     },
   });
 
-  // Depth attachment
-  const depthTexture = device.createTexture({
-    size: [canvas.width, canvas.height, 1],
-    format: "depth24plus",
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
   // Bind group: MVP + sampler + texture
   const bindGroup = device.createBindGroup({
     layout: pipeline.getBindGroupLayout(0),
@@ -195,18 +180,8 @@ async function main() {
   // Encode one render pass
   const encoder = device.createCommandEncoder();
   const pass = encoder.beginRenderPass({
-    colorAttachments: [{
-      view: context.getCurrentTexture().createView(),
-      loadOp: "clear",
-      storeOp: "store",
-      clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-    }],
-    depthStencilAttachment: {
-      view: depthTexture.createView(),
-      depthLoadOp: "clear",
-      depthClearValue: 1.0,
-      depthStoreOp: "store",
-    },
+    colorAttachments: [gpu.colorAttachment(bgcolor)],
+    depthStencilAttachment: gpu.depthAttachment(),
   });
 
   // Draw quad
@@ -41,17 +41,13 @@ function wireUI(render) {
 }
 
 async function main() {
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
 
-  context.configure({ device, format: canvasFormat, alphaMode: "opaque" });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas);
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Ground quad geometry
   const positions = [
@@ -114,9 +110,8 @@ async function main() {
   device.queue.writeBuffer(uniformBuffer, 0, flatten(mvp));
 
   // Load WGSL and create pipeline
-  const wgslFile = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslFile, { cache: "reload" }).then((r) => r.text());
-  const shaderModule = device.createShaderModule({ code: wgslCode });
+  const shaderModule = await gpu.loadWGSL();
+  if (!shaderModule) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -140,14 +135,7 @@ async function main() {
       targets: [{ format: canvasFormat }],
     },
     primitive: { topology: "triangle-list", frontFace: "ccw", cullMode: "back" },
-    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: "depth24plus" },
-  });
-
-  // Depth buffer
-  const depthTexture = device.createTexture({
-    size: [canvas.width, canvas.height, 1],
-    format: "depth24plus",
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
+    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: gpu.depthFormat },
   });
 
   // Checkerboard base level
@@ -213,18 +201,8 @@ async function main() {
     // draw pass
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     pass.setPipeline(pipeline);
@@ -55,16 +55,13 @@ async function loadImageBitmap(url) {
 }
 
 async function main() {
-  if (!navigator.gpu) throw new Error("WebGPU not supported.");
-
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("Failed to get GPU adapter.");
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format: canvasFormat, alphaMode: "opaque" });
+
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // ---------- sphere base (tetrahedron) ----------
   const M_SQRT2 = Math.sqrt(2.0);
@@ -121,11 +118,8 @@ async function main() {
   });
 
   // ---------- shader/pipeline ----------
-  const wgslFile = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslFile, { cache: "reload" }).then((r) => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
-
-  const msaaCount = 4;
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   const pipeline = device.createRenderPipeline({
     layout: "auto",
@@ -143,22 +137,8 @@ async function main() {
       targets: [{ format: canvasFormat }],
     },
     primitive: { topology: "triangle-list", frontFace: "ccw", cullMode: "back" },
-    multisample: { count: msaaCount },
-    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: "depth24plus" },
-  });
-
-  const msaaTexture = device.createTexture({
-    size: [canvas.width, canvas.height, 1],
-    format: canvasFormat,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  const depthTexture = device.createTexture({
-    size: [canvas.width, canvas.height, 1],
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
+    multisample: { count: gpu.sampleCount },
+    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: gpu.depthFormat },
   });
 
   // ---------- cubemap texture ----------
@@ -256,19 +236,8 @@ async function main() {
     // render pass
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: msaaTexture.createView(),
-        resolveTarget: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     pass.setPipeline(pipeline);
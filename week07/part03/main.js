@@ -68,14 +68,13 @@ async function loadCubemapWithFallback(files) {
 
 // Main
 async function main() {
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) throw new Error("WebGPU adapter not available.");
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format: canvasFormat, alphaMode: "opaque" });
+
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // Background quad
   const zFar = 0.9999;
@@ -136,26 +135,8 @@ async function main() {
   const sphereIB = makeIB(sphereIndices);
 
   // Load WGSL
-  const wgslFile = document.getElementById("wgsl").src;
-  const wgslCode = await fetch(wgslFile, { cache: "reload" }).then(r => r.text());
-  const shader = device.createShaderModule({ code: wgslCode });
-
-  // MSAA + Depth
-  const msaaCount = 4;
-
-  const msaaTexture = device.createTexture({
-    size: [canvas.width, canvas.height, 1],
-    format: canvasFormat,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  const depthTexture = device.createTexture({
-    size: [canvas.width, canvas.height, 1],
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
+  const shader = await gpu.loadWGSL();
+  if (!shader) return;
 
   // Pipelines
   const vLayout = {
@@ -168,8 +149,8 @@ async function main() {
     vertex: { module: shader, entryPoint: "main_vs", buffers: [vLayout] },
     fragment: { module: shader, entryPoint: "main_fs", targets: [{ format: canvasFormat }] },
     primitive: { topology: "triangle-list", cullMode: "none" },
-    multisample: { count: msaaCount },
-    depthStencil: { depthWriteEnabled: false, depthCompare: "always", format: "depth24plus" },
+    multisample: { count: gpu.sampleCount },
+    depthStencil: { depthWriteEnabled: false, depthCompare: "always", format: gpu.depthFormat },
   });
 
   const pipelineSphere = device.createRenderPipeline({
@@ -177,8 +158,8 @@ async function main() {
     vertex: { module: shader, entryPoint: "main_vs", buffers: [vLayout] },
     fragment: { module: shader, entryPoint: "main_fs", targets: [{ format: canvasFormat }] },
     primitive: { topology: "triangle-list", frontFace: "ccw", cullMode: "back" },
-    multisample: { count: msaaCount },
-    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: "depth24plus" },
+    multisample: { count: gpu.sampleCount },
+    depthStencil: { depthWriteEnabled: true, depthCompare: "less", format: gpu.depthFormat },
   });
 
   // Cubemap setup
@@ -313,19 +294,8 @@ async function main() {
 
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: msaaTexture.createView(),
-        resolveTarget: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        storeOp: "store",
-        clearValue: { r: 0, g: 0, b: 0, a: 1 },
-      }],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment([0, 0, 0, 1])],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     // Draw background
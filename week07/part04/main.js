@@ -75,17 +75,13 @@ function getOptions() {
 }
 
 async function main() {
-    // WebGPU init
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({
-        device: device,
-        format: canvasFormat,
-    });
+
+    // WebGPU init
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // tetrahedron base vertices (unit-ish sphere seed)
     const M_SQRT2 = Math.sqrt(2.0);
@@ -226,14 +222,8 @@ async function main() {
     });
 
     // load WGSL shader source
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode
-        = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({
-        code: wgslcode
-    });
-
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // render pipeline
     const pipeline = device.createRenderPipeline({
@@ -253,30 +243,14 @@ async function main() {
             frontFace: 'ccw',
             cullMode: 'back'
         },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
-    // MSAA color target
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    // MSAA depth target
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
     // cubemap texture updated on UI changes
     let cubeTex;
     function updateTextureRender() {
@@ -392,19 +366,8 @@ async function main() {
         // begin render pass
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         pass.setPipeline(pipeline);
@@ -1,17 +1,13 @@
 "use strict";
 
 async function main() {
-    // --- WebGPU setup (adapter/device/canvas/context) ---
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({
-        device: device,
-        format: canvasFormat,
-    });
+
+    // WebGPU init
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // --- Scene geometry: ground + two quads (all share one position buffer) ---
     let positions = [
@@ -184,15 +180,8 @@ async function main() {
     device.queue.writeBuffer(uniformBuffer, 0, flatten(mvp));
 
     // --- Load WGSL source from <script id="wgsl" ...> ---
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode
-        = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({
-        code: wgslcode
-    });
-
-    // --- MSAA settings ---
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // --- Render pipeline: positions + texcoords, textured fragment ---
     const pipeline = device.createRenderPipeline({
@@ -212,30 +201,14 @@ async function main() {
             frontFace: 'ccw',
             cullMode: 'back'
         },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
-    // --- MSAA color target ---
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    // --- MSAA depth target ---
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
     // --- Bind group for ground: MVP + ground sampler + ground texture ---
     const bindGroupGround = device.createBindGroup({
         layout: pipeline.getBindGroupLayout(0),
@@ -260,19 +233,8 @@ async function main() {
         // --- Encode one frame ---
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         // --- Common pipeline + buffers ---
@@ -1,19 +1,13 @@
 "use strict";
 
 async function main() {
-  // --- WebGPU bootstrap ---
-  const gpu = navigator.gpu;
-  const adapter = await gpu.requestAdapter();
-  const device = await adapter.requestDevice();
-
   const canvas = document.getElementById("my-canvas");
-  const context = canvas.getContext("webgpu");
-  const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
 
-  context.configure({
-    device: device,
-    format: canvasFormat,
-  });
+  // WebGPU init
+  const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+  if (!gpu) return;
+  const device = gpu.device;
+  const canvasFormat = gpu.format;
 
   // --- Scene geometry (3 quads) ---
   // 0..3   : ground quad (y = -1)
@@ -199,13 +193,10 @@ async function main() {
   device.queue.writeBuffer(uniformBuffer, sizeof["mat4"], new Float32Array([1.0]));
 
   // --- Shaders ---
-  const wgslfile = document.getElementById("wgsl").src;
-  const wgslcode = await fetch(wgslfile, { cache: "reload" }).then((r) => r.text());
-  const wgsl = device.createShaderModule({ code: wgslcode });
+  const wgsl = await gpu.loadWGSL();
+  if (!wgsl) return;
 
   // --- Pipeline (single pipeline, different bind groups for textures) ---
-  const msaaCount = 4;
-
   const pipeline = device.createRenderPipeline({
     layout: "auto",
     vertex: {
@@ -223,29 +214,14 @@ async function main() {
       frontFace: "ccw",
       cullMode: "none",
     },
-    multisample: { count: msaaCount },
+    multisample: { count: gpu.sampleCount },
     depthStencil: {
       depthWriteEnabled: true,
       depthCompare: "less",
-      format: "depth24plus",
+      format: gpu.depthFormat,
     },
   });
 
-  // --- MSAA + depth attachments ---
-  const msaaTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: canvasFormat,
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
-  const depthTexture = device.createTexture({
-    size: { width: canvas.width, height: canvas.height },
-    format: "depth24plus",
-    sampleCount: msaaCount,
-    usage: GPUTextureUsage.RENDER_ATTACHMENT,
-  });
-
   // --- Bind groups (same layout, different textures/uniforms) ---
   // Ground uses ground texture + main MVP
   const bindGroupGround = device.createBindGroup({
@@ -321,21 +297,8 @@ async function main() {
     // --- Render pass ---
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
-      colorAttachments: [
-        {
-          view: msaaTexture.createView(),
-          resolveTarget: context.getCurrentTexture().createView(),
-          loadOp: "clear",
-          storeOp: "store",
-          clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-        },
-      ],
-      depthStencilAttachment: {
-        view: depthTexture.createView(),
-        depthLoadOp: "clear",
-        depthClearValue: 1.0,
-        depthStoreOp: "store",
-      },
+      colorAttachments: [gpu.colorAttachment(bgcolor)],
+      depthStencilAttachment: gpu.depthAttachment(),
     });
 
     pass.setPipeline(pipeline);
@@ -2,21 +2,14 @@
 
 async function main() {
     // ------------------------------------------------------------
-    // WebGPU bootstrapping:
-    // - requestAdapter(): choose a GPU adapter (hardware/software)
-    // - requestDevice(): get a logical device to create resources
-    // - configure canvas context with the chosen device + format
-    // ------------------------------------------------------------
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
+    // WebGPU bootstrap (common/WebGPUSetup.js): device, canvas context
+    // and the 4x MSAA color + depth targets
+    // ------------------------------------------------------------
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({
-        device: device,
-        format: canvasFormat,
-    });
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // ------------------------------------------------------------
     // Scene geometry:
@@ -253,17 +246,8 @@ async function main() {
     // Load WGSL shader source referenced by <script id="wgsl" ...>
     // and create a shader module.
     // ------------------------------------------------------------
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode
-        = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({
-        code: wgslcode
-    });
-
-    // ------------------------------------------------------------
-    // MSAA sample count (4x multisampling)
-    // ------------------------------------------------------------
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // ------------------------------------------------------------
     // Main render pipeline:
@@ -288,11 +272,11 @@ async function main() {
             frontFace: 'ccw',
             cullMode: 'none', // No culling to see shadows on ground on both sides
         },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
@@ -319,33 +303,14 @@ async function main() {
             frontFace: 'ccw',
             cullMode: 'none', // No culling to see shadows on ground on both sides
         },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'greater',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
-    // ------------------------------------------------------------
-    // MSAA color buffer + MSAA depth buffer
-    // - msaaTexture: multisampled color target, resolved into swapchain texture
-    // - depthTexture: multisampled depth attachment
-    // ------------------------------------------------------------
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
     // ------------------------------------------------------------
     // Bind groups:
     // Each bind group selects which uniform buffer + sampler + texture
@@ -456,19 +421,8 @@ async function main() {
         // ------------------------------------------------------------
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         // ------------------------------------------------------------
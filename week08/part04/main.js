@@ -2,20 +2,14 @@
 
 async function main() {
     // ------------------------------------------------------------
-    // WebGPU bootstrap:
-    // - Grab GPU adapter/device
-    // - Configure the canvas context with the preferred swapchain format
+    // WebGPU bootstrap (common/WebGPUSetup.js): device, canvas context
+    // and the 4x MSAA color + depth targets
     // ------------------------------------------------------------
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({
-        device: device,
-        format: canvasFormat,
-    });
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // ------------------------------------------------------------
     // Scene geometry (all in one position array):
@@ -248,17 +242,8 @@ async function main() {
     // ------------------------------------------------------------
     // Load WGSL shader code from <script id="wgsl" src="...">
     // ------------------------------------------------------------
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode
-        = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({
-        code: wgslcode
-    });
-
-    // ------------------------------------------------------------
-    // MSAA configuration (4x)
-    // ------------------------------------------------------------
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // ------------------------------------------------------------
     // Main pipeline:
@@ -282,11 +267,11 @@ async function main() {
             frontFace: 'ccw',
             cullMode: 'back',
         },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
@@ -320,34 +305,14 @@ async function main() {
             frontFace: 'ccw',
             cullMode: 'none', // No culling to see shadows on ground on both sides
         },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'greater',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
-    // ------------------------------------------------------------
-    // MSAA color buffer (resolved into swapchain each frame)
-    // ------------------------------------------------------------
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    // ------------------------------------------------------------
-    // Depth buffer (shared across passes in the single render pass)
-    // ------------------------------------------------------------
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
     // ------------------------------------------------------------
     // Bind groups:
     // - Ground uses ground texture
@@ -439,19 +404,8 @@ async function main() {
         // ------------------------------------------------------------
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         // ------------------------------------------------------------
@@ -28,18 +28,13 @@ function getOptions() {
 
 async function main() {
     // ----------------------------
-    // WebGPU init (adapter/device/canvas/context)
+    // WebGPU init (device/canvas/context, MSAA + depth targets)
     // ----------------------------
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({
-        device: device,
-        format: canvasFormat,
-    });
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // ----------------------------
     // Shared vertex layout for vec4 positions (teapot)
@@ -227,11 +222,8 @@ async function main() {
     // ----------------------------
     // WGSL loading/compilation
     // ----------------------------
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({ code: wgslcode });
-
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // ----------------------------
     // Main pipelines (ground + teapot)
@@ -249,11 +241,11 @@ async function main() {
             targets: [{ format: canvasFormat }],
         },
         primitive: { topology: 'triangle-list', frontFace: 'ccw', cullMode: 'none' },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
@@ -270,11 +262,11 @@ async function main() {
             targets: [{ format: canvasFormat }],
         },
         primitive: { topology: 'triangle-list', frontFace: 'ccw', cullMode: 'none' },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
@@ -308,22 +300,8 @@ async function main() {
     });
 
     // ----------------------------
-    // MSAA + depth targets for the main pass
+    // Depth target of the shadow map pass
     // ----------------------------
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
-    });
-
     const shadowDepthTexture = device.createTexture({
         size: [2048, 2048, 1],
         format: 'depth24plus',
@@ -497,19 +475,8 @@ async function main() {
         // 2) Main pass: render ground + teapot with camera MVP
         // ----------------------------
         const mainPass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         // Ground draw
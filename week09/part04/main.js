@@ -25,16 +25,13 @@ function getOptions() {
 }
 
 async function main() {
-    // WebGPU setup
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
-
-    // Canvas/context setup
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({ device: device, format: canvasFormat });
+
+    // WebGPU init
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // Shared vertex layout (vec4 positions)
     const positionBufferLayout = {
@@ -213,11 +210,8 @@ async function main() {
     device.queue.writeBuffer(groundUniformBuffer, sizeof['mat4'] * 3, new Float32Array([0.0, 0.0, 0.0, 1.0]));
 
     // Load WGSL
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({ code: wgslcode });
-
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // Render pipelines
     const groundPipeline = device.createRenderPipeline({
@@ -233,8 +227,8 @@ async function main() {
             targets: [{ format: canvasFormat }],
         },
         primitive: { topology: 'triangle-list', frontFace: 'ccw', cullMode: 'none' },
-        multisample: { count: msaaCount },
-        depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' },
+        multisample: { count: gpu.sampleCount },
+        depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: gpu.depthFormat },
     });
 
     const teapotPipeline = device.createRenderPipeline({
@@ -250,8 +244,8 @@ async function main() {
             targets: [{ format: canvasFormat }],
         },
         primitive: { topology: 'triangle-list', frontFace: 'ccw', cullMode: 'none' },
-        multisample: { count: msaaCount },
-        depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' },
+        multisample: { count: gpu.sampleCount },
+        depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: gpu.depthFormat },
     });
 
     // Shadow map texture (color texture storing depth in .r)
@@ -278,21 +272,6 @@ async function main() {
         depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' },
     });
 
-    // MSAA + depth for main scene
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
-    });
-
     // Depth for shadow pass
     const shadowDepthTexture = device.createTexture({
         size: [2048, 2048, 1],
@@ -446,19 +425,8 @@ async function main() {
 
         // Main pass: draw ground + teapot
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         // Ground
@@ -25,13 +25,13 @@ function getOptions() {
 }
 
 async function main() {
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({ device: device, format: canvasFormat });
+
+    // WebGPU init
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // Shared vertex layout (vec4 positions)
     const positionBufferLayout = {
@@ -181,11 +181,8 @@ async function main() {
     device.queue.writeBuffer(groundUniformBuffer, 0, flatten(mvp));
     device.queue.writeBuffer(groundUniformBuffer, sizeof['mat4'] * 3, new Float32Array([0.0, 0.0, 0.0, 1.0]));
 
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({ code: wgslcode });
-
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     const groundPipeline = device.createRenderPipeline({
         layout: 'auto',
@@ -200,8 +197,8 @@ async function main() {
             targets: [{ format: canvasFormat }],
         },
         primitive: { topology: 'triangle-list', frontFace: 'ccw', cullMode: 'none' },
-        multisample: { count: msaaCount },
-        depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' },
+        multisample: { count: gpu.sampleCount },
+        depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: gpu.depthFormat },
     });
 
     const teapotPipeline = device.createRenderPipeline({
@@ -217,8 +214,8 @@ async function main() {
             targets: [{ format: canvasFormat }],
         },
         primitive: { topology: 'triangle-list', frontFace: 'ccw', cullMode: 'none' },
-        multisample: { count: msaaCount },
-        depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' },
+        multisample: { count: gpu.sampleCount },
+        depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: gpu.depthFormat },
     });
 
     // Shadow map color texture (stores depth in red)
@@ -237,20 +234,6 @@ async function main() {
         depthStencil: { depthWriteEnabled: true, depthCompare: 'less', format: 'depth24plus' },
     });
 
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
-    });
-
     const shadowDepthTexture = device.createTexture({
         size: [2048, 2048, 1],
         format: 'depth24plus',
@@ -308,6 +291,27 @@ async function main() {
     let direction = 1;
     let M_teapot = mult(translate(0, teapotY, -3), scalem(0.25, 0.25, 0.25));
     let mvp_teapot = mult(projection, mult(V, M_teapot));
+
+    // Mouse picking of the teapot and the ground (projection maps depth to [0, 1])
+    const picker = new Picker();
+    const teapotPick = picker.add("teapot", obj, M_teapot);
+    picker.add("ground", {
+        vertices: flatten(positionsGround.map((p) => vec4(p[0], p[1], p[2], 1.0))),
+        indices: indicesGround,
+    });
+    const highlight = vec4(0.3, 0.3, 0.0, 0.0);
+    const noHighlight = vec4(0.0, 0.0, 0.0, 0.0);
+    let picked = null;
+
+    canvas.onclick = (event) => {
+        const hit = picker.pick(mouseToRay(event, canvas, projection, V, { zeroToOne: true }));
+        picked = hit ? hit.object : null;
+        document.getElementById('pick-info').textContent = hit
+            ? "Selected the " + hit.object.name + " (triangle " + hit.triangle + ", distance " + hit.t.toFixed(2) + ")"
+            : "Nothing selected.";
+        if (!(animateLight || animateTeapot)) requestAnimationFrame(animate);
+    };
+
     const eye = vec3(0, 0, 0);
 
     // Light view-projection for shadow mapping
@@ -337,6 +341,7 @@ async function main() {
         }
         M_teapot = mult(translate(0, teapotY, -3), scalem(0.25, 0.25, 0.25));
         mvp_teapot = mult(projection, mult(V, M_teapot));
+        teapotPick.matrix = M_teapot;
         lightViewProj = computeLightViewProjection();
     }
 
@@ -353,6 +358,13 @@ async function main() {
         device.queue.writeBuffer(teapotUniformBuffer, sizeof['mat4'] * 3, teapotUniforms);
 
         device.queue.writeBuffer(groundUniformBuffer, sizeof['mat4'] * 2, flatten(lightViewProj));
+
+        // Highlight after the three mat4 and three vec4 of parameters
+        const highlightOffset = sizeof['mat4'] * 3 + sizeof['vec4'] * 3;
+        device.queue.writeBuffer(teapotUniformBuffer, highlightOffset,
+            flatten(picked === teapotPick ? highlight : noHighlight));
+        device.queue.writeBuffer(groundUniformBuffer, highlightOffset,
+            flatten(picked && picked !== teapotPick ? highlight : noHighlight));
     }
 
     function animate(timestamp) {
@@ -391,19 +403,8 @@ async function main() {
 
         // Pass 2: render scene from camera
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         pass.setPipeline(groundPipeline);
@@ -10,6 +10,7 @@
 // L_e, L_a      : emitted (direct) and ambient radiance scalars
 // k_d, k_s      : diffuse and specular material scalars
 // s             : shininess exponent (Phong specular power)
+// highlight     : color added to picked objects (rgb, zero when not picked)
 struct Uniforms {
     mvp: mat4x4f,
     model: mat4x4f,
@@ -22,6 +23,7 @@ struct Uniforms {
     k_d: f32,
     k_s: f32,
     s: f32,
+    highlight: vec4f,
 }
 
 // ------------------------------------------------------------
@@ -112,7 +114,7 @@ fn main_fs_ground(@location(0) texCoords: vec2f, @location(1) inPos: vec4f) -> @
     // 4) Shade ground: texture * visibility
     // --------------------------------------------------------
     let texColor = textureSample(ourTexture, ourSampler, texCoords);
-    return vec4f((texColor.rgb * visibility), texColor.a);
+    return vec4f((texColor.rgb * visibility) + uniforms.highlight.rgb, texColor.a);
 }
 
 
@@ -223,7 +225,8 @@ fn main_fs_teapot(@location(0) inPos: vec4f, @location(1) color: vec4f, @locatio
     // Combine: shadow affects (diffuse + specular), ambient always added
     let L_o = (L_rd + L_P_rs_select) * visibility + L_ra;
 
-    return vec4f(L_o, 1.0);
+    // Picked teapot is tinted with the highlight color
+    return vec4f(L_o + uniforms.highlight.rgb, 1.0);
 }
 
 
@@ -32,22 +32,17 @@ function getOptions() {
     };
 }
 
-
 async function main() {
+    const canvas = document.getElementById('my-canvas');
+
     // ============================================================
     // WEBGPU INIT
     // ============================================================
-    // Request adapter/device, configure the canvas context.
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
-    const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({
-        device: device,
-        format: canvasFormat,
-    });
+    // Device, canvas context and the 4x MSAA + depth targets.
+    const gpu = await initWebGPU(canvas, { sampleCount: 4 });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // ============================================================
     // GEOMETRY: load OBJ mesh (Suzanne)
@@ -161,11 +156,8 @@ async function main() {
     // SHADERS + PIPELINE
     // ============================================================
     // WGSL is loaded from the <script id="wgsl" src="..."> tag.
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({ code: wgslcode });
-
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // Render pipeline:
     // - main_vs / main_fs are the entry points
@@ -188,33 +180,14 @@ async function main() {
             frontFace: 'ccw',
             cullMode: 'back'
         },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
-    // ============================================================
-    // MSAA + DEPTH ATTACHMENTS
-    // ============================================================
-    // Render to MSAA texture then resolve to the swapchain texture.
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    // Depth buffer (also MSAA to match render target sample count)
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
     // ============================================================
     // BIND GROUP (uniforms)
     // ============================================================
@@ -380,19 +353,8 @@ async function main() {
         // --------------------------------------------------------
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment()
         });
 
         // Bind pipeline + buffers + uniforms and draw indexed triangles
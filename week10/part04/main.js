@@ -33,17 +33,13 @@ function getCameraMode() {
 }
 
 async function main() {
-    // WebGPU init
-    const gpu = navigator.gpu;
-    const adapter = await gpu.requestAdapter();
-    const device = await adapter.requestDevice();
+    // WebGPU init (device, canvas context, 4x MSAA + depth targets that
+    // follow the displayed size of the canvas)
     const canvas = document.getElementById('my-canvas');
-    const context = canvas.getContext('webgpu');
-    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-    context.configure({
-        device: device,
-        format: canvasFormat,
-    });
+    const gpu = await initWebGPU(canvas, { sampleCount: 4, autoResize: true });
+    if (!gpu) return;
+    const device = gpu.device;
+    const canvasFormat = gpu.format;
 
     // Load OBJ
     const obj_filename = "../assets/suzanne.obj";
@@ -105,9 +101,9 @@ async function main() {
     });
     device.queue.writeBuffer(indicesBuffer, 0, indices);
 
-    // Uniform buffer (eye + params + MVP)
+    // Uniform buffer (eye + params + MVP + selected flag, padded)
     const uniformBuffer = device.createBuffer({
-        size: 4 * 8 + sizeof['mat4'],
+        size: 4 * 8 + sizeof['mat4'] + 16,
         usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
 
@@ -125,16 +121,9 @@ async function main() {
     // Model transform
     const M = mult(translate(0, -0.5, 0), scalem(0.8, 0.8, 0.8));
 
-    // Projection
-    let projection = perspective(45, canvas.width / canvas.height, 0.1, 100);
-    projection = mult(Mst, projection);
-
     // Load WGSL
-    const wgslfile = document.getElementById('wgsl').src;
-    const wgslcode = await fetch(wgslfile, { cache: "reload" }).then(r => r.text());
-    const wgsl = device.createShaderModule({ code: wgslcode });
-
-    const msaaCount = 4;
+    const wgsl = await gpu.loadWGSL();
+    if (!wgsl) return;
 
     // Pipeline
     const pipeline = device.createRenderPipeline({
@@ -150,29 +139,14 @@ async function main() {
             targets: [{ format: canvasFormat }],
         },
         primitive: { topology: 'triangle-list', frontFace: 'ccw', cullMode: 'back' },
-        multisample: { count: msaaCount },
+        multisample: { count: gpu.sampleCount },
         depthStencil: {
             depthWriteEnabled: true,
             depthCompare: 'less',
-            format: 'depth24plus',
+            format: gpu.depthFormat,
         },
     });
 
-    // MSAA + depth textures
-    const msaaTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: canvasFormat,
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
-    const depthTexture = device.createTexture({
-        size: { width: canvas.width, height: canvas.height },
-        format: 'depth24plus',
-        sampleCount: msaaCount,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
-    });
-
     // Bind group
     const bindGroup = device.createBindGroup({
         layout: pipeline.getBindGroupLayout(0),
@@ -204,6 +178,35 @@ async function main() {
     let spin = false;
     let lastMoveTime = 0;
 
+    // GPU picking (ID buffer) of the model
+    const picker = new IDPicker(device, canvas.width, canvas.height);
+    const pickMesh = picker.addMesh(positions, indices);
+    gpu.onResize = function (width, height) { picker.resize(width, height); };
+    const pickInfo = document.getElementById('pick-info');
+    let mvp = mat4();
+    let selected = false;
+    let picking = false; // Shift was held on mouse down: select instead of orbit
+    let downX = 0;
+    let downY = 0;
+    const clickTolerance = 3; // pixels the mouse may move during a click
+
+    function showSelection(hit) {
+        selected = hit !== null;
+        pickInfo.textContent = selected ? "Suzanne, triangle " + hit.triangle : "Nothing selected";
+    }
+
+    async function pickAt(event) {
+        if (picker.busy) return;
+        try {
+            showSelection(await picker.pickEvent(event, canvas, [{ mesh: pickMesh, mvp: mvp }]));
+        }
+        catch (e) {
+            // e.g. the device was lost while waiting for the readback
+            console.error("Picking failed:", e);
+            showSelection(null);
+        }
+    }
+
     // Touch -> mouse events
     canvas.addEventListener("touchstart", function (event) {
         event.preventDefault();
@@ -233,8 +236,8 @@ async function main() {
     // Map screen coords to trackball
     function mapEventCoordsToSphere(event) {
         const rect = event.target.getBoundingClientRect();
-        const px = 2 * (event.clientX - rect.left) / canvas.width - 1;
-        const py = 2 * (canvas.height - (event.clientY - rect.top)) / canvas.height - 1;
+        const px = 2 * (event.clientX - rect.left) / rect.width - 1;
+        const py = 2 * (rect.height - (event.clientY - rect.top)) / rect.height - 1;
         return normalize(orthographicHyperbolicMapping(px, py));
     }
 
@@ -246,6 +249,12 @@ async function main() {
 
     // Mouse down: start interaction
     canvas.addEventListener("mousedown", function (event) {
+        // Shift+click selects and leaves the camera (and spin) alone
+        picking = event.shiftKey;
+        downX = event.clientX;
+        downY = event.clientY;
+        if (picking) return;
+
         // Stop spinning on new drag
         spin = false;
         q_inc = new Quaternion();
@@ -299,8 +308,15 @@ async function main() {
         }
     });
 
-    // Mouse up: enable momentum spin if released quickly
+    // Mouse up: select on a Shift+click, else enable momentum spin if released quickly
     canvas.addEventListener("mouseup", function (event) {
+        if (picking) {
+            picking = false;
+            if (Math.abs(event.clientX - downX) <= clickTolerance && Math.abs(event.clientY - downY) <= clickTolerance) {
+                pickAt(event);
+            }
+            return;
+        }
         isDragging = false;
         const currentTime = Date.now();
         if (getCameraMode() === "orbit" && (currentTime - lastMoveTime) < 100) {
@@ -313,6 +329,7 @@ async function main() {
 
     canvas.addEventListener("mouseleave", function (event) {
         isDragging = false;
+        picking = false;
     });
 
     function render() {
@@ -342,7 +359,8 @@ async function main() {
         const upRotated = q_rot.apply(up);
 
         const V = lookAt(eye, center, upRotated);
-        const mvp = mult(projection, mult(V, M));
+        const projection = mult(Mst, perspective(45, gpu.aspect(), 0.1, 100));
+        mvp = mult(projection, mult(V, M));
 
         // Upload uniforms
         const uniformFloats = new Float32Array([
@@ -355,23 +373,13 @@ async function main() {
         ]);
         device.queue.writeBuffer(uniformBuffer, 0, uniformFloats);
         device.queue.writeBuffer(uniformBuffer, 4 * 8, flatten(mvp));
+        device.queue.writeBuffer(uniformBuffer, 4 * 8 + sizeof['mat4'], new Uint32Array([selected ? 1 : 0]));
 
         // Render pass
         const encoder = device.createCommandEncoder();
         const pass = encoder.beginRenderPass({
-            colorAttachments: [{
-                view: msaaTexture.createView(),
-                resolveTarget: context.getCurrentTexture().createView(),
-                loadOp: 'clear',
-                storeOp: 'store',
-                clearValue: { r: bgcolor[0], g: bgcolor[1], b: bgcolor[2], a: bgcolor[3] },
-            }],
-            depthStencilAttachment: {
-                view: depthTexture.createView(),
-                depthLoadOp: "clear",
-                depthClearValue: 1.0,
-                depthStoreOp: "store",
-            }
+            colorAttachments: [gpu.colorAttachment(bgcolor)],
+            depthStencilAttachment: gpu.depthAttachment(),
         });
 
         pass.setPipeline(pipeline);
@@ -7,6 +7,8 @@ struct Uniforms {
     s: f32,
     // Packed params + matrix
     mvp: mat4x4f,
+    // 1 if the model is selected by picking
+    selected: u32,
 }
 
 @group(0) @binding(0)
@@ -71,7 +73,8 @@ fn main_fs(
     // Back-face specular suppression
     let L_P_rs_select = select(vec3f(0, 0, 0), L_P_rs, dot(n, omega_i) > 0.0);
 
-    // Final color
+    // Final color (tinted when selected)
     let L_o = L_rd + L_ra + L_P_rs_select;
-    return vec4f(L_o, 1.0);
+    let highlight = vec3f(1.0, 0.6, 0.1);
+    return vec4f(select(L_o, mix(L_o, highlight, 0.35), uniforms.selected != 0u), 1.0);
 }